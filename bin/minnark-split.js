@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * Headless runner for the revenue split pipeline.
+ *
+ *   minnark-split <input-dir> [--out report.xlsx] [--format xlsx|csv|json]
+ *
+ * Reads every workbook in the input folder, classifies it with
+ * detectFileType, runs processFiles and writes the export. Exit codes:
+ *   0  success
+ *   1  usage or processing error
+ *   2  data-quality failure (see --max-issues and --fail-on-reconcile)
+ */
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { extname, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { parseWorkbook, detectFileType, processFiles, exportCSV, exportExcel, rollupResults, DI_ATTRIBUTIONS, SOURCE_EXTENSIONS } from '../src/pipeline.js';
+import { summarizeIssues } from '../src/quality.js';
+import { monthOverMonth, sanitizeThresholds } from '../src/variance.js';
+import { moneyFormatter, normalizeCurrency, parseRatesCSV, sanitizeRates, SOURCE_CURRENCY } from '../src/currency.js';
+import { PERIOD_VIEWS, sanitizeFiscal } from '../src/fiscal.js';
+import { sanitizeTeams } from '../src/teams.js';
+import { sanitizeAliases } from '../src/programs.js';
+import { sanitizeAdjustmentTypes } from '../src/refunds.js';
+import { sanitizeMapping } from '../src/mapping.js';
+import { applyLedger, parseLedgerJSON } from '../src/ledger.js';
+import { exportRunJSON } from '../src/runFile.js';
+import { defaultRunName } from '../src/history.js';
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_QUALITY = 2;
+
+const USAGE = `Usage: minnark-split <input-dir> [options]
+
+Options:
+  --out <file>              Output file (default: minnark-split.<format>)
+  --format <xlsx|csv|json>  Output format (default: from --out extension, else xlsx)
+  --config <file>           JSON settings: {teams, mapping, tolerance, diAttribution, duplicates,
+                            programAliases, adjustmentTypes, excludedSheets, reportingCurrency,
+                            fxRates, fiscal, varianceThresholds}
+  --currency <code>         Reporting currency (default: USD)
+  --fx-rates <file>         FX table CSV: Currency, Period (YYYY-MM or YYYY-MM-DD), Rate
+  --ledger <file>           Manual adjustments ledger (JSON exported from the app) to apply
+  --period <view>           Roll xlsx/csv output up by fiscal month (default), quarter or ytd
+  --attribution <mode>      DI attribution: primary (default) or transaction
+  --tolerance <dollars>     SUMMARY reconciliation tolerance
+  --max-issues <n>          Data-quality warnings allowed before failing (default: 0)
+  --fail-on-reconcile <s>   Reconciliation status that fails the run: fail (default), warn or never
+  -h, --help                Show this help`;
+
+const FORMATS = ['xlsx', 'csv', 'json'];
+
+function fail(message) {
+  console.error(`minnark-split: ${message}`);
+  return EXIT_ERROR;
+}
+
+function loadConfig(path) {
+  if (!path) return {};
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read config ${path}: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error(`Config ${path} is not a JSON object`);
+  if (config.tolerance != null && !isTolerance(config.tolerance)) throw new Error(`Config ${path}: tolerance must be a non-negative number`);
+  if (config.diAttribution != null && !DI_ATTRIBUTIONS.includes(config.diAttribution)) {
+    throw new Error(`Config ${path}: diAttribution must be ${DI_ATTRIBUTIONS.join(' or ')}`);
+  }
+  const reportingCurrency = config.reportingCurrency != null ? normalizeCurrency(config.reportingCurrency) : undefined;
+  if (reportingCurrency === null) throw new Error(`Config ${path}: reportingCurrency must be a three-letter currency code`);
+  // Same clean-up the app applies to its stored settings
+  return {
+    ...config,
+    reportingCurrency,
+    mapping: sanitizeMapping(config.mapping),
+    teams: sanitizeTeams(config.teams),
+    programAliases: sanitizeAliases(config.programAliases),
+    adjustmentTypes: sanitizeAdjustmentTypes(config.adjustmentTypes),
+    fxRates: sanitizeRates(config.fxRates),
+    fiscal: sanitizeFiscal(config.fiscal),
+  };
+}
+
+function isTolerance(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function loadRates(path) {
+  try {
+    return parseRatesCSV(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read FX rates ${path}: ${err.message}`);
+  }
+}
+
+function loadLedger(path) {
+  try {
+    return parseLedgerJSON(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ledger ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * `run` has the ledger applied; the JSON export instead keeps the processFiles
+ * output as is and lists the applied entries (see runFile.js).
+ */
+function writeOutput({ run, processed, ledger, meta }, format, out, config, period) {
+  const results = rollupResults(run.results, config.fiscal, period);
+  if (format === 'xlsx') {
+    const variance = monthOverMonth(run.results, sanitizeThresholds(config.varianceThresholds));
+    writeFileSync(out, Buffer.from(exportExcel({ ...run, results }, { variance })));
+  } else if (format === 'csv') {
+    writeFileSync(out, exportCSV(results));
+  } else {
+    writeFileSync(out, exportRunJSON(processed, meta, ledger));
+  }
+}
+
+/**
+ * Reasons the run should exit with EXIT_QUALITY, if any.
+ */
+function qualityFailures(run, maxIssues, failOnReconcile) {
+  const failures = [];
+  const { warnings, skipped } = summarizeIssues(run.sources.flatMap(s => s.issues), SOURCE_CURRENCY);
+  if (warnings > maxIssues) {
+    // Skipped rows were never converted, so each currency is reported on its own
+    const amounts = Object.entries(skipped).map(([currency, amount]) => moneyFormatter(currency)(amount));
+    failures.push(`${warnings} data-quality warnings (max ${maxIssues}), ${amounts.join(' + ') || 'nothing'} skipped`);
+  }
+  const failing = failOnReconcile === 'warn' ? ['warn', 'fail'] : failOnReconcile === 'fail' ? ['fail'] : [];
+  for (const s of run.sources) {
+    if (s.reconciliation && failing.includes(s.reconciliation.status)) {
+      failures.push(`${s.filename}: SUMMARY reconciliation ${s.reconciliation.status}`);
+    }
+  }
+  return failures;
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: 'string' },
+        format: { type: 'string' },
+        config: { type: 'string' },
+        attribution: { type: 'string' },
+        tolerance: { type: 'string' },
+        currency: { type: 'string' },
+        'fx-rates': { type: 'string' },
+        ledger: { type: 'string' },
+        period: { type: 'string', default: 'month' },
+        'max-issues': { type: 'string', default: '0' },
+        'fail-on-reconcile': { type: 'string', default: 'fail' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    return fail(`${err.message}\n\n${USAGE}`);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  if (positionals.length !== 1) return fail(`expected one input directory\n\n${USAGE}`);
+
+  const format = values.format || extname(values.out || '').slice(1).toLowerCase() || 'xlsx';
+  if (!FORMATS.includes(format)) return fail(`unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+  if (!['fail', 'warn', 'never'].includes(values['fail-on-reconcile'])) {
+    return fail('--fail-on-reconcile must be fail, warn or never');
+  }
+  if (!PERIOD_VIEWS.some(v => v.id === values.period)) {
+    return fail(`--period must be ${PERIOD_VIEWS.map(v => v.id).join(', ')}`);
+  }
+  const maxIssues = Number(values['max-issues']);
+  if (!Number.isInteger(maxIssues) || maxIssues < 0) return fail('--max-issues must be a non-negative integer');
+  const tolerance = values.tolerance != null ? Number(values.tolerance) : null;
+  if (tolerance != null && (values.tolerance.trim() === '' || !isTolerance(tolerance))) return fail('--tolerance must be a non-negative number');
+  if (values.attribution != null && !DI_ATTRIBUTIONS.includes(values.attribution)) {
+    return fail(`--attribution must be ${DI_ATTRIBUTIONS.join(' or ')}`);
+  }
+  const currency = values.currency != null ? normalizeCurrency(values.currency) : undefined;
+  if (currency === null) return fail('--currency must be a three-letter currency code');
+  const out = values.out || `minnark-split.${format}`;
+
+  try {
+    const config = loadConfig(values.config);
+    const options = {
+      ...config,
+      diAttribution: values.attribution || config.diAttribution,
+      tolerance: tolerance ?? config.tolerance,
+      reportingCurrency: currency ?? config.reportingCurrency,
+      fxRates: values['fx-rates'] ? loadRates(values['fx-rates']) : config.fxRates,
+    };
+
+    const dir = resolve(positionals[0]);
+    const names = readdirSync(dir)
+      .filter(n => SOURCE_EXTENSIONS.includes(extname(n).toLowerCase()) && !n.startsWith('~$'))
+      .sort();
+
+    const jpmFiles = [];
+    let domesticFile = null;
+    for (const name of names) {
+      const workbook = parseWorkbook(readFileSync(join(dir, name)), name, options.mapping);
+      const type = detectFileType(workbook);
+      if (type === 'jpm') jpmFiles.push({ workbook, filename: name });
+      else if (type === 'domestic' && !domesticFile) domesticFile = { workbook, filename: name };
+      else if (type === 'domestic') console.warn(`Ignoring ${name}: only one Domestic Payments file is used (${domesticFile.filename})`);
+      else console.warn(`Ignoring ${name}: unrecognised workbook`);
+    }
+    if (jpmFiles.length === 0) return fail(`no JPM monthly files (TOTAL DI / SUMMARY sheets) in ${dir}`);
+
+    const processed = processFiles(jpmFiles, domesticFile, options);
+    if (processed.results.length === 0) return fail('no data found in input files');
+    const ledger = values.ledger ? loadLedger(values.ledger) : [];
+    const { results, unapplied } = applyLedger(processed.results, ledger);
+    for (const e of unapplied) console.warn(`Ledger entry ${e.id} not applied: ${e.month} is not in the run or has no team ${e.teamId}`);
+    const run = { ...processed, results };
+    const files = [...jpmFiles.map(f => ({ name: f.filename, type: 'jpm' })), ...(domesticFile ? [{ name: domesticFile.filename, type: 'domestic' }] : [])];
+    const meta = { name: defaultRunName(processed), createdAt: Date.now(), generator: 'minnark-split cli', files, settings: options };
+    writeOutput({ run, processed, ledger: ledger.filter(e => !unapplied.includes(e)), meta }, format, out, config, values.period);
+
+    for (const r of run.results) {
+      console.log(`${r.month}: DI ${r.actual.di_total.toFixed(2)}  DO ${r.actual.do_total.toFixed(2)}  ADJ ${r.actual.adj_total.toFixed(2)}  net ${r.actual.grand_total.toFixed(2)}`);
+    }
+    console.log(`Wrote ${out}`);
+
+    const failures = qualityFailures(run, maxIssues, values['fail-on-reconcile']);
+    for (const f of failures) console.error(`Data quality: ${f}`);
+    return failures.length > 0 ? EXIT_QUALITY : EXIT_OK;
+  } catch (err) {
+    return fail(err.message);
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
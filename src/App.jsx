@@ -1,96 +1,404 @@
 import { useState, useCallback } from 'react';
-import { Upload, FileSpreadsheet, CheckCircle2, AlertCircle, Download, ClipboardCopy, ChevronDown, ChevronUp, BarChart3, TrendingUp, X } from 'lucide-react';
+import { Upload, FileSpreadsheet, Lock, CheckCircle2, AlertCircle, Download, ClipboardCopy, BarChart3, TrendingUp, X, Loader2, History, FileText, FileJson, FileUp } from 'lucide-react';
 import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import { readFile, detectFileType, processFiles, exportCSV, exportExcel } from './pipeline';
-
-const fmt = (n) => n.toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2 });
-const fmtShort = (n) => {
-  if (Math.abs(n) >= 1e6) return `$${(n/1e6).toFixed(1)}M`;
-  if (Math.abs(n) >= 1e3) return `$${(n/1e3).toFixed(1)}K`;
-  return fmt(n);
-};
+import { exportCSV, exportExcel, focusResults, programRows, resultTeams, rollupResults, teamGross, teamTotal, CATEGORIES, SOURCE_EXTENSIONS } from './pipeline';
+import { DEFAULT_TEAMS, UNASSIGNED_TEAM, sanitizeTeams } from './teams';
+import { DEFAULT_PROFILE, sanitizeProfiles } from './mapping';
+import { exportIssuesCSV } from './quality';
+import { loadSetting, saveSetting } from './storage';
+import TeamRegistry from './components/TeamRegistry';
+import ColumnMapper from './components/ColumnMapper';
+import MappingProfiles from './components/MappingProfiles';
+import DataQuality from './components/DataQuality';
+import Duplicates from './components/Duplicates';
+import { ReconciliationBadge, ReconciliationTable } from './components/Reconciliation';
+import { DEFAULT_TOLERANCE } from './reconcile';
+import { createPipelineClient } from './workerClient';
+import { STAGES } from './workerProtocol';
+import { saveRun, getRun, defaultRunName } from './history';
+import HistorySidebar from './components/HistorySidebar';
+import Variance from './components/Variance';
+import { monthOverMonth, compareRuns, sanitizeThresholds } from './variance';
+import { sanitizeAliases, suggestMerges } from './programs';
+import ProgramAliases from './components/ProgramAliases';
+import AdjustmentTypes from './components/AdjustmentTypes';
+import { sanitizeAdjustmentTypes, DEFAULT_ADJUSTMENT_TYPES } from './refunds';
+import ProgramMerges from './components/ProgramMerges';
+import FxSettings from './components/FxSettings';
+import { moneyFormatter, normalizeCurrency, sanitizeRates, DEFAULT_CURRENCY, DEFAULT_LOCALE, SOURCE_CURRENCY } from './currency';
+import FiscalSettings from './components/FiscalSettings';
+import { fiscalMonthLabel, sanitizeFiscal, DEFAULT_FISCAL, PERIOD_VIEWS } from './fiscal';
+import TransactionDrawer from './components/TransactionDrawer';
+import ProgramDetail from './components/ProgramDetail';
+import TrendCharts from './components/TrendCharts';
+import { periodAxisLabel } from './trends';
+import AdjustmentsLedger from './components/AdjustmentsLedger';
+import { applyLedger, exportLedgerJSON, manualAmounts, sanitizeLedger } from './ledger';
+import { PeriodClosePanel, ClosedPeriodDiff } from './components/PeriodClose';
+import { closePeriod, closedPeriodChanges, reopenPeriod, sanitizeCloseState, EMPTY_CLOSE_STATE } from './periodClose';
+import { exportTransactionsCSV, findTransactions } from './transactions';
+import { addMoney, percentShares } from './money';
+import { exportRunJSON, parseRunJSON } from './runFile';
 
 const COLORS = {
-  blackfin: '#3b82f6',
-  blackfinLight: '#60a5fa',
-  mizar: '#14b8a6',
-  mizarLight: '#2dd4bf',
   di: '#8b5cf6',
   domestic: '#f59e0b',
 };
 
+// Parsing and processing run in a worker; see pipeline.worker.js
+const pipeline = createPipelineClient();
+let nextFileId = 1;
+
+// Merge a worker FileInfo (type + column check) into a file entry; sheets the
+// user excluded don't need their columns mapped
+function withInfo(entry, { type, columns, hash }) {
+  const excluded = entry.excludedSheets || [];
+  const unmapped = columns?.sheets.some(s => !excluded.includes(s.name) && s.missing.length > 0);
+  const status = !type ? 'unknown' : unmapped ? 'needs-mapping' : 'ready';
+  return { ...entry, type, columns, hash, status };
+}
+
 function App() {
   const [files, setFiles] = useState([]);
-  const [results, setResults] = useState(null);
+  const [run, setRun] = useState(null);
   const [error, setError] = useState(null);
   const [processing, setProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [dragOver, setDragOver] = useState(false);
-  const [sortCol, setSortCol] = useState('program');
-  const [sortDir, setSortDir] = useState('asc');
-  const [filterTeam, setFilterTeam] = useState('all');
-  const [filterCat, setFilterCat] = useState('all');
   const [copied, setCopied] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [teams, setTeams] = useState(() => sanitizeTeams(loadSetting('teams', DEFAULT_TEAMS)));
+
+  const [profiles, setProfiles] = useState(() => sanitizeProfiles(loadSetting('mappingProfiles', [DEFAULT_PROFILE])));
+  const [profileName, setProfileName] = useState(() => loadSetting('mappingProfile', DEFAULT_PROFILE.name));
+  const [mappingId, setMappingId] = useState(null);
+  const [tolerance, setTolerance] = useState(() => loadSetting('reconcileTolerance', DEFAULT_TOLERANCE));
+  const [reconOpen, setReconOpen] = useState(null);
+  const [dupResolutions, setDupResolutions] = useState({});
+  const [diAttribution, setDiAttribution] = useState(() => loadSetting('diAttribution', 'primary'));
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [historyKey, setHistoryKey] = useState(0);
+  const [savedRun, setSavedRun] = useState(null);
+  const [varianceBase, setVarianceBase] = useState(null);
+  const [fx, setFx] = useState(() => loadSetting('fx', { currency: DEFAULT_CURRENCY, locale: DEFAULT_LOCALE, rates: [] }));
+  const [programAliases, setProgramAliases] = useState(() => sanitizeAliases(loadSetting('programAliases', [])));
+  const [adjustmentTypes, setAdjustmentTypes] = useState(() => sanitizeAdjustmentTypes(loadSetting('adjustmentTypes', DEFAULT_ADJUSTMENT_TYPES)));
+  const [varianceThresholds, setVarianceThresholds] = useState(() => sanitizeThresholds(loadSetting('varianceThresholds')));
+  const [fiscal, setFiscal] = useState(() => sanitizeFiscal(loadSetting('fiscal', DEFAULT_FISCAL)));
+  const [periodView, setPeriodView] = useState('month');
+  const [drill, setDrill] = useState(null);
+  const [focus, setFocus] = useState({});
+  const [ledger, setLedger] = useState(() => sanitizeLedger(loadSetting('ledger', [])));
+  const [periodClose, setPeriodClose] = useState(() => sanitizeCloseState(loadSetting('periodClose', EMPTY_CLOSE_STATE)));
+  const mappingFile = files.find(f => f.id === mappingId);
+  const profile = profiles.find(p => p.name === profileName) || profiles[0];
+
+  const updateTeams = (next) => {
+    setTeams(next);
+    saveSetting('teams', next);
+    setRun(null);
+  };
+
+  const updateTolerance = (value) => {
+    setTolerance(value);
+    saveSetting('reconcileTolerance', value);
+    setRun(null);
+  };
+
+  const updateFx = (next) => {
+    setFx(next);
+    saveSetting('fx', next);
+    setRun(null);
+  };
+
+  // Week patterns move month boundaries, so only they need a re-run
+  const updateFiscal = (value) => {
+    const next = sanitizeFiscal(value);
+    if (next.pattern !== 'calendar' || fiscal.pattern !== 'calendar') setRun(null);
+    setFiscal(next);
+    saveSetting('fiscal', next);
+  };
+
+  // Ledger entries apply on top of the run, so editing them needs no re-run
+  const updateLedger = (next) => {
+    setLedger(next);
+    saveSetting('ledger', next);
+  };
+
+  // An imported run keeps the ledger entries from its file to itself, so
+  // viewing it leaves the saved ledger (and every other run) alone
+  const runLedger = savedRun?.imported ? savedRun.ledger : ledger;
+  const updateRunLedger = (next) => {
+    if (savedRun?.imported) setSavedRun(s => ({ ...s, ledger: next }));
+    else updateLedger(next);
+  };
+
+  const updatePeriodClose = (next) => {
+    setPeriodClose(next);
+    saveSetting('periodClose', next);
+  };
+
+  const updateProgramAliases = (next) => {
+    setProgramAliases(next);
+    saveSetting('programAliases', next);
+    setRun(null);
+  };
+
+  const updateAdjustmentTypes = (next) => {
+    setAdjustmentTypes(next);
+    saveSetting('adjustmentTypes', next);
+    setRun(null);
+  };
+
+  const updateAttribution = (value) => {
+    setDiAttribution(value);
+    saveSetting('diAttribution', value);
+    setRun(null);
+  };
+
+  const applyProfile = (nextProfiles, name) => {
+    const prof = nextProfiles.find(p => p.name === name) || nextProfiles[0];
+    setProfiles(nextProfiles);
+    setProfileName(prof.name);
+    saveSetting('mappingProfiles', nextProfiles);
+    saveSetting('mappingProfile', prof.name);
+    setRun(null);
+
+    // Unrecognised CSVs too: the new profile's columns may fit their headers
+    const typed = files.filter(f => f.type || (f.status === 'unknown' && f.name.toLowerCase().endsWith('.csv')));
+    if (typed.length === 0) return;
+    pipeline.inspect(typed.map(f => ({ fileId: f.id, file: f.file })), prof.columns)
+      .then(infos => {
+        const byId = new Map(infos.map(info => [info.fileId, info]));
+        setFiles(prev => prev.map(f => byId.has(f.id) ? withInfo(f, byId.get(f.id)) : f));
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const saveMapping = (kind, overrides) => {
+    const next = profiles.map(p => p === profile ? { ...p, columns: { ...p.columns, [kind]: overrides } } : p);
+    applyProfile(next, profile.name);
+    setMappingId(null);
+  };
 
   const handleFiles = useCallback(async (newFiles) => {
     setError(null);
     const fileList = Array.from(newFiles).filter(f =>
-      f.name.endsWith('.xlsx') || f.name.endsWith('.xls')
+      SOURCE_EXTENSIONS.some(ext => f.name.toLowerCase().endsWith(ext))
     );
     if (fileList.length === 0) {
-      setError('Please upload Excel files (.xlsx)');
+      setError('Please upload Excel, ODS or CSV files (.xlsx, .xls, .ods, .csv)');
       return;
     }
 
-    const processed = [];
-    for (const f of fileList) {
+    const added = fileList.map(f => ({ id: nextFileId++, file: f, name: f.name, type: null, status: 'reading' }));
+    setFiles(prev => [...prev, ...added]);
+
+    for (const entry of added) {
+      let next;
       try {
-        const wb = await readFile(f);
-        const type = detectFileType(wb);
-        processed.push({ file: f, workbook: wb, type, name: f.name, status: type ? 'ready' : 'unknown' });
+        next = withInfo(entry, await pipeline.parse(entry.id, entry.file, profile.columns));
       } catch (err) {
-        processed.push({ file: f, name: f.name, type: null, status: 'error', error: err.message });
+        next = { ...entry, status: 'error', error: err.message };
       }
+      setFiles(prev => prev.map(f => f.id === entry.id ? next : f));
+      if (next.status === 'needs-mapping') setMappingId(id => id ?? next.id);
     }
-    setFiles(prev => [...prev, ...processed]);
-  }, []);
+  }, [profile]);
+
+  const toggleSheet = (fileId, sheet) => {
+    setFiles(prev => prev.map(f => {
+      if (f.id !== fileId) return f;
+      const excluded = f.excludedSheets || [];
+      const next = excluded.includes(sheet) ? excluded.filter(n => n !== sheet) : [...excluded, sheet];
+      return withInfo({ ...f, excludedSheets: next }, f);
+    }));
+    setRun(null);
+  };
 
   const removeFile = (idx) => {
+    pipeline.release(files[idx].id);
     setFiles(prev => prev.filter((_, i) => i !== idx));
-    setResults(null);
+    setRun(null);
   };
 
-  const runProcessing = useCallback(async () => {
+  // Save to local history; `id` overwrites an existing record (a re-run of the same upload)
+  const recordRun = useCallback(async (out, settings, id) => {
+    const record = {
+      name: defaultRunName(out),
+      createdAt: Date.now(),
+      files: files.filter(f => f.type).map(f => ({ name: f.name, type: f.type, size: f.file.size, hash: f.hash })),
+      settings,
+      run: out,
+    };
+    try {
+      const savedId = await saveRun(id != null ? { ...record, id } : record);
+      setSavedRun({ id: savedId, name: record.name, createdAt: record.createdAt, reopened: false });
+      setHistoryKey(k => k + 1);
+    } catch {
+      // History is best-effort: IndexedDB can be unavailable (e.g. private browsing)
+      setSavedRun(null);
+    }
+  }, [files]);
+
+  // `overrides` carries settings changed in the same event, before state updates land
+  const runProcessing = useCallback(async (overrides = {}, savedId = null) => {
     setProcessing(true);
+    setProgress(null);
     setError(null);
     try {
-      const jpmFiles = files.filter(f => f.type === 'jpm').map(f => ({ workbook: f.workbook, filename: f.name }));
-      const domesticFile = files.find(f => f.type === 'domestic');
-      if (jpmFiles.length === 0) throw new Error('No JPM monthly files detected. Upload files with TOTAL DI / SUMMARY sheets.');
-      const r = processFiles(jpmFiles, domesticFile ? { workbook: domesticFile.workbook, filename: domesticFile.name } : null);
-      if (r.length === 0) throw new Error('No data found in uploaded files.');
-      setResults(r);
+      const inputs = files.filter(f => f.type).map(f => ({ fileId: f.id, file: f.file, type: f.type, name: f.name }));
+      if (!inputs.some(f => f.type === 'jpm')) throw new Error('No JPM monthly files detected. Upload files with TOTAL DI / SUMMARY sheets.');
+      const settings = {
+        teams, mappingProfile: profile.name, mapping: profile.columns, tolerance, diAttribution,
+        duplicates: dupResolutions, programAliases: sanitizeAliases(programAliases), adjustmentTypes,
+        excludedSheets: files.find(f => f.type === 'domestic')?.excludedSheets || [],
+        reportingCurrency: normalizeCurrency(fx.currency) || DEFAULT_CURRENCY, fxRates: sanitizeRates(fx.rates), fiscal, ...overrides,
+      };
+      const out = await pipeline.process(inputs, settings, setProgress);
+      if (out.results.length === 0) throw new Error('No data found in uploaded files.');
+      setRun(out);
+      recordRun(out, settings, savedId);
     } catch (err) {
-      setError(err.message);
+      if (err.name !== 'AbortError') setError(err.message);
     }
     setProcessing(false);
-  }, [files]);
+    setProgress(null);
+  }, [files, teams, profile, tolerance, diAttribution, dupResolutions, programAliases, adjustmentTypes, fx, fiscal, recordRun]);
+
+  const resolveDuplicates = (changes) => {
+    const next = { ...dupResolutions, ...changes };
+    setDupResolutions(next);
+    runProcessing({ duplicates: next }, savedRun?.id);
+  };
+
+  const acceptMerge = ({ canonical, variants }) => {
+    const next = [...programAliases, ...variants.map(match => ({ match, canonical, regex: false }))];
+    setProgramAliases(next);
+    saveSetting('programAliases', next);
+    runProcessing({ programAliases: sanitizeAliases(next) }, savedRun?.id);
+  };
+
+  const openSavedRun = async (id) => {
+    const record = await getRun(id);
+    if (!record) return;
+    setRun(record.run);
+    setFocus({});
+    setSavedRun({ id: record.id, name: record.name, createdAt: record.createdAt, reopened: true });
+    setError(null);
+    setHistoryOpen(false);
+  };
+
+  const selectVarianceBase = async (id) => {
+    if (id == null) return setVarianceBase(null);
+    const record = await getRun(id);
+    setVarianceBase(record ? { id: record.id, name: record.name, results: record.run.results } : null);
+  };
+
+  const updateVarianceThresholds = (value) => {
+    const next = sanitizeThresholds(value);
+    setVarianceThresholds(next);
+    saveSetting('varianceThresholds', next);
+  };
+
+  // Versioned run file (see runFile.js) with the ledger entries that apply to it
+  const downloadRunJSON = (target, meta, filename, entries = ledger) => {
+    const { unapplied } = applyLedger(target.results, entries);
+    const json = exportRunJSON(target, { ...meta, generator: 'minnark-split app' }, entries.filter(e => !unapplied.includes(e)));
+    downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+  };
+
+  const exportSavedRun = async (id) => {
+    const record = await getRun(id);
+    if (!record) return;
+    downloadRunJSON(record.run, record, `minnark-run-${record.id}.json`);
+  };
+
+  const handleExportJSON = async () => {
+    const record = savedRun?.id != null ? await getRun(savedRun.id).catch(() => null) : null;
+    downloadRunJSON(run, record ?? { name: savedRun?.name ?? defaultRunName(run), createdAt: savedRun?.createdAt }, 'minnark-run.json', runLedger);
+  };
+
+  // Restore a dashboard from a run file; its ledger entries stay with it
+  // until added to the ledger with addImportedLedger
+  const importRun = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseRunJSON(await file.text());
+      setRun(imported.run);
+      setFocus({});
+      setSavedRun({
+        id: null, name: imported.meta.name || defaultRunName(imported.run),
+        createdAt: imported.meta.createdAt ? Date.parse(imported.meta.createdAt) : null, reopened: true, imported: true,
+        ledger: imported.ledger,
+      });
+      setError(null);
+    } catch (err) {
+      setError(`Could not import run: ${err.message}`);
+    }
+  };
+
+  // Like a ledger import: entries already in the ledger are skipped
+  const ledgerIds = new Set(ledger.map(e => e.id));
+  const importedOnly = savedRun?.imported ? savedRun.ledger.filter(e => !ledgerIds.has(e.id)) : [];
+  const addImportedLedger = () => updateLedger([...ledger, ...importedOnly]);
 
   const handleDrop = (e) => { e.preventDefault(); setDragOver(false); handleFiles(e.dataTransfer.files); };
   const handleDragOver = (e) => { e.preventDefault(); setDragOver(true); };
   const handleDragLeave = () => setDragOver(false);
 
   const handleExportCSV = () => {
-    const csv = exportCSV(results);
+    const csv = exportCSV(periodResults);
     downloadBlob(new Blob([csv], { type: 'text/csv' }), 'minnark-split.csv');
   };
 
   const handleExportExcel = () => {
-    const buf = exportExcel(results);
+    const buf = exportExcel({ ...run, results: periodResults }, { variance });
     downloadBlob(new Blob([buf], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'minnark-split.xlsx');
   };
 
+  const handleStatements = async () => {
+    setGenerating(true);
+    try {
+      // jsPDF and JSZip are only loaded when statements are requested
+      const { generateStatements } = await import('./statements');
+      downloadBlob(await generateStatements({ ...run, results: adjusted.results }, { fmt, locale: fx.locale }), 'minnark-statements.zip');
+    } catch (err) {
+      setError(`Could not generate statements: ${err.message}`);
+    }
+    setGenerating(false);
+  };
+
+  // Open the transaction drawer on the totals matching `filter` (see findTransactions)
+  const openDrill = (title, filter) => setDrill({ title, filter });
+  const grossCodes = CATEGORIES.filter(c => c.gross).map(c => c.code);
+
+  // Chart legend clicks focus the dashboard on a team, category or program;
+  // clicking the focused entry again clears it
+  const toggleFocus = (key, value) => {
+    if (value == null) return;
+    setFocus(f => {
+      const next = { ...f };
+      if (f[key] === value) delete next[key]; else next[key] = value;
+      return next;
+    });
+    setDrill(null);
+  };
+
+  const handleExportLedger = () => {
+    downloadBlob(new Blob([exportLedgerJSON(runLedger)], { type: 'application/json' }), 'minnark-adjustments.json');
+  };
+
+  const handleExportTransactions = (transactions) => {
+    downloadBlob(new Blob([exportTransactionsCSV(transactions, currency)], { type: 'text/csv' }), 'minnark-transactions.csv');
+  };
+
+  const handleExportIssues = (issues) => {
+    downloadBlob(new Blob([exportIssuesCSV(issues)], { type: 'text/csv' }), 'minnark-data-quality.csv');
+  };
+
   const handleCopy = () => {
-    const csv = exportCSV(results);
+    const csv = exportCSV(periodResults);
     navigator.clipboard.writeText(csv);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
@@ -103,57 +411,60 @@ function App() {
     URL.revokeObjectURL(url);
   };
 
-  // Build detail table data
-  const detailRows = results ? results.flatMap(r => {
-    const rows = [];
-    const add = (cat, team, progs) => {
-      for (const [prog, amt] of Object.entries(progs)) {
-        rows.push({ month: r.month, category: cat, team, program: prog, amount: amt });
-      }
-    };
-    add('DI', 'Blackfin', r.di_blackfin_programs);
-    add('DI', 'Mizar', r.di_mizar_programs);
-    add('DO', 'Blackfin', r.do_blackfin_programs);
-    add('DO', 'Mizar', r.do_mizar_programs);
-    return rows;
+  // Months, or the fiscal quarters / years to date they roll up into; exports
+  // and the trend charts see all of them, the rest of the dashboard the focus
+  const adjusted = run ? applyLedger(run.results, runLedger) : { results: null, unapplied: [] };
+  const periodResults = run ? rollupResults(adjusted.results, fiscal, periodView) : null;
+  // A run that would change a closed month is held back until it is reopened
+  const closeChanges = run ? closedPeriodChanges(adjusted.results, periodClose) : [];
+  const results = periodResults ? focusResults(periodResults, focus) : null;
+
+  // Amounts are in the run's reporting currency, which can differ from the current setting
+  const currency = results?.[0]?.currency || normalizeCurrency(fx.currency) || DEFAULT_CURRENCY;
+  const fmt = moneyFormatter(currency, fx.locale);
+  const fmtShort = moneyFormatter(currency, fx.locale, { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 });
+  // SUMMARY reconciliation compares the workbooks' own figures, before conversion
+  const fmtSource = moneyFormatter(SOURCE_CURRENCY, fx.locale);
+
+  // Teams present in the results; Unassigned only shows up when it holds money
+  const shownTeams = periodResults
+    ? resultTeams(periodResults).filter(t => t.id !== UNASSIGNED_TEAM.id || periodResults.some(r => teamTotal(r, t.id) !== 0))
+    : [];
+
+  // Build detail table data, marking the share of each row booked in the ledger
+  const manualByMonth = new Map((results || []).map(r => [r.month, manualAmounts(r)]));
+  const detailRows = results ? programRows(results).map(row => {
+    const manual = manualByMonth.get(row.month).get(`${row.category}\u0000${row.teamId}\u0000${row.program}`);
+    return manual ? { ...row, manual } : row;
   }) : [];
 
-  const filtered = detailRows.filter(r =>
-    (filterTeam === 'all' || r.team === filterTeam) &&
-    (filterCat === 'all' || r.category === filterCat)
-  );
-
-  const sorted = [...filtered].sort((a, b) => {
-    const mul = sortDir === 'asc' ? 1 : -1;
-    if (sortCol === 'amount') return (a.amount - b.amount) * mul;
-    return String(a[sortCol]).localeCompare(String(b[sortCol])) * mul;
-  });
-
-  const toggleSort = (col) => {
-    if (sortCol === col) setSortDir(d => d === 'asc' ? 'desc' : 'asc');
-    else { setSortCol(col); setSortDir('asc'); }
-  };
+  // Raw names merged into each canonical program, across all months
+  const rawPrograms = {};
+  for (const r of results || []) {
+    for (const [program, raws] of Object.entries(r.raw_programs || {})) {
+      rawPrograms[program] = [...new Set([...(rawPrograms[program] || []), ...raws])];
+    }
+  }
 
-  const SortIcon = ({ col }) => sortCol === col
-    ? (sortDir === 'asc' ? <ChevronUp className="inline w-3 h-3" /> : <ChevronDown className="inline w-3 h-3" />)
-    : null;
+  // Variance always compares months, whatever the period view
+  const variance = !run ? null
+    : varianceBase ? { ...compareRuns(varianceBase.results, adjusted.results, varianceThresholds), baseLabel: varianceBase.name }
+      : monthOverMonth(adjusted.results, varianceThresholds);
 
   // Aggregate totals for charts
-  const totals = results ? results.reduce((acc, r) => ({
-    di_blackfin: acc.di_blackfin + r.actual.di_blackfin,
-    di_mizar: acc.di_mizar + r.actual.di_mizar,
-    do_blackfin: acc.do_blackfin + r.actual.do_blackfin,
-    do_mizar: acc.do_mizar + r.actual.do_mizar,
-  }), { di_blackfin: 0, di_mizar: 0, do_blackfin: 0, do_mizar: 0 }) : null;
+  const totals = results ? results.reduce((acc, r) => {
+    for (const key of Object.keys(r.actual)) acc[key] = addMoney(acc[key] || 0, r.actual[key]);
+    return acc;
+  }, {}) : null;
 
-  const grandTotal = totals ? totals.di_blackfin + totals.di_mizar + totals.do_blackfin + totals.do_mizar : 0;
-  const blackfinTotal = totals ? totals.di_blackfin + totals.do_blackfin : 0;
-  const mizarTotal = totals ? totals.di_mizar + totals.do_mizar : 0;
+  const grandTotal = totals ? totals.grand_total : 0;
+  const teamTotals = shownTeams.map(t => ({ ...t, total: teamTotal({ actual: totals }, t.id) }));
+  const teamShares = percentShares(teamTotals.map(t => t.total));
 
   return (
     <div className="min-h-screen px-4 py-8 max-w-7xl mx-auto">
       {/* Header */}
-      <header className="mb-8 fade-in">
+      <header className="mb-8 fade-in flex items-start justify-between">
         <div className="flex items-center gap-3 mb-2">
           <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-blue-500 to-teal-500 flex items-center justify-center">
             <BarChart3 className="w-5 h-5 text-white" />
@@ -163,8 +474,22 @@ function App() {
             <p className="text-sm text-slate-400">Automated partner revenue allocation</p>
           </div>
         </div>
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-xl text-sm transition-colors cursor-pointer">
+            <FileUp className="w-4 h-4" /> Import run
+            <input type="file" accept=".json,application/json" className="hidden"
+              onChange={e => { importRun(e.target.files[0]); e.target.value = ''; }} />
+          </label>
+          <button onClick={() => setHistoryOpen(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-xl text-sm transition-colors">
+            <History className="w-4 h-4" /> History
+          </button>
+        </div>
       </header>
 
+      <HistorySidebar open={historyOpen} onClose={() => setHistoryOpen(false)} currentId={savedRun?.id}
+        refreshKey={historyKey} onOpen={openSavedRun} onExport={exportSavedRun} />
+
       {/* Upload Section */}
       <section className="mb-8 fade-in">
         <div
@@ -175,7 +500,7 @@ function App() {
           onClick={() => document.getElementById('file-input').click()}
         >
           <Upload className="w-10 h-10 mx-auto mb-3 text-slate-400" />
-          <p className="text-slate-300 font-medium">Drop Excel files here or click to upload</p>
+          <p className="text-slate-300 font-medium">Drop Excel, ODS or CSV files here or click to upload</p>
           <p className="text-xs text-slate-500 mt-2">Upload JPM monthly files + Domestic Payments file</p>
           <div className="mt-3 inline-block text-left bg-slate-800/60 rounded-lg px-4 py-3 border border-slate-700/50">
             <p className="text-[11px] text-slate-400 font-semibold uppercase tracking-wider mb-1.5">Expected files</p>
@@ -186,26 +511,76 @@ function App() {
               <p><span className="text-amber-400 font-mono">📋</span> <span className="text-slate-400">Domestic_Payments.xlsx</span></p>
             </div>
             <p className="text-[10px] text-slate-600 mt-2 italic">Drop any combination — only matching months will be processed</p>
+            <p className="text-[10px] text-slate-600 italic">CSV extracts are recognised by their header row (TOTAL DI or Payment Details columns, or the mapping profile's)</p>
           </div>
-          <input id="file-input" type="file" multiple accept=".xlsx,.xls" className="hidden"
+          <input id="file-input" type="file" multiple accept={SOURCE_EXTENSIONS.join(',')} className="hidden"
             onChange={(e) => { handleFiles(e.target.files); e.target.value = ''; }} />
         </div>
 
+        <TeamRegistry teams={teams} onChange={updateTeams} />
+        <ProgramAliases aliases={programAliases} onChange={updateProgramAliases} />
+        <AdjustmentTypes types={adjustmentTypes} onChange={updateAdjustmentTypes} />
+        <AdjustmentsLedger entries={runLedger} teams={teams} programs={[...new Set(detailRows.map(r => r.program))].sort()}
+          unapplied={adjusted.unapplied} fmt={fmt} onChange={updateRunLedger} onExport={handleExportLedger} />
+        <FxSettings currency={fx.currency} locale={fx.locale} rates={fx.rates} onChange={updateFx} />
+        <FiscalSettings fiscal={fiscal} onChange={updateFiscal} />
+        <MappingProfiles profiles={profiles} active={profile.name}
+          onSelect={(name) => applyProfile(profiles, name)}
+          onCreate={(name) => applyProfile([...profiles, { name, columns: profile.columns }], name)}
+          onDelete={(name) => applyProfile(profiles.filter(p => p.name !== name), DEFAULT_PROFILE.name)} />
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mt-3 text-sm text-slate-300">
+          <label className="flex items-center gap-2">
+            DI attribution
+            <select value={diAttribution} onChange={e => updateAttribution(e.target.value)}
+              className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
+              <option value="transaction">Per-transaction date</option>
+              <option value="primary">Primary month per file (legacy)</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            SUMMARY reconciliation tolerance ({SOURCE_CURRENCY})
+            <input type="number" min="0" step="0.01" value={tolerance}
+              onChange={e => updateTolerance(Math.max(0, Number(e.target.value) || 0))}
+              className="w-24 bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+          </label>
+        </div>
+
         {files.length > 0 && (
           <div className="mt-4 space-y-2">
             {files.map((f, i) => (
-              <div key={i} className="glass-card-sm flex items-center justify-between">
+              <div key={f.id} className="glass-card-sm flex items-center justify-between">
                 <div className="flex items-center gap-3">
                   <FileSpreadsheet className="w-5 h-5 text-slate-400" />
                   <div>
                     <p className="text-sm font-medium text-slate-200">{f.name}</p>
                     <p className="text-xs text-slate-500">
-                      {f.type === 'jpm' ? '📊 JPM Monthly' : f.type === 'domestic' ? '📋 Domestic Payments' : '❓ Unknown format'}
+                      {f.status === 'reading' ? 'Reading…'
+                        : f.status === 'error' ? f.error
+                        : f.type === 'jpm' ? '📊 JPM Monthly' : f.type === 'domestic' ? '📋 Domestic Payments' : '❓ Unknown format'}
                     </p>
+                    {f.type === 'domestic' && f.columns?.sheets.length > 1 && (
+                      <div className="flex flex-wrap gap-x-3 mt-1">
+                        {f.columns.sheets.map(s => (
+                          <label key={s.name} className="flex items-center gap-1 text-xs text-slate-400">
+                            <input type="checkbox" checked={!(f.excludedSheets || []).includes(s.name)}
+                              onChange={() => toggleSheet(f.id, s.name)} />
+                            {s.name}
+                          </label>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </div>
                 <div className="flex items-center gap-2">
+                  {f.columns && (
+                    <button onClick={() => setMappingId(f.id)}
+                      className={`text-xs px-2 py-1 rounded hover:bg-slate-700 ${f.status === 'needs-mapping' ? 'text-amber-400' : 'text-slate-500'}`}>
+                      {f.status === 'needs-mapping' ? 'Map columns' : 'Columns'}
+                    </button>
+                  )}
+                  {f.status === 'reading' && <Loader2 className="w-4 h-4 text-slate-400 animate-spin" />}
                   {f.status === 'ready' && <CheckCircle2 className="w-4 h-4 text-emerald-400" />}
+                  {f.status === 'needs-mapping' && <AlertCircle className="w-4 h-4 text-amber-400" />}
                   {f.status === 'error' && <AlertCircle className="w-4 h-4 text-red-400" />}
                   {f.status === 'unknown' && <AlertCircle className="w-4 h-4 text-amber-400" />}
                   <button onClick={() => removeFile(i)} className="p-1 hover:bg-slate-700 rounded">
@@ -214,18 +589,42 @@ function App() {
                 </div>
               </div>
             ))}
-            <button
-              onClick={runProcessing}
-              disabled={processing || files.filter(f => f.type === 'jpm').length === 0}
-              className="mt-3 px-6 py-2.5 bg-gradient-to-r from-blue-600 to-teal-600 text-white font-medium rounded-xl
-                hover:from-blue-500 hover:to-teal-500 disabled:opacity-40 disabled:cursor-not-allowed transition-all"
-            >
-              {processing ? (
-                <span className="flex items-center gap-2"><span className="pulse-soft">Processing...</span></span>
-              ) : (
-                <span className="flex items-center gap-2"><TrendingUp className="w-4 h-4" /> Process Revenue Split</span>
+            {mappingFile && (
+              <ColumnMapper key={`${mappingFile.id}-${profile.name}`} file={mappingFile} profileName={profile.name}
+                onSave={saveMapping} onClose={() => setMappingId(null)} />
+            )}
+            <div className="mt-3 flex flex-wrap items-center gap-4">
+              <button
+                onClick={() => runProcessing()}
+                disabled={processing || files.filter(f => f.type === 'jpm').length === 0
+                  || files.some(f => f.status === 'needs-mapping' || f.status === 'reading')}
+                className="px-6 py-2.5 bg-gradient-to-r from-blue-600 to-teal-600 text-white font-medium rounded-xl
+                  hover:from-blue-500 hover:to-teal-500 disabled:opacity-40 disabled:cursor-not-allowed transition-all"
+              >
+                {processing ? (
+                  <span className="flex items-center gap-2"><span className="pulse-soft">Processing...</span></span>
+                ) : (
+                  <span className="flex items-center gap-2"><TrendingUp className="w-4 h-4" /> Process Revenue Split</span>
+                )}
+              </button>
+              {processing && (
+                <div className="flex-1 min-w-64 flex items-center gap-3">
+                  <div className="flex-1">
+                    <div className="h-2 rounded-full overflow-hidden bg-slate-700">
+                      <div className="h-full bg-gradient-to-r from-blue-500 to-teal-500 transition-all"
+                        style={{ width: `${progress ? progress.done / progress.total * 100 : 0}%` }} />
+                    </div>
+                    <p className="text-xs text-slate-500 mt-1">
+                      {progress ? `${STAGES[progress.stage]}${progress.filename ? ` · ${progress.filename}` : ''}` : 'Starting…'}
+                    </p>
+                  </div>
+                  <button onClick={() => pipeline.cancel()}
+                    className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+                    Cancel
+                  </button>
+                </div>
               )}
-            </button>
+            </div>
           </div>
         )}
       </section>
@@ -237,30 +636,89 @@ function App() {
       )}
 
       {/* Results */}
-      {results && (
+      {results && closeChanges.length > 0 && (
+        <ClosedPeriodDiff lines={closeChanges} state={periodClose} fmt={fmt}
+          onReopen={(monthKey, by, reason) => updatePeriodClose(reopenPeriod(periodClose, monthKey, by, reason))}
+          onDiscard={() => { setRun(null); setSavedRun(null); }} />
+      )}
+
+      {results && closeChanges.length === 0 && (
         <div className="space-y-6 fade-in">
+          {savedRun?.reopened && (
+            <div className="p-3 rounded-xl bg-blue-500/10 border border-blue-500/30 text-blue-200 text-sm">
+              <History className="w-4 h-4 inline mr-2" />
+              Viewing {savedRun.imported ? 'imported' : 'saved'} run "{savedRun.name}"
+              {savedRun.createdAt != null && ` from ${new Date(savedRun.createdAt).toLocaleString()}`}.
+              Upload the workbooks again to re-process it.
+              {savedRun.imported && savedRun.ledger.length > 0 && (
+                <>
+                  {' '}Its {savedRun.ledger.length} manual {savedRun.ledger.length === 1 ? 'adjustment applies' : 'adjustments apply'} to
+                  this run only.
+                  {importedOnly.length > 0 && (
+                    <button onClick={addImportedLedger} className="ml-2 underline hover:text-white">
+                      Add to the ledger
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Period selector */}
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-slate-400">View by</span>
+            {PERIOD_VIEWS.map(v => (
+              <button key={v.id} onClick={() => { setPeriodView(v.id); setReconOpen(null); }}
+                className={`px-3 py-1.5 rounded-lg transition-colors ${periodView === v.id
+                  ? 'bg-blue-600 text-white' : 'bg-slate-700 hover:bg-slate-600 text-slate-300'}`}>
+                {v.label}
+              </button>
+            ))}
+            {Object.keys(focus).length > 0 && (
+              <>
+                <span className="text-slate-400 ml-4">Focused on</span>
+                {[
+                  focus.teamId && ['teamId', shownTeams.find(t => t.id === focus.teamId)?.label ?? focus.teamId],
+                  focus.category && ['category', CATEGORIES.find(c => c.code === focus.category).label],
+                  focus.program && ['program', focus.program],
+                ].filter(Boolean).map(([key, label]) => (
+                  <button key={key} onClick={() => toggleFocus(key, focus[key])}
+                    className="flex items-center gap-1 px-2.5 py-1 rounded-lg bg-blue-500/20 text-blue-200 hover:bg-blue-500/30">
+                    {label} <X className="w-3 h-3" />
+                  </button>
+                ))}
+                <button onClick={() => setFocus({})} className="text-xs text-slate-400 hover:text-slate-200">Clear</button>
+              </>
+            )}
+          </div>
+
           {/* Grand Total */}
           <div className="glass-card text-center">
-            <p className="text-sm text-slate-400 uppercase tracking-wider mb-1">Total Revenue</p>
-            <p className="text-4xl font-bold text-white">{fmt(grandTotal)}</p>
-            <div className="flex justify-center gap-8 mt-4">
-              <div>
-                <div className="w-3 h-3 rounded-full inline-block mr-2" style={{ background: COLORS.blackfin }} />
-                <span className="text-sm text-slate-300">Blackfin: {fmt(blackfinTotal)}</span>
-                <span className="text-xs text-slate-500 ml-1">({(blackfinTotal/grandTotal*100).toFixed(1)}%)</span>
-              </div>
-              <div>
-                <div className="w-3 h-3 rounded-full inline-block mr-2" style={{ background: COLORS.mizar }} />
-                <span className="text-sm text-slate-300">Mizar: {fmt(mizarTotal)}</span>
-                <span className="text-xs text-slate-500 ml-1">({(mizarTotal/grandTotal*100).toFixed(1)}%)</span>
-              </div>
+            <p className="text-sm text-slate-400 uppercase tracking-wider mb-1">{totals.adj_total ? 'Net Revenue' : 'Total Revenue'}</p>
+            <p className="text-4xl font-bold text-white">
+              <span className="drill" onClick={() => openDrill('All transactions', {})}>{fmt(grandTotal)}</span>
+            </p>
+            {totals.adj_total ? (
+              <p className="text-sm text-slate-400 mt-1">
+                Gross {fmt(addMoney(grandTotal, -totals.adj_total))} · Adjustments/Refunds <span className="text-red-300">{fmt(totals.adj_total)}</span>
+              </p>
+            ) : null}
+            <div className="flex flex-wrap justify-center gap-x-8 gap-y-2 mt-4">
+              {teamTotals.map((t, i) => (
+                <div key={t.id}>
+                  <div className="w-3 h-3 rounded-full inline-block mr-2" style={{ background: t.color }} />
+                  <span className="text-sm text-slate-300">
+                    {t.label}: <span className="drill" onClick={() => openDrill(t.label, { teamId: t.id })}>{fmt(t.total)}</span>
+                  </span>
+                  <span className="text-xs text-slate-500 ml-1">({teamShares[i].toFixed(1)}%)</span>
+                </div>
+              ))}
             </div>
             {/* Split bar */}
-            <div className="mt-4 h-3 rounded-full overflow-hidden bg-slate-700 max-w-md mx-auto">
-              <div className="h-full rounded-full" style={{
-                width: `${blackfinTotal/grandTotal*100}%`,
-                background: `linear-gradient(to right, ${COLORS.blackfin}, ${COLORS.blackfinLight})`
-              }} />
+            <div className="mt-4 h-3 rounded-full overflow-hidden bg-slate-700 max-w-md mx-auto flex">
+              {teamTotals.map(t => (
+                <div key={t.id} className="h-full" style={{ width: `${t.total/grandTotal*100}%`, background: t.color }} />
+              ))}
             </div>
           </div>
 
@@ -268,52 +726,101 @@ function App() {
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             {/* Monthly breakdown cards */}
             <div className="space-y-4">
-              <h2 className="text-lg font-semibold text-white">Monthly Breakdown</h2>
-              {results.map((r, i) => (
-                <div key={i} className="glass-card">
-                  <h3 className="text-base font-semibold text-white mb-3">{r.month}</h3>
-                  <div className="grid grid-cols-2 gap-4">
-                    <div>
-                      <p className="text-xs text-slate-400 uppercase mb-2">Direct Import</p>
-                      <div className="space-y-2">
-                        <div className="flex justify-between text-sm">
-                          <span style={{ color: COLORS.blackfin }}>Blackfin</span>
-                          <span className="text-slate-200">{fmt(r.actual.di_blackfin)}</span>
-                        </div>
-                        <div className="flex justify-between text-sm">
-                          <span style={{ color: COLORS.mizar }}>Mizar</span>
-                          <span className="text-slate-200">{fmt(r.actual.di_mizar)}</span>
-                        </div>
-                        <div className="flex justify-between text-sm font-medium border-t border-slate-600 pt-1">
-                          <span className="text-slate-400">Total</span>
-                          <span className="text-white">{fmt(r.actual.di_total)}</span>
-                        </div>
+              <h2 className="text-lg font-semibold text-white">
+                {periodView === 'month' ? 'Monthly Breakdown' : periodView === 'quarter' ? 'Quarterly Breakdown' : 'Year to Date'}
+              </h2>
+              {results.map((r, i) => {
+                const reconSources = run.sources.filter(s => s.reconciliation && r.filenames.includes(s.filename));
+                return (
+                  <div key={i} className="glass-card">
+                    <div className="flex items-center justify-between mb-3">
+                      <div>
+                        <h3 className="text-base font-semibold text-white flex items-center gap-2">
+                          {r.month}
+                          {!r.months && periodClose.closed[r.monthKey] && <span title="Closed"><Lock className="w-3.5 h-3.5 text-emerald-300" /></span>}
+                        </h3>
+                        {r.months ? (
+                          <p className="text-xs text-slate-500">{r.months[0]}{r.months.length > 1 && ` – ${r.months[r.months.length - 1]}`}</p>
+                        ) : (fiscal.startMonth !== 1 || fiscal.pattern !== 'calendar') && r.monthKey > 0 && (
+                          <p className="text-xs text-slate-500">{fiscalMonthLabel(r.monthKey, fiscal)}</p>
+                        )}
                       </div>
+                      <ReconciliationBadge reconciliations={reconSources.map(s => s.reconciliation)}
+                        open={reconOpen === i} onToggle={() => setReconOpen(o => o === i ? null : i)} />
                     </div>
-                    <div>
-                      <p className="text-xs text-slate-400 uppercase mb-2">Domestic</p>
-                      <div className="space-y-2">
-                        <div className="flex justify-between text-sm">
-                          <span style={{ color: COLORS.blackfin }}>Blackfin</span>
-                          <span className="text-slate-200">{fmt(r.actual.do_blackfin)}</span>
-                        </div>
-                        <div className="flex justify-between text-sm">
-                          <span style={{ color: COLORS.mizar }}>Mizar</span>
-                          <span className="text-slate-200">{fmt(r.actual.do_mizar)}</span>
+                    <div className="grid grid-cols-2 gap-4">
+                      {CATEGORIES.filter(cat => cat.gross).map(cat => (
+                        <div key={cat.id}>
+                          <p className="text-xs text-slate-400 uppercase mb-2">{cat.label}</p>
+                          <div className="space-y-2">
+                            {shownTeams.map(t => (
+                              <div key={t.id} className="flex justify-between text-sm">
+                                <span style={{ color: t.color }}>{t.label}</span>
+                                <span className="text-slate-200 drill" onClick={() => openDrill(`${r.month} · ${cat.label} · ${t.label}`, { month: r.month, category: cat.code, teamId: t.id })}>
+                                  {fmt(r.actual[`${cat.id}_${t.id}`] || 0)}
+                                </span>
+                              </div>
+                            ))}
+                            <div className="flex justify-between text-sm font-medium border-t border-slate-600 pt-1">
+                              <span className="text-slate-400">Total</span>
+                              <span className="text-white drill" onClick={() => openDrill(`${r.month} · ${cat.label}`, { month: r.month, category: cat.code })}>
+                                {fmt(r.actual[`${cat.id}_total`])}
+                              </span>
+                            </div>
+                          </div>
                         </div>
-                        <div className="flex justify-between text-sm font-medium border-t border-slate-600 pt-1">
-                          <span className="text-slate-400">Total</span>
-                          <span className="text-white">{fmt(r.actual.do_total)}</span>
+                      ))}
+                    </div>
+                    {r.actual.adj_total ? (
+                      <div className="mt-3 pt-3 border-t border-slate-600">
+                        <div className="grid grid-cols-4 gap-2 text-xs text-slate-400 uppercase mb-1">
+                          <span>Adjustments/Refunds</span><span className="text-right">Gross</span>
+                          <span className="text-right">Adjustments</span><span className="text-right">Net</span>
                         </div>
+                        {shownTeams.map(t => (
+                          <div key={t.id} className="grid grid-cols-4 gap-2 text-sm">
+                            <span style={{ color: t.color }}>{t.label}</span>
+                            <span className="text-right text-slate-300 drill" onClick={() => openDrill(`${r.month} · Gross · ${t.label}`, { month: r.month, category: grossCodes, teamId: t.id })}>
+                              {fmt(teamGross(r, t.id))}
+                            </span>
+                            <span className="text-right text-red-300 drill" onClick={() => openDrill(`${r.month} · Adjustments/Refunds · ${t.label}`, { month: r.month, category: 'ADJ', teamId: t.id })}>
+                              {fmt(r.actual[`adj_${t.id}`] || 0)}
+                            </span>
+                            <span className="text-right text-slate-200 drill" onClick={() => openDrill(`${r.month} · ${t.label}`, { month: r.month, teamId: t.id })}>
+                              {fmt(teamTotal(r, t.id))}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    ) : null}
+                    {r.manual?.length > 0 && (
+                      <div className="mt-3 pt-3 border-t border-slate-600">
+                        <p className="text-xs text-blue-300 uppercase mb-1">Manual adjustments (included above)</p>
+                        {r.manual.map(e => (
+                          <div key={e.id} className="flex justify-between gap-2 text-sm" title={`${e.reason}${e.author ? ` — ${e.author}` : ''}`}>
+                            <span className="text-slate-400 truncate">
+                              <span style={{ color: shownTeams.find(t => t.id === e.teamId)?.color }}>{shownTeams.find(t => t.id === e.teamId)?.label ?? e.teamId}</span>
+                              {' · '}{e.category} · {e.program} · <span className="text-slate-500">{e.reason}</span>
+                            </span>
+                            <span className={`font-mono ${e.amount < 0 ? 'text-red-300' : 'text-blue-200'}`}>{fmt(e.amount)}</span>
+                          </div>
+                        ))}
                       </div>
+                    )}
+                    {r.do_sheets?.length > 0 && (
+                      <p className="mt-2 text-xs text-slate-500">Domestic rows from: {r.do_sheets.join(', ')}</p>
+                    )}
+                    {r.unassigned_teams?.length > 0 && (
+                      <p className="mt-2 text-xs text-slate-500">Unassigned Team values: {r.unassigned_teams.join(', ')}</p>
+                    )}
+                    <div className="mt-3 pt-3 border-t border-slate-600 flex justify-between text-sm font-semibold">
+                      <span className="text-slate-300">{r.actual.adj_total ? 'Net Total' : 'Grand Total'}</span>
+                      <span className="text-white drill" onClick={() => openDrill(r.month, { month: r.month })}>{fmt(r.actual.grand_total)}</span>
                     </div>
+                    {reconOpen === i && <ReconciliationTable sources={reconSources} fmt={fmtSource} />}
                   </div>
-                  <div className="mt-3 pt-3 border-t border-slate-600 flex justify-between text-sm font-semibold">
-                    <span className="text-slate-300">Grand Total</span>
-                    <span className="text-white">{fmt(r.actual.grand_total)}</span>
-                  </div>
-                </div>
-              ))}
+                );
+              })}
             </div>
 
             {/* Charts */}
@@ -325,15 +832,14 @@ function App() {
                 <h3 className="text-sm font-medium text-slate-300 mb-4">Partner Split</h3>
                 <ResponsiveContainer width="100%" height={220}>
                   <PieChart>
-                    <Pie data={[
-                      { name: 'Blackfin', value: blackfinTotal },
-                      { name: 'Mizar', value: mizarTotal },
-                    ]} cx="50%" cy="50%" innerRadius={55} outerRadius={85} paddingAngle={3} dataKey="value">
-                      <Cell fill={COLORS.blackfin} />
-                      <Cell fill={COLORS.mizar} />
+                    <Pie data={teamTotals.map(t => ({ name: t.label, value: t.total }))}
+                      cx="50%" cy="50%" innerRadius={55} outerRadius={85} paddingAngle={3} dataKey="value"
+                      onClick={(_, i) => openDrill(teamTotals[i].label, { teamId: teamTotals[i].id })} className="cursor-pointer">
+                      {teamTotals.map(t => <Cell key={t.id} fill={t.color} />)}
                     </Pie>
                     <Tooltip formatter={(v) => fmt(v)} contentStyle={{ background: '#1e293b', border: '1px solid #334155', borderRadius: 8, color: '#e2e8f0' }} />
-                    <Legend formatter={(v) => <span style={{ color: '#cbd5e1', fontSize: 12 }}>{v}</span>} />
+                    <Legend formatter={(v) => <span className="cursor-pointer" style={{ color: '#cbd5e1', fontSize: 12 }}>{v}</span>}
+                      onClick={(e) => toggleFocus('teamId', shownTeams.find(t => t.label === e.value)?.id)} />
                   </PieChart>
                 </ResponsiveContainer>
               </div>
@@ -341,105 +847,71 @@ function App() {
               {/* Bar chart - monthly comparison */}
               {results.length > 0 && (
                 <div className="glass-card">
-                  <h3 className="text-sm font-medium text-slate-300 mb-4">Monthly Revenue by Partner</h3>
+                  <h3 className="text-sm font-medium text-slate-300 mb-4">Revenue by Partner per {PERIOD_VIEWS.find(v => v.id === periodView).label}</h3>
                   <ResponsiveContainer width="100%" height={250}>
                     <BarChart data={results.map(r => ({
-                      month: r.month.split(' ')[0],
-                      Blackfin: r.actual.di_blackfin + r.actual.do_blackfin,
-                      Mizar: r.actual.di_mizar + r.actual.do_mizar,
+                      month: periodAxisLabel(r),
+                      ...Object.fromEntries(shownTeams.map(t => [t.label, teamTotal(r, t.id)])),
                     }))}>
                       <XAxis dataKey="month" tick={{ fill: '#94a3b8', fontSize: 12 }} />
                       <YAxis tickFormatter={fmtShort} tick={{ fill: '#94a3b8', fontSize: 11 }} />
                       <Tooltip formatter={(v) => fmt(v)} contentStyle={{ background: '#1e293b', border: '1px solid #334155', borderRadius: 8, color: '#e2e8f0' }} />
-                      <Legend formatter={(v) => <span style={{ color: '#cbd5e1', fontSize: 12 }}>{v}</span>} />
-                      <Bar dataKey="Blackfin" fill={COLORS.blackfin} radius={[4, 4, 0, 0]} />
-                      <Bar dataKey="Mizar" fill={COLORS.mizar} radius={[4, 4, 0, 0]} />
+                      <Legend formatter={(v) => <span className="cursor-pointer" style={{ color: '#cbd5e1', fontSize: 12 }}>{v}</span>}
+                        onClick={(e) => toggleFocus('teamId', shownTeams.find(t => t.label === e.dataKey)?.id)} />
+                      {shownTeams.map(t => (
+                        <Bar key={t.id} dataKey={t.label} fill={t.color} radius={[4, 4, 0, 0]} className="cursor-pointer"
+                          onClick={(_, i) => openDrill(`${results[i].month} · ${t.label}`, { month: results[i].month, teamId: t.id })} />
+                      ))}
                     </BarChart>
                   </ResponsiveContainer>
                 </div>
               )}
 
+              <TrendCharts results={periodResults} teams={shownTeams} focus={focus} onFocus={toggleFocus} fmt={fmt} fmtShort={fmtShort} />
+
               {/* DI vs DO chart */}
               <div className="glass-card">
-                <h3 className="text-sm font-medium text-slate-300 mb-4">DI vs Domestic</h3>
+                <h3 className="text-sm font-medium text-slate-300 mb-4">DI vs Domestic (gross)</h3>
                 <ResponsiveContainer width="100%" height={220}>
                   <PieChart>
                     <Pie data={[
-                      { name: 'Direct Import', value: totals.di_blackfin + totals.di_mizar },
-                      { name: 'Domestic', value: totals.do_blackfin + totals.do_mizar },
-                    ]} cx="50%" cy="50%" innerRadius={55} outerRadius={85} paddingAngle={3} dataKey="value">
+                      { name: 'Direct Import', value: totals.di_total },
+                      { name: 'Domestic', value: totals.do_total },
+                    ]} cx="50%" cy="50%" innerRadius={55} outerRadius={85} paddingAngle={3} dataKey="value" className="cursor-pointer"
+                      onClick={(_, i) => openDrill(CATEGORIES[i].label, { category: CATEGORIES[i].code })}>
                       <Cell fill={COLORS.di} />
                       <Cell fill={COLORS.domestic} />
                     </Pie>
                     <Tooltip formatter={(v) => fmt(v)} contentStyle={{ background: '#1e293b', border: '1px solid #334155', borderRadius: 8, color: '#e2e8f0' }} />
-                    <Legend formatter={(v) => <span style={{ color: '#cbd5e1', fontSize: 12 }}>{v}</span>} />
+                    <Legend formatter={(v) => <span className="cursor-pointer" style={{ color: '#cbd5e1', fontSize: 12 }}>{v}</span>}
+                      onClick={(e) => toggleFocus('category', CATEGORIES.find(c => c.label === e.value)?.code)} />
                   </PieChart>
                 </ResponsiveContainer>
               </div>
             </div>
           </div>
 
-          {/* Detail Table */}
-          <div className="glass-card">
-            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
-              <h2 className="text-lg font-semibold text-white">Program Detail</h2>
-              <div className="flex gap-2">
-                <select value={filterTeam} onChange={e => setFilterTeam(e.target.value)}
-                  className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
-                  <option value="all">All Teams</option>
-                  <option value="Blackfin">Blackfin</option>
-                  <option value="Mizar">Mizar</option>
-                </select>
-                <select value={filterCat} onChange={e => setFilterCat(e.target.value)}
-                  className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
-                  <option value="all">All Categories</option>
-                  <option value="DI">Direct Import</option>
-                  <option value="DO">Domestic</option>
-                </select>
-              </div>
-            </div>
-            <div className="overflow-x-auto">
-              <table className="data-table">
-                <thead>
-                  <tr>
-                    <th onClick={() => toggleSort('month')}>Month <SortIcon col="month" /></th>
-                    <th onClick={() => toggleSort('category')}>Category <SortIcon col="category" /></th>
-                    <th onClick={() => toggleSort('team')}>Team <SortIcon col="team" /></th>
-                    <th onClick={() => toggleSort('program')}>Program <SortIcon col="program" /></th>
-                    <th onClick={() => toggleSort('amount')} className="text-right">Amount <SortIcon col="amount" /></th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {sorted.map((r, i) => (
-                    <tr key={i}>
-                      <td>{r.month}</td>
-                      <td>
-                        <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${
-                          r.category === 'DI' ? 'bg-purple-500/20 text-purple-300' : 'bg-amber-500/20 text-amber-300'
-                        }`}>{r.category === 'DI' ? 'Direct Import' : 'Domestic'}</span>
-                      </td>
-                      <td>
-                        <span className="flex items-center gap-1.5">
-                          <span className="w-2 h-2 rounded-full" style={{ background: r.team === 'Blackfin' ? COLORS.blackfin : COLORS.mizar }} />
-                          {r.team}
-                        </span>
-                      </td>
-                      <td className="text-slate-300">{r.program}</td>
-                      <td className="text-right font-mono text-slate-200">{fmt(r.amount)}</td>
-                    </tr>
-                  ))}
-                </tbody>
-                <tfoot>
-                  <tr>
-                    <td colSpan={4} className="font-semibold text-slate-300">Total ({sorted.length} rows)</td>
-                    <td className="text-right font-mono font-semibold text-white">
-                      {fmt(sorted.reduce((s, r) => s + r.amount, 0))}
-                    </td>
-                  </tr>
-                </tfoot>
-              </table>
-            </div>
-          </div>
+          <ProgramDetail rows={detailRows} teams={shownTeams} rawPrograms={rawPrograms}
+            periodLabel={periodView === 'month' ? 'Month' : 'Period'} fmt={fmt} currency={currency} locale={fx.locale}
+            onDrill={openDrill} onDownload={downloadBlob} />
+
+          <ProgramMerges suggestions={suggestMerges(detailRows)} fmt={fmt} onAccept={acceptMerge} />
+
+          <PeriodClosePanel results={adjusted.results} state={periodClose} fmt={fmt}
+            onClose={(result, by) => updatePeriodClose(closePeriod(periodClose, result, by))}
+            onReopen={(monthKey, by, reason) => updatePeriodClose(reopenPeriod(periodClose, monthKey, by, reason))} />
+
+          <Variance variance={variance} thresholds={varianceThresholds} onThresholdsChange={updateVarianceThresholds}
+            baseId={varianceBase?.id} onBaseChange={selectVarianceBase} currentId={savedRun?.id} refreshKey={historyKey} fmt={fmt} currency={currency} />
+
+          <TransactionDrawer key={drill ? JSON.stringify(drill.filter) : 'closed'} drill={drill}
+            transactions={drill ? findTransactions(results, drill.filter) : []} fmt={fmt}
+            onClose={() => setDrill(null)} onExport={handleExportTransactions} />
+
+          <Duplicates groups={run.duplicates} fmt={fmt}
+            onResolve={!savedRun?.reopened && files.some(f => f.type === 'jpm') ? resolveDuplicates : null} />
+
+          <DataQuality sources={run.sources} locale={fx.locale} onDownload={handleExportIssues} />
 
           {/* Export buttons */}
           <div className="flex flex-wrap gap-3">
@@ -449,6 +921,13 @@ function App() {
             <button onClick={handleExportExcel} className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-xl text-sm transition-colors">
               <FileSpreadsheet className="w-4 h-4" /> Export Excel
             </button>
+            <button onClick={handleExportJSON} className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-xl text-sm transition-colors">
+              <FileJson className="w-4 h-4" /> Export JSON
+            </button>
+            <button onClick={handleStatements} disabled={generating}
+              className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-xl text-sm transition-colors disabled:opacity-40">
+              {generating ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileText className="w-4 h-4" />} Generate statements
+            </button>
             <button onClick={handleCopy} className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-xl text-sm transition-colors">
               <ClipboardCopy className="w-4 h-4" /> {copied ? 'Copied!' : 'Copy to Clipboard'}
             </button>
@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { RotateCcw, ChevronDown, ChevronUp } from 'lucide-react';
+import { DEFAULT_ADJUSTMENT_TYPES, sanitizeAdjustmentTypes } from '../refunds';
+
+/**
+ * Transaction Type words and phrases that mark refunds and reversals, edited
+ * as a comma-separated list and pushed up through `onChange` when the field
+ * loses focus.
+ */
+export default function AdjustmentTypes({ types, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(types.join(', '));
+
+  const commit = (next) => {
+    setDraft(next.join(', '));
+    if (next.join('\u0000') !== types.join('\u0000')) onChange(next);
+  };
+
+  return (
+    <div className="glass-card-sm mt-4">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex items-center justify-between text-sm text-slate-300">
+        <span className="flex items-center gap-2">
+          <RotateCcw className="w-4 h-4 text-slate-400" /> Refund types
+          <span className="text-xs text-slate-500">({types.length} {types.length === 1 ? 'word' : 'words'})</span>
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-2">
+          <textarea value={draft} onChange={e => setDraft(e.target.value)} rows={2}
+            onBlur={() => commit(sanitizeAdjustmentTypes(draft.split(',')))}
+            className="w-full bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+          <div className="flex gap-2">
+            <button onClick={() => commit(DEFAULT_ADJUSTMENT_TYPES)}
+              className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+              Reset to defaults
+            </button>
+          </div>
+          <p className="text-[11px] text-slate-500">
+            Rows whose Transaction Type contains one of these as a whole word or phrase (case-insensitive) go to
+            Adjustments/Refunds as negative amounts; "credit memo" matches "Credit Memo #12" but not "Credit Card".
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { NotebookPen, Plus, Trash2, Upload, Download, ChevronDown, ChevronUp } from 'lucide-react';
+import { CATEGORIES } from '../pipeline';
+import { newEntryId, sanitizeLedger, parseLedgerJSON } from '../ledger';
+
+const inputClass = 'bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600';
+
+/**
+ * Manual adjustments ledger. Entries apply on top of the processed workbooks
+ * without a re-run; changes are pushed up immediately through `onChange`.
+ * `unapplied` lists entries whose month or team is not in the current run.
+ */
+export default function AdjustmentsLedger({ entries, teams, programs, unapplied, fmt, onChange, onExport }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(() => ({
+    month: '', teamId: teams[0]?.id ?? '', category: 'DI', program: '', amount: '', reason: '',
+    author: entries[entries.length - 1]?.author ?? '',
+  }));
+  const [importError, setImportError] = useState(null);
+
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+  const [entry] = sanitizeLedger([{ ...draft, id: newEntryId(), createdAt: new Date().toISOString() }]);
+  const skipped = new Set(unapplied.map(e => e.id));
+  const teamLabel = (id) => teams.find(t => t.id === id)?.label ?? id;
+
+  const add = () => {
+    if (!entry || !draft.reason.trim()) return;
+    onChange([...entries, entry]);
+    set({ program: '', amount: '', reason: '' });
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseLedgerJSON(await file.text());
+      const ids = new Set(entries.map(e => e.id));
+      onChange([...entries, ...imported.filter(e => !ids.has(e.id))]);
+      setImportError(null);
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  return (
+    <div className="glass-card-sm mt-4">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex items-center justify-between text-sm text-slate-300">
+        <span className="flex items-center gap-2">
+          <NotebookPen className="w-4 h-4 text-slate-400" /> Manual adjustments
+          <span className="text-xs text-slate-500">
+            ({entries.length} {entries.length === 1 ? 'entry' : 'entries'}{unapplied.length > 0 && `, ${unapplied.length} not applied`})
+          </span>
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-2">
+          {entries.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Month</th><th>Team</th><th>Category</th><th>Program</th>
+                    <th className="text-right">Amount</th><th>Reason</th><th>Author</th><th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(e => (
+                    <tr key={e.id} className={skipped.has(e.id) ? 'opacity-50' : ''}
+                      title={skipped.has(e.id) ? 'Not applied: the month or team is not in the current run' : `Entered ${new Date(e.createdAt).toLocaleString()}`}>
+                      <td>{e.month}</td>
+                      <td>{teamLabel(e.teamId)}</td>
+                      <td>{e.category}</td>
+                      <td className="text-slate-300">{e.program}</td>
+                      <td className={`text-right font-mono ${e.amount < 0 ? 'text-red-300' : 'text-slate-200'}`}>{fmt(e.amount)}</td>
+                      <td className="text-slate-400">{e.reason}</td>
+                      <td className="text-slate-400">{e.author}</td>
+                      <td>
+                        <button onClick={() => onChange(entries.filter(x => x.id !== e.id))} className="p-1 hover:bg-slate-700 rounded">
+                          <Trash2 className="w-4 h-4 text-slate-500" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 pt-2">
+            <input type="month" value={draft.month} onChange={e => set({ month: e.target.value })} className={inputClass} />
+            <select value={draft.teamId} onChange={e => set({ teamId: e.target.value })} className={inputClass}>
+              {teams.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+            <select value={draft.category} onChange={e => set({ category: e.target.value })} className={inputClass}>
+              {CATEGORIES.map(c => <option key={c.code} value={c.code}>{c.label}</option>)}
+            </select>
+            <input value={draft.program} onChange={e => set({ program: e.target.value })} placeholder="Program"
+              list="ledger-programs" className={inputClass} />
+            <datalist id="ledger-programs">
+              {programs.map(p => <option key={p} value={p} />)}
+            </datalist>
+            <input type="number" step="0.01" value={draft.amount} onChange={e => set({ amount: e.target.value })}
+              placeholder="Amount (− to deduct)" className={inputClass} />
+            <input value={draft.reason} onChange={e => set({ reason: e.target.value })} placeholder="Reason"
+              className={`${inputClass} md:col-span-2`} />
+            <input value={draft.author} onChange={e => set({ author: e.target.value })} placeholder="Author" className={inputClass} />
+          </div>
+          <div className="flex gap-2 pt-2">
+            <button onClick={add} disabled={!entry || !draft.reason.trim()}
+              className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm disabled:opacity-40">
+              <Plus className="w-4 h-4" /> Add entry
+            </button>
+            <label className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm cursor-pointer">
+              <Upload className="w-4 h-4" /> Import JSON
+              <input type="file" accept=".json,application/json" className="hidden"
+                onChange={e => { importFile(e.target.files[0]); e.target.value = ''; }} />
+            </label>
+            <button onClick={onExport} disabled={entries.length === 0}
+              className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm disabled:opacity-40">
+              <Download className="w-4 h-4" /> Export JSON
+            </button>
+          </div>
+          {importError && <p className="text-xs text-red-300">{importError}</p>}
+          <p className="text-[11px] text-slate-500">
+            Amounts are in the reporting currency and add to the month's team, category and program totals; every entry needs
+            a reason. Importing adds entries to the ledger, skipping ones already in it.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { Columns3, X } from 'lucide-react';
+import { FIELDS } from '../mapping';
+
+/**
+ * Lets the user point each reader field at a column from the sheet's header
+ * row. Shown when a required header can't be found by its aliases.
+ */
+export default function ColumnMapper({ file, profileName, onSave, onClose }) {
+  const { sheet, headers, columns, missing } = file.columns;
+  const fields = FIELDS[file.type];
+  const [picked, setPicked] = useState(() => Object.fromEntries(
+    fields.map(f => [f.key, columns[f.key] != null ? String(headers[columns[f.key]]).trim() : ''])
+  ));
+
+  const options = [...new Set(headers.filter(h => h != null && String(h).trim()).map(h => String(h).trim()))];
+
+  const save = () => {
+    const overrides = Object.fromEntries(Object.entries(picked).filter(([, header]) => header));
+    onSave(file.type, overrides);
+  };
+
+  return (
+    <div className="glass-card-sm mt-4 border-amber-500/30">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-medium text-slate-200 flex items-center gap-2">
+          <Columns3 className="w-4 h-4 text-amber-400" /> Map columns for {file.name}
+          <span className="text-xs text-slate-500">sheet "{sheet}"</span>
+        </p>
+        <button onClick={onClose} className="p-1 hover:bg-slate-700 rounded">
+          <X className="w-4 h-4 text-slate-500" />
+        </button>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {fields.map(f => (
+          <label key={f.key} className="text-xs text-slate-400">
+            <span className={missing.includes(f.key) ? 'text-amber-400' : ''}>
+              {f.label}{f.required ? ' *' : f.requiredGroup ? ' †' : ''}
+            </span>
+            <select value={picked[f.key]} onChange={e => setPicked(p => ({ ...p, [f.key]: e.target.value }))}
+              className="mt-1 w-full bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
+              <option value="">— not mapped —</option>
+              {options.map(h => <option key={h} value={h}>{h}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+      <p className="text-[11px] text-slate-500 mt-2">* required · † at least one amount column required</p>
+      <button onClick={save}
+        className="mt-3 px-4 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+        Save to profile "{profileName}"
+      </button>
+    </div>
+  );
+}
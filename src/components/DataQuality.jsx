@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { ShieldAlert, Download } from 'lucide-react';
+import { ISSUE_REASONS, summarizeIssues } from '../quality';
+import { moneyFormatter, SOURCE_CURRENCY } from '../currency';
+
+/**
+ * Lists every row the readers skipped, so totals can be explained against
+ * the source workbooks.
+ */
+export default function DataQuality({ sources, locale, onDownload }) {
+  const [filterFile, setFilterFile] = useState('all');
+  const [filterReason, setFilterReason] = useState('all');
+
+  const allIssues = sources.flatMap(s => s.issues);
+  const { counts, skipped, warnings } = summarizeIssues(allIssues, SOURCE_CURRENCY);
+  // Skipped rows were never converted: amounts show in their own currency
+  const formatters = new Map();
+  const fmtIn = (currency) => {
+    const code = currency || SOURCE_CURRENCY;
+    if (!formatters.has(code)) formatters.set(code, moneyFormatter(code, locale));
+    return formatters.get(code);
+  };
+  const skippedTotals = Object.entries(skipped).map(([currency, amount]) => fmtIn(currency)(amount));
+  const shown = allIssues.filter(i =>
+    (filterFile === 'all' || i.file === filterFile) &&
+    (filterReason === 'all' || i.reason === filterReason)
+  );
+
+  const formatValue = (v) => v instanceof Date ? v.toISOString().slice(0, 10) : String(v ?? '');
+
+  return (
+    <div className="glass-card">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <ShieldAlert className={`w-5 h-5 ${warnings > 0 ? 'text-amber-400' : 'text-emerald-400'}`} /> Data Quality
+        </h2>
+        <div className="flex gap-2">
+          <select value={filterFile} onChange={e => setFilterFile(e.target.value)}
+            className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
+            <option value="all">All Files</option>
+            {sources.map(s => <option key={s.filename} value={s.filename}>{s.filename}</option>)}
+          </select>
+          <select value={filterReason} onChange={e => setFilterReason(e.target.value)}
+            className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
+            <option value="all">All Reasons</option>
+            {Object.entries(ISSUE_REASONS).map(([k, r]) => <option key={k} value={k}>{r.label}</option>)}
+          </select>
+          <button onClick={() => onDownload(shown)} disabled={shown.length === 0}
+            className="flex items-center gap-2 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm disabled:opacity-40">
+            <Download className="w-4 h-4" /> Download
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-4 text-sm">
+        {sources.map(s => (
+          <div key={s.filename} className="rounded-lg bg-slate-800/60 border border-slate-700/50 px-3 py-2">
+            <p className="text-slate-300 font-medium">{s.filename}</p>
+            <p className="text-xs text-slate-500">{s.sheet} · {s.rowCount} rows read · {s.issues.length} skipped</p>
+          </div>
+        ))}
+        <div className="rounded-lg bg-slate-800/60 border border-slate-700/50 px-3 py-2">
+          <p className="text-slate-300 font-medium">{skippedTotals.length > 0 ? skippedTotals.join(' · ') : fmtIn()(0)}</p>
+          <p className="text-xs text-slate-500">skipped amount ({warnings} warnings)</p>
+        </div>
+        {Object.entries(counts).map(([reason, n]) => (
+          <button key={reason} onClick={() => setFilterReason(reason)} className="rounded-lg bg-slate-800/60 border border-slate-700/50 px-3 py-2 text-left hover:border-slate-500">
+            <p className="text-slate-300 font-medium">{n}</p>
+            <p className="text-xs text-slate-500">{ISSUE_REASONS[reason].label}</p>
+          </button>
+        ))}
+      </div>
+
+      {shown.length === 0 ? (
+        <p className="text-sm text-slate-500">No skipped rows.</p>
+      ) : (
+        <div className="overflow-x-auto max-h-96">
+          <table className="data-table">
+            <thead>
+              <tr><th>File</th><th>Sheet</th><th>Row</th><th>Reason</th><th>Raw values</th><th className="text-right">Amount</th></tr>
+            </thead>
+            <tbody>
+              {shown.map((i, idx) => (
+                <tr key={idx}>
+                  <td className="text-slate-300">{i.file}</td>
+                  <td className="text-slate-400">{i.sheet}</td>
+                  <td className="font-mono text-slate-400">{i.row}</td>
+                  <td>
+                    <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${
+                      i.severity === 'warning' ? 'bg-amber-500/20 text-amber-300' : 'bg-slate-500/20 text-slate-300'
+                    }`}>{ISSUE_REASONS[i.reason].label}</span>
+                  </td>
+                  <td className="text-xs text-slate-500 font-mono">
+                    {Object.entries(i.values).map(([k, v]) => `${k}: ${formatValue(v)}`).join(' · ')}
+                  </td>
+                  <td className="text-right font-mono text-slate-200">{i.amount != null ? fmtIn(i.values.currency)(i.amount) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
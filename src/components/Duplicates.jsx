@@ -0,0 +1,68 @@
+import { Copy } from 'lucide-react';
+import { RESOLUTIONS } from '../duplicates';
+
+/**
+ * Duplicate row groups found within and across uploads, each with its own
+ * resolution. Changing a resolution re-runs the split; without `onResolve`
+ * (a run reopened from History or imported, whose workbooks aren't loaded)
+ * the resolutions are only shown.
+ */
+export default function Duplicates({ groups, fmt, onResolve }) {
+  if (groups.length === 0) return null;
+
+  const excluded = groups.reduce((n, g) => n + g.rows.filter(r => !r.kept).length, 0);
+  const formatDate = (d) => d ? new Date(d).toISOString().slice(0, 10) : '—';
+
+  return (
+    <div className="glass-card">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <Copy className="w-5 h-5 text-amber-400" /> Duplicate Transactions
+          <span className="text-sm font-normal text-slate-400">{groups.length} groups · {excluded} rows excluded</span>
+        </h2>
+        {onResolve ? (
+          <div className="flex gap-2 text-sm text-slate-300 items-center">
+            Apply to all
+            {Object.entries(RESOLUTIONS).map(([key, label]) => (
+              <button key={key} onClick={() => onResolve(Object.fromEntries(groups.map(g => [g.id, key])))}
+                className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg">
+                {label}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <span className="text-xs text-slate-500">Upload the workbooks again to change resolutions</span>
+        )}
+      </div>
+      <div className="overflow-x-auto max-h-96">
+        <table className="data-table">
+          <thead>
+            <tr><th>Source</th><th>File</th><th>Row</th><th>Date</th><th>Team</th><th>Program</th><th className="text-right">Amount</th><th>Resolution</th></tr>
+          </thead>
+          <tbody>
+            {groups.map(g => g.rows.map((r, i) => (
+              <tr key={`${g.id}-${i}`} className={r.kept ? '' : 'opacity-50 line-through'}>
+                <td>{i === 0 && <span className="text-xs text-slate-400">{g.kind === 'jpm' ? 'DI' : 'DO'} · {g.scope === 'across' ? 'across files/sheets' : 'within sheet'}</span>}</td>
+                <td className="text-slate-300">{r.file}</td>
+                <td className="font-mono text-slate-400">{r.row}</td>
+                <td className="text-slate-400">{formatDate(r.date)}</td>
+                <td className="text-slate-300">{r.team}</td>
+                <td className="text-slate-300">{r.program}</td>
+                <td className="text-right font-mono text-slate-200">{fmt(r.amount)}</td>
+                <td>
+                  {i === 0 && !onResolve && <span className="text-xs text-slate-400">{RESOLUTIONS[g.resolution]}</span>}
+                  {i === 0 && onResolve && (
+                    <select value={g.resolution} onChange={e => onResolve({ [g.id]: e.target.value })}
+                      className="bg-slate-700 text-xs text-slate-200 rounded-lg px-2 py-1 border border-slate-600 no-underline">
+                      {Object.entries(RESOLUTIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                  )}
+                </td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import { CalendarRange, ChevronDown, ChevronUp } from 'lucide-react';
+import { FISCAL_PATTERNS } from '../fiscal';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Fiscal year start month and week pattern. Changes are pushed up
+ * immediately through `onChange`, like FxSettings.
+ */
+export default function FiscalSettings({ fiscal, onChange }) {
+  const [open, setOpen] = useState(false);
+  const set = (patch) => onChange({ ...fiscal, ...patch });
+
+  return (
+    <div className="glass-card-sm mt-4">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex items-center justify-between text-sm text-slate-300">
+        <span className="flex items-center gap-2">
+          <CalendarRange className="w-4 h-4 text-slate-400" /> Fiscal calendar
+          <span className="text-xs text-slate-500">
+            (starts {MONTHS[fiscal.startMonth - 1]} · {fiscal.pattern === 'calendar' ? 'calendar months' : fiscal.pattern})
+          </span>
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-2">
+          <div className="flex flex-wrap gap-4 text-sm text-slate-300">
+            <label className="flex items-center gap-2">
+              Year starts in
+              <select value={fiscal.startMonth} onChange={e => set({ startMonth: Number(e.target.value) })}
+                className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
+                {MONTHS.map((m, i) => <option key={m} value={i + 1}>{m}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Months
+              <select value={fiscal.pattern} onChange={e => set({ pattern: e.target.value })}
+                className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
+                {Object.keys(FISCAL_PATTERNS).map(p => (
+                  <option key={p} value={p}>{p === 'calendar' ? 'Calendar months' : `${p} weeks`}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className="text-[11px] text-slate-500">
+            Fiscal years are named after the year they end in. With a week pattern the year starts on the Monday
+            nearest the 1st of its first month, and a 53rd week goes to the last month.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { Coins, Plus, Trash2, Upload, ChevronDown, ChevronUp } from 'lucide-react';
+import { parseRatesCSV } from '../currency';
+
+/**
+ * Reporting currency, display locale and the FX rate table. Like
+ * TeamRegistry, changes are pushed up immediately through `onChange`.
+ */
+export default function FxSettings({ currency, locale, rates, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+
+  const set = (patch) => onChange({ currency, locale, rates, ...patch });
+  const updateRate = (idx, patch) => set({ rates: rates.map((r, i) => i === idx ? { ...r, ...patch } : r) });
+
+  const upload = async (file) => {
+    if (!file) return;
+    try {
+      set({ rates: parseRatesCSV(await file.text()) });
+      setUploadError(null);
+    } catch (err) {
+      setUploadError(err.message);
+    }
+  };
+
+  return (
+    <div className="glass-card-sm mt-4">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex items-center justify-between text-sm text-slate-300">
+        <span className="flex items-center gap-2">
+          <Coins className="w-4 h-4 text-slate-400" /> Currency
+          <span className="text-xs text-slate-500">({currency} · {locale} · {rates.length} FX {rates.length === 1 ? 'rate' : 'rates'})</span>
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-2">
+          <div className="flex flex-wrap gap-4 text-sm text-slate-300">
+            <label className="flex items-center gap-2">
+              Reporting currency
+              <input value={currency} maxLength={3} onChange={e => set({ currency: e.target.value.toUpperCase() })}
+                className="w-20 bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600 uppercase" />
+            </label>
+            <label className="flex items-center gap-2">
+              Locale
+              <input value={locale} onChange={e => set({ locale: e.target.value })} placeholder="en-US"
+                className="w-28 bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+            </label>
+          </div>
+
+          <div className="grid grid-cols-[1fr_1fr_1fr_2rem] gap-2 pt-2 text-[11px] text-slate-500 uppercase tracking-wider">
+            <span>Currency</span><span>Month or date</span><span>Rate to {currency}</span><span />
+          </div>
+          {rates.map((r, i) => (
+            <div key={i} className="grid grid-cols-[1fr_1fr_1fr_2rem] gap-2 items-center">
+              <input value={r.currency} maxLength={3} onChange={e => updateRate(i, { currency: e.target.value.toUpperCase() })}
+                className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600 uppercase" />
+              <input value={r.period} onChange={e => updateRate(i, { period: e.target.value })} placeholder="2025-10 or 2025-10-15"
+                className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+              <input type="number" step="any" min="0" value={r.rate} onChange={e => updateRate(i, { rate: e.target.value })}
+                className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+              <button onClick={() => set({ rates: rates.filter((_, j) => j !== i) })} className="p-1 hover:bg-slate-700 rounded">
+                <Trash2 className="w-4 h-4 text-slate-500" />
+              </button>
+            </div>
+          ))}
+          <div className="flex gap-2 pt-2">
+            <button onClick={() => set({ rates: [...rates, { currency: '', period: '', rate: '' }] })}
+              className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+              <Plus className="w-4 h-4" /> Add rate
+            </button>
+            <label className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm cursor-pointer">
+              <Upload className="w-4 h-4" /> Upload CSV
+              <input type="file" accept=".csv,text/csv" className="hidden"
+                onChange={e => { upload(e.target.files[0]); e.target.value = ''; }} />
+            </label>
+          </div>
+          {uploadError && <p className="text-xs text-red-300">{uploadError}</p>}
+          <p className="text-[11px] text-slate-500">
+            A rate for a specific date wins over its month's rate. The CSV needs Currency, Period (or Date/Month) and Rate
+            columns. Rows in a currency with no matching rate are skipped and listed under Data Quality.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+import { History, X, Pencil, Trash2, Download, FolderOpen } from 'lucide-react';
+import { listRuns, renameRun, deleteRun } from '../history';
+
+/**
+ * Slide-over list of saved runs. `refreshKey` changes whenever the parent
+ * saves a run, so the list reloads.
+ */
+export default function HistorySidebar({ open, onClose, currentId, refreshKey, onOpen, onExport }) {
+  const [runs, setRuns] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!open) return;
+    listRuns()
+      .then(list => { setRuns(list); setLoadError(null); })
+      .catch(err => setLoadError(err.message || 'History is unavailable in this browser'));
+  }, [open, refreshKey, reloadKey]);
+
+  const reload = () => setReloadKey(k => k + 1);
+
+  const commitRename = async (id) => {
+    if (draftName.trim()) await renameRun(id, draftName.trim());
+    setEditing(null);
+    reload();
+  };
+
+  const remove = async (id) => {
+    await deleteRun(id);
+    reload();
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/40" onClick={onClose}>
+      <aside className="w-full max-w-md h-full overflow-y-auto bg-slate-900 border-l border-slate-700 p-6 fade-in"
+        onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+            <History className="w-5 h-5 text-slate-400" /> Run History
+          </h2>
+          <button onClick={onClose} className="p-1 hover:bg-slate-700 rounded">
+            <X className="w-4 h-4 text-slate-500" />
+          </button>
+        </div>
+        <p className="text-xs text-slate-500 mb-4">Runs are stored in this browser only.</p>
+
+        {loadError && <p className="text-sm text-red-300">{loadError}</p>}
+        {!loadError && runs.length === 0 && <p className="text-sm text-slate-500">No saved runs yet.</p>}
+
+        <div className="space-y-2">
+          {runs.map(r => (
+            <div key={r.id} className={`glass-card-sm ${r.id === currentId ? 'border-blue-500/50' : ''}`}>
+              {editing === r.id ? (
+                <input autoFocus value={draftName} onChange={e => setDraftName(e.target.value)}
+                  onBlur={() => commitRename(r.id)} onKeyDown={e => e.key === 'Enter' && commitRename(r.id)}
+                  className="w-full bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+              ) : (
+                <p className="text-sm font-medium text-slate-200">{r.name}</p>
+              )}
+              <p className="text-xs text-slate-500 mt-1">
+                {new Date(r.createdAt).toLocaleString()} · {r.months.length} month{r.months.length === 1 ? '' : 's'}
+              </p>
+              <p className="text-xs text-slate-600 truncate" title={r.files.map(f => f.name).join(', ')}>
+                {r.files.map(f => f.name).join(', ')}
+              </p>
+              <div className="flex gap-1 mt-2">
+                <button onClick={() => onOpen(r.id)} title="Open"
+                  className="flex items-center gap-1 px-2 py-1 text-xs bg-slate-700 hover:bg-slate-600 text-slate-200 rounded">
+                  <FolderOpen className="w-3 h-3" /> Open
+                </button>
+                <button onClick={() => { setEditing(r.id); setDraftName(r.name); }} title="Rename" className="p-1 hover:bg-slate-700 rounded">
+                  <Pencil className="w-3.5 h-3.5 text-slate-400" />
+                </button>
+                <button onClick={() => onExport(r.id)} title="Export" className="p-1 hover:bg-slate-700 rounded">
+                  <Download className="w-3.5 h-3.5 text-slate-400" />
+                </button>
+                <button onClick={() => remove(r.id)} title="Delete" className="p-1 hover:bg-slate-700 rounded">
+                  <Trash2 className="w-3.5 h-3.5 text-slate-400" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </aside>
+    </div>
+  );
+}
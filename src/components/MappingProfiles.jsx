@@ -0,0 +1,39 @@
+import { useState } from 'react';
+import { Columns3, Plus, Trash2 } from 'lucide-react';
+import { DEFAULT_PROFILE } from '../mapping';
+
+/**
+ * Picker for named column mapping profiles, shared by the DI and DO readers.
+ */
+export default function MappingProfiles({ profiles, active, onSelect, onCreate, onDelete }) {
+  const [newName, setNewName] = useState('');
+
+  const create = () => {
+    const name = newName.trim();
+    if (!name || profiles.some(p => p.name === name)) return;
+    onCreate(name);
+    setNewName('');
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-4 text-sm text-slate-300">
+      <Columns3 className="w-4 h-4 text-slate-400" />
+      <span>Column profile</span>
+      <select value={active} onChange={e => onSelect(e.target.value)}
+        className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
+        {profiles.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+      </select>
+      {active !== DEFAULT_PROFILE.name && (
+        <button onClick={() => onDelete(active)} className="p-1.5 hover:bg-slate-700 rounded" title="Delete profile">
+          <Trash2 className="w-4 h-4 text-slate-500" />
+        </button>
+      )}
+      <input value={newName} onChange={e => setNewName(e.target.value)} placeholder="New profile name"
+        onKeyDown={e => e.key === 'Enter' && create()}
+        className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+      <button onClick={create} className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg">
+        <Plus className="w-4 h-4" /> Save as
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { useEffect, useRef, useState } from 'react';
+import { ChevronDown } from 'lucide-react';
+
+/**
+ * Dropdown of checkboxes. An empty `selected` list means everything is
+ * included, and is shown as `allLabel`.
+ */
+export default function MultiSelect({ options, selected, onChange, allLabel }) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const close = (e) => { if (!ref.current?.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', close);
+    return () => document.removeEventListener('mousedown', close);
+  }, [open]);
+
+  const toggle = (value) => onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+  const summary = selected.length === 0 ? allLabel
+    : selected.length === 1 ? options.find(o => o.value === selected[0])?.label ?? selected[0]
+      : `${selected.length} selected`;
+
+  return (
+    <div className="relative" ref={ref}>
+      <button onClick={() => setOpen(o => !o)}
+        className="flex items-center gap-1 bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
+        {summary} <ChevronDown className="w-3 h-3 text-slate-400" />
+      </button>
+      {open && (
+        <div className="absolute right-0 z-30 mt-1 min-w-48 max-h-72 overflow-y-auto bg-slate-800 border border-slate-600 rounded-lg p-2 shadow-xl">
+          {options.map(o => (
+            <label key={o.value} className="flex items-center gap-2 px-2 py-1 text-sm text-slate-300 hover:bg-slate-700 rounded">
+              <input type="checkbox" checked={selected.includes(o.value)} onChange={() => toggle(o.value)} />
+              {o.label}
+            </label>
+          ))}
+          {selected.length > 0 && (
+            <button onClick={() => onChange([])} className="w-full mt-1 pt-1 border-t border-slate-700 text-xs text-slate-400 hover:text-slate-200">
+              Clear
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
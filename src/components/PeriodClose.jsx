@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import { Lock, LockOpen, ShieldAlert, X } from 'lucide-react';
+
+const inputClass = 'bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600';
+
+/**
+ * Inline reopen form: a closed month only reopens with a reason.
+ */
+function ReopenForm({ onReopen, onCancel }) {
+  const [by, setBy] = useState('');
+  const [reason, setReason] = useState('');
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-2">
+      <input value={reason} onChange={e => setReason(e.target.value)} placeholder="Reason for reopening (required)"
+        className={`${inputClass} flex-1 min-w-48`} />
+      <input value={by} onChange={e => setBy(e.target.value)} placeholder="Your name" className={`${inputClass} w-36`} />
+      <button onClick={() => onReopen(by.trim(), reason.trim())} disabled={!reason.trim()}
+        className="flex items-center gap-1 px-3 py-1.5 bg-amber-600 hover:bg-amber-500 text-white rounded-lg text-sm disabled:opacity-40">
+        <LockOpen className="w-4 h-4" /> Reopen
+      </button>
+      {onCancel && (
+        <button onClick={onCancel} className="p-1 hover:bg-slate-700 rounded">
+          <X className="w-4 h-4 text-slate-500" />
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Close status of each month in the run, with close and reopen actions and
+ * the log of past closes and reopens.
+ */
+export function PeriodClosePanel({ results, state, fmt, onClose, onReopen }) {
+  const [by, setBy] = useState('');
+  const [reopening, setReopening] = useState(null);
+  const [logOpen, setLogOpen] = useState(false);
+  const months = results.filter(r => r.monthKey > 0);
+
+  return (
+    <div className="glass-card">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <Lock className="w-5 h-5 text-slate-400" /> Period Close
+        </h2>
+        <input value={by} onChange={e => setBy(e.target.value)} placeholder="Approved by" className={`${inputClass} w-44`} />
+      </div>
+      <div className="space-y-2">
+        {months.map(r => {
+          const closure = state.closed[r.monthKey];
+          return (
+            <div key={r.monthKey} className="glass-card-sm">
+              <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                <span className="text-slate-200 font-medium">{r.month}</span>
+                <span className="font-mono text-slate-300">{fmt(r.actual.grand_total)}</span>
+                {closure ? (
+                  <span className="flex items-center gap-2 text-xs text-emerald-300">
+                    <Lock className="w-3.5 h-3.5" />
+                    Closed {new Date(closure.closedAt).toLocaleDateString()}{closure.closedBy && ` by ${closure.closedBy}`}
+                    <button onClick={() => setReopening(reopening === r.monthKey ? null : r.monthKey)}
+                      className="ml-2 text-slate-400 hover:text-slate-200 underline">Reopen…</button>
+                  </span>
+                ) : (
+                  <button onClick={() => onClose(r, by.trim())}
+                    className="flex items-center gap-1 px-3 py-1 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-xs">
+                    <Lock className="w-3.5 h-3.5" /> Close month
+                  </button>
+                )}
+              </div>
+              {closure && reopening === r.monthKey && (
+                <ReopenForm onCancel={() => setReopening(null)}
+                  onReopen={(name, reason) => { onReopen(r.monthKey, name || by.trim(), reason); setReopening(null); }} />
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {state.log.length > 0 && (
+        <div className="mt-4">
+          <button onClick={() => setLogOpen(o => !o)} className="text-xs text-slate-400 hover:text-slate-200">
+            {logOpen ? 'Hide' : 'Show'} close log ({state.log.length})
+          </button>
+          {logOpen && (
+            <table className="data-table mt-2">
+              <thead>
+                <tr><th>When</th><th>Month</th><th>Action</th><th>By</th><th>Reason</th></tr>
+              </thead>
+              <tbody>
+                {[...state.log].reverse().map((e, i) => (
+                  <tr key={i}>
+                    <td className="text-slate-400">{new Date(e.at).toLocaleString()}</td>
+                    <td>{e.month}</td>
+                    <td className={e.action === 'closed' ? 'text-emerald-300' : 'text-amber-300'}>{e.action === 'closed' ? 'Closed' : 'Reopened'}</td>
+                    <td className="text-slate-400">{e.by}</td>
+                    <td className="text-slate-400">{e.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Shown in place of the dashboard when the run would change a closed month:
+ * the closed figures against the new ones, per month, until each month is
+ * reopened or the run is discarded.
+ */
+export function ClosedPeriodDiff({ lines, state, fmt, onReopen, onDiscard }) {
+  const months = [...new Map(lines.map(l => [l.monthKey, l.month]))];
+
+  return (
+    <div className="glass-card border border-red-500/40 fade-in">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-2">
+        <h2 className="text-lg font-semibold text-red-200 flex items-center gap-2">
+          <ShieldAlert className="w-5 h-5" /> This run changes closed months
+        </h2>
+        <button onClick={onDiscard} className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+          Discard run
+        </button>
+      </div>
+      <p className="text-sm text-slate-400 mb-4">
+        The figures below were approved when these months were closed. Reopen a month to accept its new figures, or
+        discard the run (or undo the change that caused it) to keep them.
+      </p>
+      {months.map(([monthKey, month]) => {
+        const closure = state.closed[monthKey];
+        return (
+          <div key={monthKey} className="mb-6">
+            <h3 className="text-sm font-medium text-white">
+              {month}
+              <span className="ml-2 text-xs text-slate-500">
+                closed {new Date(closure.closedAt).toLocaleDateString()}{closure.closedBy && ` by ${closure.closedBy}`}
+              </span>
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Category</th><th>Team</th><th>Program</th>
+                    <th className="text-right">Closed</th><th className="text-right">This run</th><th className="text-right">Delta</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {lines.filter(l => l.monthKey === monthKey).map((l, i) => (
+                    <tr key={i} className={l.program == null ? 'font-medium' : ''}>
+                      <td>{l.category ?? 'Grand total'}</td>
+                      <td>{l.team ?? ''}</td>
+                      <td className="text-slate-300">{l.program ?? (l.category ? 'Team total' : '')}</td>
+                      <td className="text-right font-mono text-slate-300">{fmt(l.before)}</td>
+                      <td className="text-right font-mono text-slate-200">{fmt(l.after)}</td>
+                      <td className={`text-right font-mono ${l.delta < 0 ? 'text-red-300' : 'text-emerald-300'}`}>
+                        {l.delta > 0 ? '+' : ''}{fmt(l.delta)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <ReopenForm onReopen={(by, reason) => onReopen(monthKey, by, reason)} />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { Tags, Plus, Trash2, ChevronDown, ChevronUp } from 'lucide-react';
+
+/**
+ * Editable program alias dictionary. Like TeamRegistry, changes are pushed up
+ * immediately through `onChange`.
+ */
+export default function ProgramAliases({ aliases, onChange }) {
+  const [open, setOpen] = useState(false);
+
+  const update = (idx, patch) => onChange(aliases.map((a, i) => i === idx ? { ...a, ...patch } : a));
+  const remove = (idx) => onChange(aliases.filter((_, i) => i !== idx));
+  const add = () => onChange([...aliases, { match: '', canonical: '', regex: false }]);
+
+  const invalid = (a) => {
+    if (!a.regex) return false;
+    try {
+      new RegExp(a.match, 'i');
+      return false;
+    } catch {
+      return true;
+    }
+  };
+
+  return (
+    <div className="glass-card-sm mt-4">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex items-center justify-between text-sm text-slate-300">
+        <span className="flex items-center gap-2">
+          <Tags className="w-4 h-4 text-slate-400" /> Program aliases
+          <span className="text-xs text-slate-500">({aliases.length} {aliases.length === 1 ? 'rule' : 'rules'})</span>
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-2">
+          <div className="grid grid-cols-[2fr_4rem_2fr_2rem] gap-2 text-[11px] text-slate-500 uppercase tracking-wider">
+            <span>Raw Program value</span><span>Regex</span><span>Canonical program</span><span />
+          </div>
+          {aliases.map((a, i) => (
+            <div key={i} className="grid grid-cols-[2fr_4rem_2fr_2rem] gap-2 items-center">
+              <input value={a.match} onChange={e => update(i, { match: e.target.value })}
+                placeholder={a.regex ? '^alpha\\b' : 'alpha'}
+                className={`bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border ${invalid(a) ? 'border-red-500' : 'border-slate-600'} ${a.regex ? 'font-mono' : ''}`} />
+              <input type="checkbox" checked={!!a.regex} onChange={e => update(i, { regex: e.target.checked })} className="justify-self-center" />
+              <input value={a.canonical} onChange={e => update(i, { canonical: e.target.value })}
+                className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+              <button onClick={() => remove(i)} className="p-1 hover:bg-slate-700 rounded">
+                <Trash2 className="w-4 h-4 text-slate-500" />
+              </button>
+            </div>
+          ))}
+          <div className="flex gap-2 pt-2">
+            <button onClick={add} className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+              <Plus className="w-4 h-4" /> Add alias
+            </button>
+          </div>
+          <p className="text-[11px] text-slate-500">
+            Matching is case-insensitive. Exact values are checked before regex rules; regex rules apply in order.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
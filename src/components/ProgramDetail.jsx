@@ -0,0 +1,287 @@
+import { Fragment, useState } from 'react';
+import { ChevronUp, ChevronDown, ChevronRight, Search, Table2, LayoutGrid, Download, FileSpreadsheet } from 'lucide-react';
+import { CATEGORIES } from '../pipeline';
+import { moneyFormatter } from '../currency';
+import { sumMoney } from '../money';
+import { PIVOT_DIMENSIONS, buildPivot, visibleLines, pivotTable, exportPivotCSV, exportPivotExcel } from '../pivot';
+import MultiSelect from './MultiSelect';
+
+const CATEGORY_BADGE = {
+  DI: 'bg-purple-500/20 text-purple-300',
+  DO: 'bg-amber-500/20 text-amber-300',
+  ADJ: 'bg-red-500/20 text-red-300',
+};
+
+const selectClass = 'bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600';
+
+/**
+ * Program Detail: the flat month/category/team/program table, or a pivot
+ * with chosen row and column dimensions. Filters and the program search
+ * apply to both; the pivot exports exactly as shown, collapsed groups
+ * included.
+ */
+export default function ProgramDetail({ rows, teams, rawPrograms, periodLabel, fmt, currency, locale, onDrill, onDownload }) {
+  const [mode, setMode] = useState('table');
+  const [sortCol, setSortCol] = useState('program');
+  const [sortDir, setSortDir] = useState('asc');
+  const [filters, setFilters] = useState({ month: [], category: [], teamId: [] });
+  const [query, setQuery] = useState('');
+  const [rowDims, setRowDims] = useState(['team', 'program']);
+  const [columnDim, setColumnDim] = useState('month');
+  const [collapsed, setCollapsed] = useState(new Set());
+
+  const teamColor = Object.fromEntries(teams.map(t => [t.id, t.color]));
+  const months = [...new Map(rows.map(r => [r.month, r.monthKey]))].sort((a, b) => a[1] - b[1]).map(([m]) => m);
+  const dimLabel = (key) => key === 'month' ? periodLabel : PIVOT_DIMENSIONS.find(d => d.key === key).label;
+
+  const q = query.trim().toLowerCase();
+  const filtered = rows.filter(r =>
+    (filters.month.length === 0 || filters.month.includes(r.month)) &&
+    (filters.category.length === 0 || filters.category.includes(r.category)) &&
+    (filters.teamId.length === 0 || filters.teamId.includes(r.teamId)) &&
+    (!q || r.program.toLowerCase().includes(q) || (rawPrograms[r.program] || []).some(p => p.toLowerCase().includes(q)))
+  );
+
+  const setFilter = (key, values) => setFilters(f => ({ ...f, [key]: values }));
+
+  // Drill-down filter for a pivot cell: the group's path plus the column value
+  const drillFilter = (path, column) => {
+    const parts = { ...path, ...(column != null ? { [columnDim]: column } : {}) };
+    const filter = {};
+    if (parts.month != null) filter.month = parts.month;
+    if (parts.category != null) filter.category = parts.category;
+    if (parts.program != null) filter.program = parts.program;
+    if (parts.team != null) filter.teamId = teams.find(t => t.label === parts.team)?.id;
+    return filter;
+  };
+
+  const filterControls = (
+    <div className="flex flex-wrap gap-2">
+      <label className={`flex items-center gap-2 ${selectClass}`}>
+        <Search className="w-4 h-4 text-slate-400" />
+        <input value={query} onChange={e => setQuery(e.target.value)} placeholder="Search programs"
+          className="w-36 bg-transparent outline-none" />
+      </label>
+      <MultiSelect options={months.map(m => ({ value: m, label: m }))} selected={filters.month}
+        onChange={v => setFilter('month', v)} allLabel={periodLabel === 'Month' ? 'All Months' : 'All Periods'} />
+      <MultiSelect options={teams.map(t => ({ value: t.id, label: t.label }))} selected={filters.teamId}
+        onChange={v => setFilter('teamId', v)} allLabel="All Teams" />
+      <MultiSelect options={CATEGORIES.map(c => ({ value: c.code, label: c.label }))} selected={filters.category}
+        onChange={v => setFilter('category', v)} allLabel="All Categories" />
+    </div>
+  );
+
+  return (
+    <div className="glass-card">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div className="flex items-center gap-3">
+          <h2 className="text-lg font-semibold text-white">Program Detail</h2>
+          <div className="flex rounded-lg overflow-hidden border border-slate-600 text-xs">
+            {[['table', 'Table', <Table2 className="w-3.5 h-3.5" />], ['pivot', 'Pivot', <LayoutGrid className="w-3.5 h-3.5" />]].map(([id, label, icon]) => (
+              <button key={id} onClick={() => setMode(id)}
+                className={`flex items-center gap-1 px-2.5 py-1 ${mode === id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`}>
+                {icon} {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {filterControls}
+      </div>
+
+      {mode === 'table'
+        ? <FlatTable rows={filtered} teamColor={teamColor} rawPrograms={rawPrograms} periodLabel={periodLabel} fmt={fmt}
+          currency={currency} locale={locale} onDrill={onDrill} sortCol={sortCol} sortDir={sortDir}
+          onSort={(col) => {
+            if (sortCol === col) setSortDir(d => d === 'asc' ? 'desc' : 'asc');
+            else { setSortCol(col); setSortDir('asc'); }
+          }} />
+        : <PivotView rows={filtered} rowDims={rowDims} columnDim={columnDim} collapsed={collapsed} fmt={fmt} currency={currency}
+          dimLabel={dimLabel} onDrill={(g, column, label) => onDrill(label, drillFilter(g ? g.path : {}, column))}
+          onRowDims={(next) => { setRowDims(next); setCollapsed(new Set()); if (next.includes(columnDim)) setColumnDim(null); }}
+          onColumnDim={setColumnDim} onCollapsed={setCollapsed} onDownload={onDownload} />}
+    </div>
+  );
+}
+
+function SortIcon({ col, sortCol, sortDir }) {
+  if (sortCol !== col) return null;
+  return sortDir === 'asc' ? <ChevronUp className="inline w-3 h-3" /> : <ChevronDown className="inline w-3 h-3" />;
+}
+
+function FlatTable({ rows, teamColor, rawPrograms, periodLabel, fmt, currency, locale, onDrill, sortCol, sortDir, onSort }) {
+  const sorted = [...rows].sort((a, b) => {
+    const mul = sortDir === 'asc' ? 1 : -1;
+    if (sortCol === 'amount') return (a.amount - b.amount) * mul;
+    return String(a[sortCol]).localeCompare(String(b[sortCol])) * mul;
+  });
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th onClick={() => onSort('month')}>{periodLabel} <SortIcon col="month" sortCol={sortCol} sortDir={sortDir} /></th>
+            <th onClick={() => onSort('category')}>Category <SortIcon col="category" sortCol={sortCol} sortDir={sortDir} /></th>
+            <th onClick={() => onSort('team')}>Team <SortIcon col="team" sortCol={sortCol} sortDir={sortDir} /></th>
+            <th onClick={() => onSort('program')}>Program <SortIcon col="program" sortCol={sortCol} sortDir={sortDir} /></th>
+            <th onClick={() => onSort('amount')} className="text-right">Amount <SortIcon col="amount" sortCol={sortCol} sortDir={sortDir} /></th>
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((r, i) => (
+            <tr key={i}>
+              <td>{r.month}</td>
+              <td>
+                <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${CATEGORY_BADGE[r.category]}`}>
+                  {CATEGORIES.find(c => c.code === r.category).label}
+                </span>
+              </td>
+              <td>
+                <span className="flex items-center gap-1.5">
+                  <span className="w-2 h-2 rounded-full" style={{ background: teamColor[r.teamId] }} />
+                  {r.team}
+                </span>
+              </td>
+              <td className="text-slate-300">
+                {r.program}
+                {rawPrograms[r.program] && (
+                  <span className="ml-2 text-[11px] text-slate-500" title={rawPrograms[r.program].join('\n')}>
+                    from {rawPrograms[r.program].join(', ')}
+                  </span>
+                )}
+              </td>
+              <td className="text-right font-mono text-slate-200">
+                <span className="drill" onClick={() => onDrill(`${r.month} · ${r.category} · ${r.team} · ${r.program}`,
+                  { month: r.month, category: r.category, teamId: r.teamId, program: r.program })}>
+                  {fmt(r.amount)}
+                </span>
+                {r.currencies.some(p => p.currency !== currency) && (
+                  <span className="block text-[11px] text-slate-500">
+                    {r.currencies.map(p => moneyFormatter(p.currency, locale)(p.original)).join(' + ')}
+                  </span>
+                )}
+                {r.manual != null && (
+                  <span className="block text-[11px] text-blue-300" title="Booked in the manual adjustments ledger">incl. {fmt(r.manual)} manual</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={4} className="font-semibold text-slate-300">Total ({sorted.length} rows)</td>
+            <td className="text-right font-mono font-semibold text-white">
+              {fmt(sumMoney(sorted.map(r => r.amount)))}
+            </td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+function PivotView({ rows, rowDims, columnDim, collapsed, fmt, currency, dimLabel, onDrill, onRowDims, onColumnDim, onCollapsed, onDownload }) {
+  const pivot = buildPivot(rows, rowDims, columnDim);
+  const lines = visibleLines(pivot, collapsed);
+  const parents = [];
+  const collect = (groups) => groups.forEach(g => { if (g.children.length > 0) { parents.push(g.id); collect(g.children); } });
+  collect(pivot.groups);
+
+  const toggle = (id) => {
+    const next = new Set(collapsed);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    onCollapsed(next);
+  };
+
+  const exportAs = (format) => {
+    const table = pivotTable(pivot, lines, rowDims).map((row, i) => i === 0 ? row.map((h, c) => c < rowDims.length ? dimLabel(rowDims[c]) : h) : row);
+    if (format === 'csv') onDownload(new Blob([exportPivotCSV(table)], { type: 'text/csv' }), 'minnark-pivot.csv');
+    else onDownload(new Blob([exportPivotExcel(table, rowDims.length, currency)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'minnark-pivot.xlsx');
+  };
+
+  const unused = (keep) => PIVOT_DIMENSIONS.filter(d => d.key === keep || !rowDims.includes(d.key));
+  const cellTitle = (g, column) => [...Object.values(g ? g.path : {}), column].filter(v => v != null).join(' · ') || 'All transactions';
+  const amount = (value, g, column, className) => (
+    <td className={`text-right font-mono ${className}`}>
+      <span className="drill" onClick={() => onDrill(g, column, cellTitle(g, column))}>{fmt(value || 0)}</span>
+    </td>
+  );
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm text-slate-300">
+        <span className="text-slate-400">Rows</span>
+        {rowDims.map((key, i) => (
+          <select key={i} value={key} className={selectClass}
+            onChange={e => onRowDims(rowDims.map((k, j) => j === i ? e.target.value : k))}>
+            {unused(key).map(d => <option key={d.key} value={d.key}>{dimLabel(d.key)}</option>)}
+          </select>
+        ))}
+        {rowDims.length < 3 && unused(null).length > 1 && (
+          <button onClick={() => onRowDims([...rowDims, unused(null).find(d => d.key !== columnDim).key])}
+            className="px-2 py-1 text-xs bg-slate-700 hover:bg-slate-600 rounded-lg">+ level</button>
+        )}
+        {rowDims.length > 1 && (
+          <button onClick={() => onRowDims(rowDims.slice(0, -1))} className="px-2 py-1 text-xs bg-slate-700 hover:bg-slate-600 rounded-lg">− level</button>
+        )}
+        <span className="text-slate-400 ml-3">Columns</span>
+        <select value={columnDim ?? ''} onChange={e => onColumnDim(e.target.value || null)} className={selectClass}>
+          <option value="">Total only</option>
+          {unused(null).map(d => <option key={d.key} value={d.key}>{dimLabel(d.key)}</option>)}
+        </select>
+        {parents.length > 0 && (
+          <>
+            <button onClick={() => onCollapsed(new Set())} className="ml-3 text-xs text-slate-400 hover:text-slate-200">Expand all</button>
+            <button onClick={() => onCollapsed(new Set(parents))} className="text-xs text-slate-400 hover:text-slate-200">Collapse all</button>
+          </>
+        )}
+        <div className="ml-auto flex gap-2">
+          <button onClick={() => exportAs('csv')} className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+            <Download className="w-4 h-4" /> CSV
+          </button>
+          <button onClick={() => exportAs('xlsx')} className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+            <FileSpreadsheet className="w-4 h-4" /> Excel
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>{rowDims.map(dimLabel).join(' / ')}</th>
+              {pivot.columns.map(c => <th key={c} className="text-right">{c}</th>)}
+              <th className="text-right">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map(g => {
+              const isGroup = g.children.length > 0;
+              return (
+                <tr key={g.id} className={isGroup ? 'bg-slate-800/40' : ''}>
+                  <td style={{ paddingLeft: 16 + g.depth * 20 }} className={isGroup ? 'font-medium text-slate-200' : 'text-slate-300'}>
+                    {isGroup ? (
+                      <button onClick={() => toggle(g.id)} className="flex items-center gap-1">
+                        {collapsed.has(g.id) ? <ChevronRight className="w-3.5 h-3.5" /> : <ChevronDown className="w-3.5 h-3.5" />}
+                        {g.label}
+                      </button>
+                    ) : g.label}
+                  </td>
+                  {pivot.columns.map(c => <Fragment key={c}>{amount(g.values[c], g, c, isGroup ? 'text-slate-200' : 'text-slate-400')}</Fragment>)}
+                  {amount(g.total, g, null, isGroup ? 'font-semibold text-white' : 'text-slate-200')}
+                </tr>
+              );
+            })}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td className="font-semibold text-slate-300">Grand Total</td>
+              {pivot.columns.map(c => <Fragment key={c}>{amount(pivot.values[c], null, c, 'font-semibold text-white')}</Fragment>)}
+              {amount(pivot.total, null, null, 'font-semibold text-white')}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,40 @@
+import { useState } from 'react';
+import { Merge } from 'lucide-react';
+
+/**
+ * Program names that look like variants of each other (see suggestMerges).
+ * Accepting a group adds an alias for each variant and re-runs the split.
+ */
+export default function ProgramMerges({ suggestions, fmt, onAccept }) {
+  const [dismissed, setDismissed] = useState([]);
+  const shown = suggestions.filter(s => !dismissed.includes(s.canonical));
+  if (shown.length === 0) return null;
+
+  return (
+    <div className="glass-card">
+      <h2 className="text-lg font-semibold text-white flex items-center gap-2 mb-4">
+        <Merge className="w-5 h-5 text-blue-400" /> Suggested Program Merges
+        <span className="text-sm font-normal text-slate-400">{shown.length} groups</span>
+      </h2>
+      <div className="space-y-2">
+        {shown.map(s => (
+          <div key={s.canonical} className="flex flex-wrap items-center justify-between gap-3 text-sm">
+            <span className="text-slate-300">
+              {s.variants.map(v => <span key={v} className="text-slate-400">"{v}", </span>)}
+              → <span className="font-medium text-white">"{s.canonical}"</span>
+              <span className="text-xs text-slate-500"> · {fmt(s.amount)}</span>
+            </span>
+            <span className="flex gap-2">
+              <button onClick={() => onAccept(s)} className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+                Merge
+              </button>
+              <button onClick={() => setDismissed(d => [...d, s.canonical])} className="px-3 py-1.5 text-slate-400 hover:text-slate-200 text-sm">
+                Dismiss
+              </button>
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+const BADGE = {
+  pass: 'bg-emerald-500/20 text-emerald-300',
+  warn: 'bg-amber-500/20 text-amber-300',
+  fail: 'bg-red-500/20 text-red-300',
+};
+
+/**
+ * Worst status across a month's reconciled files.
+ */
+function worstStatus(reconciliations) {
+  const statuses = reconciliations.map(r => r.status);
+  return statuses.includes('fail') ? 'fail' : statuses.includes('warn') ? 'warn' : 'pass';
+}
+
+export function ReconciliationBadge({ reconciliations, open, onToggle }) {
+  if (reconciliations.length === 0) return null;
+  const status = worstStatus(reconciliations);
+  return (
+    <button onClick={onToggle} title="SUMMARY reconciliation"
+      className={`inline-block px-2 py-0.5 rounded text-xs font-medium uppercase ${BADGE[status]} ${open ? 'ring-1 ring-slate-400' : ''}`}>
+      {status}
+    </button>
+  );
+}
+
+/**
+ * Expected (SUMMARY) vs computed (TOTAL DI) lines for one or more files.
+ */
+export function ReconciliationTable({ sources, fmt }) {
+  return (
+    <div className="mt-3 space-y-3">
+      {sources.map(s => (
+        <div key={s.filename} className="overflow-x-auto">
+          <p className="text-xs text-slate-400 mb-1">
+            {s.filename} · tolerance {fmt(s.reconciliation.tolerance)}
+            {s.reconciliation.note && <span className="text-amber-300"> · {s.reconciliation.note}</span>}
+          </p>
+          {s.reconciliation.lines.length > 0 && (
+            <table className="data-table">
+              <thead>
+                <tr><th>Team</th><th>Program</th><th className="text-right">Expected</th><th className="text-right">Computed</th><th className="text-right">Delta</th><th /></tr>
+              </thead>
+              <tbody>
+                {s.reconciliation.lines.map((l, i) => (
+                  <tr key={i} className={l.level === 'team' ? 'font-medium' : ''}>
+                    <td className="text-slate-300">{l.team}</td>
+                    <td className="text-slate-400">{l.program || 'All programs'}</td>
+                    <td className="text-right font-mono text-slate-300">{fmt(l.expected)}</td>
+                    <td className="text-right font-mono text-slate-300">{fmt(l.computed)}</td>
+                    <td className="text-right font-mono text-slate-200">{fmt(l.delta)}</td>
+                    <td><span className={`inline-block px-1.5 rounded text-[10px] uppercase ${BADGE[l.status]}`}>{l.status}</span></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
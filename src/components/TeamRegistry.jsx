@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { Users, Plus, Trash2, RotateCcw, ChevronDown, ChevronUp } from 'lucide-react';
+import { DEFAULT_TEAMS, makeTeamId } from '../teams';
+
+/**
+ * Editable partner registry. Changes are pushed up immediately through
+ * `onChange`; the parent decides where they are persisted.
+ */
+export default function TeamRegistry({ teams, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [newLabel, setNewLabel] = useState('');
+
+  const update = (idx, patch) => onChange(teams.map((t, i) => i === idx ? { ...t, ...patch } : t));
+  const remove = (idx) => onChange(teams.filter((_, i) => i !== idx));
+
+  const add = () => {
+    const label = newLabel.trim();
+    if (!label) return;
+    onChange([...teams, { id: makeTeamId(label, teams), label, color: '#a855f7', match: [label] }]);
+    setNewLabel('');
+  };
+
+  return (
+    <div className="glass-card-sm mt-4">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex items-center justify-between text-sm text-slate-300">
+        <span className="flex items-center gap-2">
+          <Users className="w-4 h-4 text-slate-400" /> Partner registry
+          <span className="text-xs text-slate-500">({teams.map(t => t.label).join(', ')})</span>
+        </span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-2">
+          <div className="grid grid-cols-[2rem_1fr_2fr_2rem] gap-2 text-[11px] text-slate-500 uppercase tracking-wider">
+            <span /><span>Display name</span><span>Matches Team values (comma-separated)</span><span />
+          </div>
+          {teams.map((t, i) => (
+            <div key={t.id} className="grid grid-cols-[2rem_1fr_2fr_2rem] gap-2 items-center">
+              <input type="color" value={t.color} onChange={e => update(i, { color: e.target.value })}
+                className="w-8 h-8 bg-transparent cursor-pointer" />
+              <input value={t.label} onChange={e => update(i, { label: e.target.value })}
+                className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+              <input value={(t.match || []).join(', ')}
+                onChange={e => update(i, { match: e.target.value.split(',').map(v => v.trim()).filter(Boolean) })}
+                className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+              <button onClick={() => remove(i)} disabled={teams.length <= 1} className="p-1 hover:bg-slate-700 rounded disabled:opacity-30">
+                <Trash2 className="w-4 h-4 text-slate-500" />
+              </button>
+            </div>
+          ))}
+          <div className="flex gap-2 pt-2">
+            <input value={newLabel} onChange={e => setNewLabel(e.target.value)} placeholder="New partner name"
+              onKeyDown={e => e.key === 'Enter' && add()}
+              className="flex-1 bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600" />
+            <button onClick={add} className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+              <Plus className="w-4 h-4" /> Add
+            </button>
+            <button onClick={() => onChange(DEFAULT_TEAMS)} className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm">
+              <RotateCcw className="w-4 h-4" /> Defaults
+            </button>
+          </div>
+          <p className="text-[11px] text-slate-500">Team values that match no partner are reported under "Unassigned".</p>
+        </div>
+      )}
+    </div>
+  );
+}
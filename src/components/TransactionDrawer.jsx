@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { Receipt, X, Download, Search, ChevronUp, ChevronDown } from 'lucide-react';
+import { TRANSACTION_COLUMNS, matchesQuery } from '../transactions';
+import { sumMoney } from '../money';
+
+const SHOWN = ['date', 'team', 'program', 'type', 'invoice', 'amount', 'file', 'row'];
+
+/**
+ * Slide-over list of the transactions behind a clicked total. Search and
+ * sorting apply to the export as well, so it downloads what is shown.
+ */
+export default function TransactionDrawer({ drill, transactions, fmt, onClose, onExport }) {
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState({ key: 'date', dir: 'asc' });
+
+  if (!drill) return null;
+
+  const shown = transactions.filter(t => matchesQuery(t, query)).sort((a, b) => {
+    const mul = sort.dir === 'asc' ? 1 : -1;
+    const col = TRANSACTION_COLUMNS.find(c => c.key === sort.key);
+    if (col.numeric) return ((a[sort.key] ?? 0) - (b[sort.key] ?? 0)) * mul;
+    return String(a[sort.key] ?? '').localeCompare(String(b[sort.key] ?? '')) * mul;
+  });
+  const total = sumMoney(shown.map(t => t.amount));
+
+  const toggleSort = (key) => setSort(s => s.key === key ? { key, dir: s.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: 'asc' });
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/40" onClick={onClose}>
+      <aside className="w-full max-w-4xl h-full overflow-y-auto bg-slate-900 border-l border-slate-700 p-6 fade-in"
+        onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-1">
+          <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+            <Receipt className="w-5 h-5 text-slate-400" /> Transactions
+          </h2>
+          <button onClick={onClose} className="p-1 hover:bg-slate-700 rounded">
+            <X className="w-4 h-4 text-slate-500" />
+          </button>
+        </div>
+        <p className="text-sm text-slate-400 mb-4">{drill.title}</p>
+
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <label className="flex-1 min-w-48 flex items-center gap-2 bg-slate-700 rounded-lg px-3 py-1.5 border border-slate-600">
+            <Search className="w-4 h-4 text-slate-400" />
+            <input autoFocus value={query} onChange={e => setQuery(e.target.value)} placeholder="Search team, program, invoice, file…"
+              className="flex-1 bg-transparent text-sm text-slate-200 outline-none" />
+          </label>
+          <button onClick={() => onExport(shown)} disabled={shown.length === 0}
+            className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm disabled:opacity-40">
+            <Download className="w-4 h-4" /> Export CSV
+          </button>
+        </div>
+
+        {transactions.length === 0 ? (
+          <p className="text-sm text-slate-500">
+            No transactions recorded for this total. Runs saved before drill-down was available don't keep them.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  {SHOWN.map(key => {
+                    const col = TRANSACTION_COLUMNS.find(c => c.key === key);
+                    return (
+                      <th key={key} onClick={() => toggleSort(key)} className={col.numeric ? 'text-right' : ''}>
+                        {col.label}{' '}
+                        {sort.key === key && (sort.dir === 'asc' ? <ChevronUp className="inline w-3 h-3" /> : <ChevronDown className="inline w-3 h-3" />)}
+                      </th>
+                    );
+                  })}
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((t, i) => (
+                  <tr key={i}>
+                    <td className="text-slate-400">{t.date ?? '—'}</td>
+                    <td className="text-slate-300">{t.team}</td>
+                    <td className="text-slate-300">
+                      {t.program}
+                      {t.rawProgram !== t.program && <span className="block text-[11px] text-slate-500">{t.rawProgram}</span>}
+                    </td>
+                    <td className="text-slate-400">{t.type ?? ''}</td>
+                    <td className="text-slate-400">{t.invoice ?? t.reference ?? ''}</td>
+                    <td className={`text-right font-mono ${t.amount < 0 ? 'text-red-300' : 'text-slate-200'}`}>{fmt(t.amount)}</td>
+                    <td className="text-slate-500 text-xs" title={`${t.file} · ${t.sheet}`}>{t.file}<span className="block">{t.sheet}</span></td>
+                    <td className="text-right text-slate-500">{t.row}</td>
+                  </tr>
+                ))}
+                {shown.length === 0 && (
+                  <tr><td colSpan={SHOWN.length} className="text-center text-slate-500">No transactions match the search.</td></tr>
+                )}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan={5} className="font-semibold text-slate-300">Total ({shown.length} of {transactions.length})</td>
+                  <td className="text-right font-mono font-semibold text-white">{fmt(total)}</td>
+                  <td colSpan={2} />
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { CATEGORIES } from '../pipeline';
+import { programTrend, teamShareTrend, OTHER_PROGRAMS } from '../trends';
+
+const PROGRAM_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#6366f1'];
+const OTHER_COLOR = '#64748b';
+const TOP_N = [5, 10];
+
+const tooltipStyle = { background: '#1e293b', border: '1px solid #334155', borderRadius: 8, color: '#e2e8f0' };
+const selectClass = 'bg-slate-700 text-xs text-slate-200 rounded-lg px-2 py-1 border border-slate-600';
+
+// Legend entries are click targets; the focused one stays bright
+const legendLabel = (focused) => (value) => (
+  <span className="cursor-pointer" style={{ color: focused == null || focused === value ? '#cbd5e1' : '#64748b', fontSize: 12 }}>{value}</span>
+);
+
+/**
+ * Top-N programs stacked over time (for a chosen team and category) and each
+ * team's share of net revenue over time. Clicking a legend entry focuses the
+ * dashboard on that program or team; clicking it again clears the focus.
+ */
+export default function TrendCharts({ results, teams, focus, onFocus, fmt, fmtShort }) {
+  const [topN, setTopN] = useState(5);
+  const [teamId, setTeamId] = useState('');
+  const [category, setCategory] = useState('');
+
+  const trend = programTrend(results, topN, { teamId: teamId || undefined, category: category || undefined });
+  const shares = teamShareTrend(results, teams);
+  const focusedTeam = teams.find(t => t.id === focus.teamId)?.label;
+
+  return (
+    <>
+      <div className="glass-card">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h3 className="text-sm font-medium text-slate-300">Top Programs over Time</h3>
+          <div className="flex gap-2">
+            <select value={topN} onChange={e => setTopN(Number(e.target.value))} className={selectClass}>
+              {TOP_N.map(n => <option key={n} value={n}>Top {n}</option>)}
+            </select>
+            <select value={teamId} onChange={e => setTeamId(e.target.value)} className={selectClass}>
+              <option value="">All Partners</option>
+              {teams.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+            <select value={category} onChange={e => setCategory(e.target.value)} className={selectClass}>
+              <option value="">All Categories</option>
+              {CATEGORIES.map(c => <option key={c.code} value={c.code}>{c.label}</option>)}
+            </select>
+          </div>
+        </div>
+        {trend.programs.length === 0 ? (
+          <p className="text-sm text-slate-500">No programs for this selection.</p>
+        ) : (
+          <ResponsiveContainer width="100%" height={280}>
+            <AreaChart data={trend.data}>
+              <XAxis dataKey="period" tick={{ fill: '#94a3b8', fontSize: 12 }} />
+              <YAxis tickFormatter={fmtShort} tick={{ fill: '#94a3b8', fontSize: 11 }} />
+              <Tooltip formatter={(v) => fmt(v)} contentStyle={tooltipStyle} />
+              <Legend formatter={legendLabel(focus.program)}
+                onClick={(e) => e.value !== OTHER_PROGRAMS && onFocus('program', e.value)} />
+              {trend.programs.map((p, i) => {
+                const color = p === OTHER_PROGRAMS ? OTHER_COLOR : PROGRAM_COLORS[i % PROGRAM_COLORS.length];
+                return <Area key={p} type="monotone" dataKey={p} stackId="programs" stroke={color} fill={color} fillOpacity={0.5} />;
+              })}
+            </AreaChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+
+      <div className="glass-card">
+        <h3 className="text-sm font-medium text-slate-300 mb-4">Partner Share over Time</h3>
+        <ResponsiveContainer width="100%" height={220}>
+          <AreaChart data={shares}>
+            <XAxis dataKey="period" tick={{ fill: '#94a3b8', fontSize: 12 }} />
+            <YAxis tickFormatter={(v) => `${v}%`} domain={[0, 100]} tick={{ fill: '#94a3b8', fontSize: 11 }} />
+            <Tooltip formatter={(v) => `${v.toFixed(1)}%`} contentStyle={tooltipStyle} />
+            <Legend formatter={legendLabel(focusedTeam)}
+              onClick={(e) => onFocus('teamId', teams.find(t => t.label === e.value)?.id)} />
+            {teams.map(t => (
+              <Area key={t.id} type="monotone" dataKey={t.label} stackId="share" stroke={t.color} fill={t.color} fillOpacity={0.6} />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,112 @@
+import { useEffect, useMemo, useState } from 'react';
+import { GitCompare } from 'lucide-react';
+import { listRuns } from '../history';
+
+const STATUS_BADGE = {
+  new: 'bg-emerald-500/20 text-emerald-300',
+  removed: 'bg-red-500/20 text-red-300',
+  changed: 'bg-slate-600/40 text-slate-300',
+  unchanged: 'bg-slate-700/40 text-slate-500',
+};
+
+/**
+ * Program-level variance, either month over month within the current run or
+ * against a saved run from history (`baseId`).
+ */
+export default function Variance({ variance, thresholds, onThresholdsChange, baseId, onBaseChange, currentId, refreshKey, fmt, currency }) {
+  const [savedRuns, setSavedRuns] = useState([]);
+  const [significantOnly, setSignificantOnly] = useState(true);
+  const [month, setMonth] = useState('all');
+
+  useEffect(() => {
+    listRuns().then(setSavedRuns).catch(() => setSavedRuns([]));
+  }, [refreshKey]);
+
+  const months = useMemo(() => [...new Set(variance.lines.map(l => l.month))], [variance]);
+  const lines = variance.lines.filter(l =>
+    (!significantOnly || l.significant) && (month === 'all' || l.month === month) && l.status !== 'unchanged');
+  const significant = variance.lines.filter(l => l.significant).length;
+  const fmtPct = (p) => p == null ? '—' : `${p > 0 ? '+' : ''}${p.toFixed(1)}%`;
+
+  return (
+    <div className="glass-card">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <GitCompare className="w-5 h-5 text-blue-400" /> Variance
+          <span className="text-sm font-normal text-slate-400">{significant} significant changes</span>
+        </h2>
+        <div className="flex flex-wrap gap-2 items-center text-sm text-slate-300">
+          <select value={baseId ?? ''} onChange={e => onBaseChange(e.target.value ? Number(e.target.value) : null)}
+            className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
+            <option value="">Previous month</option>
+            {savedRuns.filter(r => r.id !== currentId).map(r => (
+              <option key={r.id} value={r.id}>vs saved run: {r.name}</option>
+            ))}
+          </select>
+          {months.length > 1 && (
+            <select value={month} onChange={e => setMonth(e.target.value)}
+              className="bg-slate-700 text-sm text-slate-200 rounded-lg px-3 py-1.5 border border-slate-600">
+              <option value="all">All months</option>
+              {months.map(m => <option key={m} value={m}>{m}</option>)}
+            </select>
+          )}
+          <label className="flex items-center gap-1">
+            ≥
+            <input type="number" min="0" step="1" value={thresholds.amount}
+              onChange={e => onThresholdsChange({ ...thresholds, amount: Number(e.target.value) })}
+              className="w-20 bg-slate-700 text-sm text-slate-200 rounded-lg px-2 py-1.5 border border-slate-600" />
+            {currency}
+          </label>
+          <label className="flex items-center gap-1">
+            and ≥
+            <input type="number" min="0" step="1" value={thresholds.percent}
+              onChange={e => onThresholdsChange({ ...thresholds, percent: Number(e.target.value) })}
+              className="w-16 bg-slate-700 text-sm text-slate-200 rounded-lg px-2 py-1.5 border border-slate-600" />
+            %
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={significantOnly} onChange={e => setSignificantOnly(e.target.checked)} />
+            Significant only
+          </label>
+        </div>
+      </div>
+
+      {variance.lines.length === 0 ? (
+        <p className="text-sm text-slate-500">
+          {variance.mode === 'months' ? 'Load more than one month to compare month over month.' : 'Nothing to compare.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto max-h-96">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Month</th><th>Against</th><th>Category</th><th>Team</th><th>Program</th>
+                <th className="text-right">Base</th><th className="text-right">Current</th>
+                <th className="text-right">Delta</th><th className="text-right">Delta %</th><th />
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map(l => (
+                <tr key={`${l.monthKey}-${l.category}-${l.teamId}-${l.program}`} className={l.significant ? 'bg-amber-500/5' : ''}>
+                  <td className="text-slate-300">{l.month}</td>
+                  <td className="text-slate-400">{variance.mode === 'runs' ? 'Saved run' : l.baseMonth}</td>
+                  <td className="text-slate-400">{l.category}</td>
+                  <td className="text-slate-300">{l.team}</td>
+                  <td className="text-slate-300">{l.program}</td>
+                  <td className="text-right font-mono text-slate-400">{fmt(l.base)}</td>
+                  <td className="text-right font-mono text-slate-300">{fmt(l.current)}</td>
+                  <td className={`text-right font-mono ${l.delta < 0 ? 'text-red-300' : 'text-emerald-300'}`}>{fmt(l.delta)}</td>
+                  <td className={`text-right font-mono ${l.significant ? 'text-amber-300' : 'text-slate-400'}`}>{fmtPct(l.pct)}</td>
+                  <td><span className={`inline-block px-1.5 rounded text-[10px] uppercase ${STATUS_BADGE[l.status]}`}>{l.status}</span></td>
+                </tr>
+              ))}
+              {lines.length === 0 && (
+                <tr><td colSpan={10} className="text-center text-slate-500">No changes above the thresholds.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+/**
+ * Minimal CSV writer (RFC 4180: CRLF line breaks, fields with commas, quotes
+ * or line breaks quoted and their quotes doubled).
+ */
+
+function csvCell(value) {
+  if (value == null) return '';
+  const s = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Join rows of cells into CSV text, quoting cells that need it.
+ */
+export function toCSV(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+}
@@ -0,0 +1,125 @@
+import { makeIssue } from './quality.js';
+import { fromCents, largestRemainder, toCents } from './money.js';
+
+/**
+ * Currency conversion into a single reporting currency.
+ *
+ * FX table entries are {currency, period, rate}: `period` is a month
+ * (`YYYY-MM`) or a day (`YYYY-MM-DD`), and `rate` is how many units of the
+ * reporting currency one unit of `currency` buys. A row converts at the rate
+ * for its own date if there is one, else at its month's rate.
+ */
+
+export const DEFAULT_CURRENCY = 'USD';
+// Currency of source rows without a Currency cell (the Domestic Payments
+// sheet has no such column); the workbooks are in dollars
+export const SOURCE_CURRENCY = 'USD';
+export const DEFAULT_LOCALE = 'en-US';
+
+const PERIOD = /^\d{4}-\d{2}(-\d{2})?$/;
+
+export function normalizeCurrency(value) {
+  if (value == null) return null;
+  const code = String(value).trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Drop malformed entries from a stored or uploaded FX table.
+ */
+export function sanitizeRates(rates) {
+  if (!Array.isArray(rates)) return [];
+  return rates
+    .map(r => ({ currency: normalizeCurrency(r?.currency), period: String(r?.period ?? '').trim(), rate: Number(r?.rate) }))
+    .filter(r => r.currency && PERIOD.test(r.period) && Number.isFinite(r.rate) && r.rate > 0);
+}
+
+/**
+ * Parse an uploaded FX table: a header row naming Currency, Period (or Date /
+ * Month) and Rate columns, then one rate per line.
+ */
+export function parseRatesCSV(text) {
+  const lines = text.split(/\r?\n/).map(l => l.split(',').map(v => v.trim().replace(/^"|"$/g, '')));
+  const header = (lines.shift() || []).map(h => h.toLowerCase());
+  const col = (...names) => header.findIndex(h => names.includes(h));
+  const cur = col('currency', 'ccy', 'code');
+  const period = col('period', 'date', 'month');
+  const rate = col('rate', 'fx rate', 'exchange rate');
+  if (cur < 0 || period < 0 || rate < 0) throw new Error('FX table needs Currency, Period (or Date/Month) and Rate columns');
+  return sanitizeRates(lines.filter(l => l.some(Boolean)).map(l => ({ currency: l[cur], period: l[period], rate: l[rate] })));
+}
+
+/**
+ * Build a converter for a reporting currency and FX table.
+ * @returns {Function} (amount, currency, date) => {amount, rate} in the
+ *   reporting currency, or null when no rate covers the row
+ */
+export function fxConverter(reporting = DEFAULT_CURRENCY, rates = []) {
+  const byKey = new Map(rates.map(r => [`${r.currency}|${r.period}`, r.rate]));
+  return (amount, currency, date) => {
+    const code = currency || SOURCE_CURRENCY;
+    if (code === reporting) return { amount, rate: 1 };
+    if (!date) return null;
+    const day = dayKey(date);
+    const rate = byKey.get(`${code}|${day}`) ?? byKey.get(`${code}|${day.slice(0, 7)}`);
+    return rate == null ? null : { amount: amount * rate, rate };
+  };
+}
+
+/**
+ * Convert reader rows to the reporting currency, keeping the source amount as
+ * `originalAmount`. Rows without a currency are in SOURCE_CURRENCY. Rows with
+ * no usable rate are dropped and reported as 'no_fx_rate' data-quality issues.
+ *
+ * Converted amounts are whole cents: the rows of one file and sheet sharing a
+ * currency and rate convert to their rounded converted total, spread over the
+ * rows by largest remainder (see money.js).
+ * @returns {{rows: Array, issues: Array}}
+ */
+export function convertRows(rows, convert) {
+  const converted = [];
+  const issues = [];
+  const groups = new Map();
+  for (const row of rows) {
+    const currency = row.currency || SOURCE_CURRENCY;
+    const fx = convert(row.amount, currency, row.date);
+    if (!fx) {
+      issues.push(makeIssue(row.source.file, row.source.sheet, row.source.row - 1, 'no_fx_rate',
+        { date: row.date, team: row.team, program: row.rawProgram, amount: row.amount, currency }));
+      continue;
+    }
+    const out = { ...row, currency, originalAmount: row.amount, amount: row.amount, fxRate: fx.rate };
+    converted.push(out);
+    if (fx.rate === 1) continue;
+    const key = `${row.source.file}|${row.source.sheet}|${currency}|${fx.rate}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(out);
+  }
+  for (const group of groups.values()) {
+    const cents = largestRemainder(group.map(r => toCents(r.originalAmount) * r.fxRate));
+    group.forEach((r, i) => { r.amount = fromCents(cents[i]); });
+  }
+  return { rows: converted, issues };
+}
+
+/**
+ * Money formatter for a reporting currency and display locale. Falls back to
+ * the defaults when the browser doesn't know either.
+ */
+export function moneyFormatter(currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE, options = {}) {
+  let nf;
+  try {
+    nf = new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: 2, ...options });
+  } catch {
+    nf = new Intl.NumberFormat(DEFAULT_LOCALE, { style: 'currency', currency: DEFAULT_CURRENCY, minimumFractionDigits: 2, ...options });
+  }
+  return (n) => nf.format(n);
+}
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { convertRows, fxConverter } from './currency.js';
+
+const row = (amount, currency, date = new Date(2025, 9, 3)) => ({
+  amount, currency, date, team: 'Blackfin', rawProgram: 'Alpha', source: { file: 'Domestic.xlsx', sheet: 'US_Payment Details', row: 2 },
+});
+
+describe('convertRows', () => {
+  it('converts rows without a currency from dollars', () => {
+    const convert = fxConverter('EUR', [{ currency: 'USD', period: '2025-10', rate: 0.9 }]);
+    const { rows, issues } = convertRows([row(100.1, null)], convert);
+    expect(issues).toEqual([]);
+    expect(rows[0]).toMatchObject({ currency: 'USD', originalAmount: 100.1, amount: 90.09, fxRate: 0.9 });
+  });
+
+  it('reports rows without a currency when no dollar rate covers them', () => {
+    const { rows, issues } = convertRows([row(100.1, null)], fxConverter('EUR', []));
+    expect(rows).toEqual([]);
+    expect(issues.map(i => i.reason)).toEqual(['no_fx_rate']);
+  });
+
+  it('keeps rows already in the reporting currency', () => {
+    const { rows } = convertRows([row(100.1, null), row(5, 'EUR')], fxConverter('USD', [{ currency: 'EUR', period: '2025-10', rate: 1.1 }]));
+    expect(rows.map(r => [r.currency, r.amount, r.fxRate])).toEqual([['USD', 100.1, 1], ['EUR', 5.5, 1.1]]);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Row-level duplicate detection across uploaded files.
+ *
+ * Rows are fingerprinted on date, team, program, amount and currency as
+ * written (before FX conversion, whose cent rounding depends on the other rows
+ * of the sheet) and any invoice or reference values the sheet carries. Rows
+ * sharing a fingerprint form a duplicate group; each group gets a resolution:
+ * - 'keep-first': keep the first occurrence in upload order
+ * - 'keep-all': keep every copy (legitimate repeat transactions)
+ * - 'exclude': drop every copy
+ *
+ * Groups spanning several files or sheets default to 'keep-first'
+ * (overlapping exports, or a payment repeated on two years' Payment Details
+ * tabs); groups within one sheet default to 'keep-all', since identical rows
+ * inside a single export are usually genuine repeat payments.
+ */
+
+export const RESOLUTIONS = {
+  'keep-first': 'Keep first',
+  'keep-all': 'Keep all',
+  exclude: 'Exclude',
+};
+
+export function fingerprint(kind, row) {
+  return [
+    kind,
+    row.date ? row.date.toISOString().slice(0, 10) : '',
+    row.team.toLowerCase(),
+    row.program.toLowerCase(),
+    (row.originalAmount ?? row.amount).toFixed(2),
+    row.currency ?? '',
+    row.invoice ?? '',
+    row.reference ?? '',
+  ].join('|');
+}
+
+/**
+ * Group rows that share a fingerprint.
+ * @param {'jpm'|'domestic'} kind
+ * @param {Array} rows - reader rows, each with a `source` {file, sheet, row}
+ * @returns {Array} groups: {id, kind, scope, rows}
+ */
+export function findDuplicates(kind, rows) {
+  const byPrint = new Map();
+  for (const row of rows) {
+    const id = fingerprint(kind, row);
+    if (!byPrint.has(id)) byPrint.set(id, []);
+    byPrint.get(id).push(row);
+  }
+  const groups = [];
+  for (const [id, members] of byPrint) {
+    if (members.length < 2) continue;
+    const sheets = new Set(members.map(r => `${r.source.file}\u0000${r.source.sheet}`));
+    groups.push({ id, kind, scope: sheets.size > 1 ? 'across' : 'within', rows: members });
+  }
+  return groups;
+}
+
+export function defaultResolution(group) {
+  return group.scope === 'across' ? 'keep-first' : 'keep-all';
+}
+
+/**
+ * Drop rows according to each group's resolution.
+ * @param {Array} rows
+ * @param {Array} groups - from findDuplicates
+ * @param {Object} [resolutions] - {groupId: resolution} user choices
+ * @returns {{rows: Array, groups: Array}} kept rows, and the groups annotated
+ *   with their resolution and a `kept` flag per member row
+ */
+export function resolveDuplicates(rows, groups, resolutions = {}) {
+  const dropped = new Set();
+  const resolved = groups.map(g => {
+    const resolution = resolutions[g.id] || defaultResolution(g);
+    const members = g.rows.map((row, i) => {
+      const kept = resolution === 'keep-all' || (resolution === 'keep-first' && i === 0);
+      if (!kept) dropped.add(row);
+      return { ...row.source, date: row.date, team: row.team, program: row.program, amount: row.amount, kept };
+    });
+    return { id: g.id, kind: g.kind, scope: g.scope, resolution, rows: members };
+  });
+  return { rows: rows.filter(r => !dropped.has(r)), groups: resolved };
+}
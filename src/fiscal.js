@@ -0,0 +1,102 @@
+/**
+ * Fiscal calendar: which fiscal month a transaction date falls in, and how
+ * months roll up into fiscal quarters and years.
+ *
+ * Fiscal years are named after the calendar year they end in, so with an
+ * October start FY2026 runs from October 2025 to September 2026.
+ *
+ * With the 'calendar' pattern fiscal months are calendar months. The week
+ * patterns (4-4-5 and friends) split the year into whole weeks: the year
+ * starts on the Monday nearest the 1st of the start month, each quarter is
+ * 13 weeks in the pattern's 4/5-week months, and the extra week of a 53-week
+ * year goes to the last month. A fiscal month is still keyed and labelled by
+ * the calendar month it stands for (YYYYMM), so the rest of the app works
+ * unchanged.
+ */
+
+export const FISCAL_PATTERNS = {
+  calendar: null,
+  '4-4-5': [4, 4, 5],
+  '4-5-4': [4, 5, 4],
+  '5-4-4': [5, 4, 4],
+};
+
+export const DEFAULT_FISCAL = { startMonth: 1, pattern: 'calendar' };
+
+export const PERIOD_VIEWS = [
+  { id: 'month', label: 'Month' },
+  { id: 'quarter', label: 'Quarter' },
+  { id: 'ytd', label: 'Year to date' },
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export function sanitizeFiscal(value) {
+  const startMonth = Number(value?.startMonth);
+  return {
+    startMonth: Number.isInteger(startMonth) && startMonth >= 1 && startMonth <= 12 ? startMonth : DEFAULT_FISCAL.startMonth,
+    pattern: Object.hasOwn(FISCAL_PATTERNS, value?.pattern) ? value.pattern : DEFAULT_FISCAL.pattern,
+  };
+}
+
+/**
+ * Fiscal year, month (1-12) and quarter (1-4) of a calendar monthKey.
+ */
+export function fiscalPeriod(monthKey, { startMonth }) {
+  const y = Math.floor(monthKey / 100);
+  const m = monthKey % 100;
+  const month = ((m - startMonth + 12) % 12) + 1;
+  return { year: startMonth > 1 && m >= startMonth ? y + 1 : y, month, quarter: Math.ceil(month / 3) };
+}
+
+// Calendar monthKey that fiscal month `month` of fiscal year `year` stands for
+function calendarMonthKey(year, month, startMonth) {
+  const m = ((startMonth - 1 + month - 1) % 12) + 1;
+  return (startMonth > 1 && m >= startMonth ? year - 1 : year) * 100 + m;
+}
+
+// Day number (UTC) of the Monday nearest the 1st of the fiscal year's start month
+function weekYearStart(year, startMonth) {
+  const first = Date.UTC(startMonth > 1 ? year - 1 : year, startMonth - 1, 1);
+  const weekday = (new Date(first).getUTCDay() + 6) % 7; // Monday = 0
+  return first / DAY + (weekday <= 3 ? -weekday : 7 - weekday);
+}
+
+/**
+ * Fiscal month (as the calendar monthKey it stands for) a date falls in.
+ */
+export function fiscalMonthOf(date, fiscal) {
+  const calendarKey = date.getFullYear() * 100 + (date.getMonth() + 1);
+  const weeks = FISCAL_PATTERNS[fiscal.pattern];
+  if (!weeks) return calendarKey;
+
+  const day = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY;
+  let year = fiscalPeriod(calendarKey, fiscal).year;
+  if (day < weekYearStart(year, fiscal.startMonth)) year--;
+  else if (day >= weekYearStart(year + 1, fiscal.startMonth)) year++;
+
+  const week = Math.floor((day - weekYearStart(year, fiscal.startMonth)) / 7);
+  let month = 1;
+  for (let end = weeks[0]; week >= end && month < 12; end += weeks[(month - 1) % 3]) month++;
+  return calendarMonthKey(year, month, fiscal.startMonth);
+}
+
+/**
+ * The rollup group a month belongs to for a period view, or null for 'month'.
+ * @returns {{key: string, label: string}|null}
+ */
+export function periodOf(monthKey, fiscal, view) {
+  if (view === 'month' || !monthKey) return null;
+  const { year, quarter } = fiscalPeriod(monthKey, fiscal);
+  return view === 'quarter'
+    ? { key: `${year}-Q${quarter}`, label: `Q${quarter} FY${year}` }
+    : { key: `${year}`, label: `FY${year} YTD` };
+}
+
+/**
+ * Short fiscal label for a month, e.g. "P1 FY2026".
+ */
+export function fiscalMonthLabel(monthKey, fiscal) {
+  const { year, month } = fiscalPeriod(monthKey, fiscal);
+  return `P${month} FY${year}`;
+}
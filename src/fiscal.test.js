@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { fiscalMonthLabel, fiscalMonthOf, fiscalPeriod, periodOf, sanitizeFiscal } from './fiscal.js';
+
+const day = (y, m, d) => new Date(y, m - 1, d);
+
+describe('fiscalMonthOf', () => {
+  it('uses calendar months with the calendar pattern', () => {
+    expect(fiscalMonthOf(day(2025, 10, 31), { startMonth: 10, pattern: 'calendar' })).toBe(202510);
+  });
+
+  it('splits a 4-4-5 year at week boundaries from the Monday nearest the start', () => {
+    const fiscal = { startMonth: 1, pattern: '4-4-5' };
+    // FY2025 starts Monday 30 Dec 2024
+    expect(fiscalMonthOf(day(2024, 12, 29), fiscal)).toBe(202412);
+    expect(fiscalMonthOf(day(2024, 12, 30), fiscal)).toBe(202501);
+    expect(fiscalMonthOf(day(2025, 1, 26), fiscal)).toBe(202501);
+    expect(fiscalMonthOf(day(2025, 1, 27), fiscal)).toBe(202502);
+    expect(fiscalMonthOf(day(2025, 2, 24), fiscal)).toBe(202503);
+    expect(fiscalMonthOf(day(2025, 3, 30), fiscal)).toBe(202503);
+    expect(fiscalMonthOf(day(2025, 3, 31), fiscal)).toBe(202504);
+    // FY2026 starts Monday 29 Dec 2025
+    expect(fiscalMonthOf(day(2025, 12, 28), fiscal)).toBe(202512);
+    expect(fiscalMonthOf(day(2025, 12, 29), fiscal)).toBe(202601);
+  });
+
+  it('gives the extra week of a 53-week year to the last month', () => {
+    const fiscal = { startMonth: 1, pattern: '4-4-5' };
+    // FY2020 runs from 30 Dec 2019 to 3 Jan 2021
+    expect(fiscalMonthOf(day(2020, 11, 22), fiscal)).toBe(202011);
+    expect(fiscalMonthOf(day(2020, 11, 23), fiscal)).toBe(202012);
+    expect(fiscalMonthOf(day(2021, 1, 3), fiscal)).toBe(202012);
+    expect(fiscalMonthOf(day(2021, 1, 4), fiscal)).toBe(202101);
+  });
+
+  it('follows the 4-5-4 pattern', () => {
+    const fiscal = { startMonth: 1, pattern: '4-5-4' };
+    expect(fiscalMonthOf(day(2025, 2, 23), fiscal)).toBe(202502);
+    expect(fiscalMonthOf(day(2025, 3, 2), fiscal)).toBe(202502);
+    expect(fiscalMonthOf(day(2025, 3, 3), fiscal)).toBe(202503);
+  });
+});
+
+describe('fiscal periods', () => {
+  const october = { startMonth: 10, pattern: 'calendar' };
+
+  it('names fiscal years after the calendar year they end in', () => {
+    expect(fiscalPeriod(202510, october)).toEqual({ year: 2026, month: 1, quarter: 1 });
+    expect(fiscalPeriod(202509, october)).toEqual({ year: 2025, month: 12, quarter: 4 });
+    expect(fiscalPeriod(202503, { startMonth: 1 })).toEqual({ year: 2025, month: 3, quarter: 1 });
+  });
+
+  it('labels quarters, years to date and months', () => {
+    expect(periodOf(202512, october, 'quarter')).toEqual({ key: '2026-Q1', label: 'Q1 FY2026' });
+    expect(periodOf(202601, october, 'quarter')).toEqual({ key: '2026-Q2', label: 'Q2 FY2026' });
+    expect(periodOf(202509, october, 'ytd')).toEqual({ key: '2025', label: 'FY2025 YTD' });
+    expect(periodOf(202510, october, 'ytd')).toEqual({ key: '2026', label: 'FY2026 YTD' });
+    expect(periodOf(202510, october, 'month')).toBeNull();
+    expect(fiscalMonthLabel(202509, october)).toBe('P12 FY2025');
+  });
+
+  it('falls back to the defaults for malformed settings', () => {
+    expect(sanitizeFiscal({ startMonth: 13, pattern: 'weekly' })).toEqual({ startMonth: 1, pattern: 'calendar' });
+    expect(sanitizeFiscal({ startMonth: '7', pattern: '5-4-4' })).toEqual({ startMonth: 7, pattern: '5-4-4' });
+    expect(sanitizeFiscal(null)).toEqual({ startMonth: 1, pattern: 'calendar' });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Saved run history, kept in the browser's IndexedDB so nothing leaves the
+ * machine.
+ *
+ * Record shape: {id, name, createdAt, files: [{name, type, size, hash}],
+ * settings, run} where `run` is the processFiles output.
+ */
+
+const DB_NAME = 'minnark-split';
+const DB_VERSION = 1;
+const STORE = 'runs';
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+function request(mode, fn) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  }));
+}
+
+/**
+ * Insert a run, or overwrite it when `record.id` is set. Resolves to the id.
+ */
+export function saveRun(record) {
+  return request('readwrite', store => store.put(record));
+}
+
+export function getRun(id) {
+  return request('readonly', store => store.get(id));
+}
+
+/**
+ * All saved runs, newest first, without their results.
+ */
+export async function listRuns() {
+  const records = await request('readonly', store => store.getAll());
+  return records
+    .map(({ id, name, createdAt, files, run }) => ({
+      id, name, createdAt, files,
+      months: run.results.map(r => r.month),
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function renameRun(id, name) {
+  const record = await getRun(id);
+  if (!record) return;
+  await saveRun({ ...record, name });
+}
+
+export function deleteRun(id) {
+  return request('readwrite', store => store.delete(id));
+}
+
+/**
+ * Default name for a new run: its month range.
+ */
+export function defaultRunName(run) {
+  const months = run.results.map(r => r.month);
+  return months.length > 1 ? `${months[0]} – ${months[months.length - 1]}` : months[0] || 'Untitled run';
+}
@@ -0,0 +1,146 @@
+import { CATEGORIES } from './pipeline.js';
+import { DEFAULT_CURRENCY } from './currency.js';
+import { addMoney, roundMoney } from './money.js';
+
+/**
+ * Manual adjustments ledger: corrections finance books outside the source
+ * workbooks (a misattributed program, a late payment, a one-off credit).
+ *
+ * Entries are {id, month, teamId, category, program, amount, reason, author,
+ * createdAt}, where `month` is YYYY-MM, `category` a CATEGORIES code and
+ * `amount` is in the reporting currency (negative to take money away).
+ * applyLedger folds them into processFiles results; each result keeps the
+ * entries applied to it as `manual`, so they can be shown and exported as
+ * their own layer.
+ */
+
+export const LEDGER_FILE_KIND = 'minnark-ledger';
+export const LEDGER_FILE_VERSION = 1;
+
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+export function newEntryId() {
+  return `adj-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Month key (YYYYMM) of an entry's YYYY-MM month.
+ */
+export function entryMonthKey(entry) {
+  return Number(entry.month.replace('-', ''));
+}
+
+/**
+ * Drop malformed entries from a stored or imported ledger. Entries without
+ * an id get one.
+ */
+export function sanitizeLedger(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .filter(e => e && MONTH.test(String(e.month ?? '').trim()) && typeof e.teamId === 'string' && e.teamId
+      && CATEGORIES.some(c => c.code === e.category) && String(e.program ?? '').trim()
+      && Number.isFinite(Number(e.amount)) && Number(e.amount) !== 0)
+    .map(e => ({
+      id: typeof e.id === 'string' && e.id ? e.id : newEntryId(),
+      month: String(e.month).trim(),
+      teamId: e.teamId,
+      category: e.category,
+      program: String(e.program).trim(),
+      amount: roundMoney(e.amount),
+      reason: String(e.reason ?? '').trim(),
+      author: String(e.author ?? '').trim(),
+      createdAt: typeof e.createdAt === 'string' ? e.createdAt : new Date().toISOString(),
+    }));
+}
+
+/**
+ * Apply ledger entries on top of processFiles results. Each entry is added to
+ * its month's team, category and program totals (and to the program's
+ * reporting-currency breakdown), and becomes a transaction marked `manual`.
+ * Entries whose month is not in the results, or whose team is not in that
+ * month's teams, are returned as `unapplied`.
+ * @returns {{results: Array, unapplied: Array}}
+ */
+export function applyLedger(results, entries = []) {
+  if (entries.length === 0) return { results, unapplied: [] };
+  const unapplied = [];
+  const byMonth = new Map(results.map(r => [r.monthKey, []]));
+  for (const e of entries) {
+    const r = results.find(res => res.monthKey === entryMonthKey(e));
+    if (!r || !r.teams.some(t => t.id === e.teamId)) unapplied.push(e);
+    else byMonth.get(r.monthKey).push(e);
+  }
+
+  const applied = results.map(r => {
+    const manual = byMonth.get(r.monthKey);
+    if (!manual || manual.length === 0) return r;
+    const reporting = r.currency || DEFAULT_CURRENCY;
+    const out = { ...r, actual: { ...r.actual }, transactions: [...(r.transactions || [])], manual };
+    for (const e of manual) {
+      const cat = CATEGORIES.find(c => c.code === e.category);
+      const team = r.teams.find(t => t.id === e.teamId);
+      const key = `${cat.id}_${e.teamId}`;
+      out.actual[key] = addMoney(out.actual[key] || 0, e.amount);
+      out.actual[`${cat.id}_total`] = addMoney(out.actual[`${cat.id}_total`] || 0, e.amount);
+      out.actual.grand_total = addMoney(out.actual.grand_total || 0, e.amount);
+
+      const programs = { ...(out[`${key}_programs`] || {}) };
+      programs[e.program] = addMoney(programs[e.program] || 0, e.amount);
+      out[`${key}_programs`] = programs;
+
+      const currencies = { ...(out[`${key}_currencies`] || {}) };
+      const byCurrency = { ...(currencies[e.program] || {}) };
+      const part = byCurrency[reporting] || { original: 0, amount: 0 };
+      byCurrency[reporting] = { original: addMoney(part.original, e.amount), amount: addMoney(part.amount, e.amount) };
+      currencies[e.program] = byCurrency;
+      out[`${key}_currencies`] = currencies;
+
+      out.transactions.push({
+        date: null, category: e.category, teamId: e.teamId, team: team.label, program: e.program, rawProgram: e.program,
+        amount: e.amount, originalAmount: e.amount, currency: reporting, type: 'Manual adjustment',
+        invoice: null, reference: e.reason || null, file: 'Manual adjustments', sheet: e.author ? `by ${e.author}` : '', row: null,
+        manual: true, entryId: e.id,
+      });
+    }
+    return out;
+  });
+  return { results: applied, unapplied };
+}
+
+/**
+ * Net manual amount per category, team and program key
+ * (`<code>\u0000<teamId>\u0000<program>`) of a result's applied entries.
+ */
+export function manualAmounts(result) {
+  const amounts = new Map();
+  for (const e of result.manual || []) {
+    const key = `${e.category}\u0000${e.teamId}\u0000${e.program}`;
+    amounts.set(key, addMoney(amounts.get(key) || 0, e.amount));
+  }
+  return amounts;
+}
+
+/**
+ * The ledger as a JSON document for export.
+ */
+export function exportLedgerJSON(entries) {
+  return JSON.stringify({ kind: LEDGER_FILE_KIND, version: LEDGER_FILE_VERSION, entries }, null, 2);
+}
+
+/**
+ * Parse an exported ledger (or a bare array of entries). Malformed entries
+ * are dropped.
+ * @returns {Array} sanitized entries
+ */
+export function parseLedgerJSON(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a JSON file: ${err.message}`);
+  }
+  if (Array.isArray(doc)) return sanitizeLedger(doc);
+  if (doc?.kind !== LEDGER_FILE_KIND || !Array.isArray(doc.entries)) throw new Error('Not an adjustments ledger export');
+  if (doc.version > LEDGER_FILE_VERSION) throw new Error(`Ledger file version ${doc.version} is newer than this app supports`);
+  return sanitizeLedger(doc.entries);
+}
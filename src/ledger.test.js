@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { processFiles } from './pipeline.js';
+import { applyLedger, exportLedgerJSON, manualAmounts, parseLedgerJSON, sanitizeLedger } from './ledger.js';
+
+function run() {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ['Team', 'Program', 'Paid Per Item', 'Payment Date', 'Invoice Number'],
+    ['Blackfin', 'Alpha', 100.1, new Date(2025, 9, 3), 'X1'],
+    ['Mizar', 'Beta', 0.2, new Date(2025, 9, 4), 'X2'],
+  ]), 'TOTAL DI');
+  return processFiles([{ filename: 'JPM_TXN_2025_Oct.xlsx', workbook: wb }], null);
+}
+
+const entry = (patch) => ({
+  id: 'e1', month: '2025-10', teamId: 'blackfin', category: 'DI', program: 'Alpha', amount: -0.3,
+  reason: 'Misbooked', author: 'ana', createdAt: '2025-11-02T09:00:00Z', ...patch,
+});
+
+describe('applyLedger', () => {
+  const { results } = run();
+
+  it('adds entries to team, category, program and grand totals in cents', () => {
+    const { results: applied, unapplied } = applyLedger(results, [entry(), entry({ id: 'e2', teamId: 'mizar', program: 'Gamma', amount: 0.1 })]);
+    const [r] = applied;
+    expect(unapplied).toEqual([]);
+    expect(r.actual.di_blackfin).toBe(99.8);
+    expect(r.actual.di_mizar).toBe(0.3);
+    expect(r.actual.di_total).toBe(100.1);
+    expect(r.actual.grand_total).toBe(100.1);
+    expect(r.di_blackfin_programs.Alpha).toBe(99.8);
+    expect(r.di_mizar_programs).toEqual({ Beta: 0.2, Gamma: 0.1 });
+    expect(r.manual.map(e => e.id)).toEqual(['e1', 'e2']);
+    expect(r.transactions.filter(t => t.manual).map(t => t.entryId)).toEqual(['e1', 'e2']);
+    expect(manualAmounts(r).get('DI\u0000blackfin\u0000Alpha')).toBe(-0.3);
+  });
+
+  it('returns entries for months or teams not in the run as unapplied', () => {
+    const outside = entry({ id: 'e3', month: '2025-12' });
+    const noTeam = entry({ id: 'e4', teamId: 'newco' });
+    const { results: applied, unapplied } = applyLedger(results, [entry(), outside, noTeam]);
+    expect(unapplied).toEqual([outside, noTeam]);
+    expect(applied[0].manual).toEqual([entry()]);
+  });
+
+  it('leaves the results untouched', () => {
+    const before = structuredClone(results);
+    applyLedger(results, [entry()]);
+    expect(results).toEqual(before);
+    expect(applyLedger(results, []).results).toBe(results);
+  });
+});
+
+describe('ledger files', () => {
+  it('drops malformed entries and rounds amounts', () => {
+    const clean = sanitizeLedger([
+      entry({ amount: '12.345' }),
+      entry({ month: '2025-13' }),
+      entry({ category: 'XX' }),
+      entry({ amount: 0 }),
+      entry({ program: ' ' }),
+      null,
+    ]);
+    expect(clean).toHaveLength(1);
+    expect(clean[0].amount).toBe(12.35);
+  });
+
+  it('round-trips through JSON and rejects other documents', () => {
+    expect(parseLedgerJSON(exportLedgerJSON([entry()]))).toEqual([entry()]);
+    expect(parseLedgerJSON(JSON.stringify([entry()]))).toEqual([entry()]);
+    expect(() => parseLedgerJSON('{')).toThrow(/Not a JSON file/);
+    expect(() => parseLedgerJSON('{"kind":"other"}')).toThrow(/Not an adjustments ledger/);
+    expect(() => parseLedgerJSON(JSON.stringify({ kind: 'minnark-ledger', version: 99, entries: [] }))).toThrow(/newer/);
+  });
+});
@@ -0,0 +1,190 @@
+import * as XLSX from 'xlsx';
+
+/**
+ * Header-driven column mapping for the TOTAL DI and Payment Details readers.
+ *
+ * Columns are located by header text, never by position. Each field has an
+ * alias list; a mapping profile can pin a field to a specific header when the
+ * aliases don't match (e.g. a renamed column upstream).
+ */
+
+// Transaction currency; rows without one are taken to be in the reporting currency
+const CURRENCY_FIELD = {
+  key: 'currency',
+  label: 'Currency',
+  aliases: ['Currency', 'Currency Code', 'CCY', 'Payment Currency', 'Settlement Currency'],
+};
+
+// Marks refunds and reversals (see refunds.js)
+const TYPE_FIELD = {
+  key: 'type',
+  label: 'Transaction Type',
+  aliases: ['Transaction Type', 'Txn Type', 'Payment Type', 'Type'],
+};
+
+// Optional identifiers, used to fingerprint rows for duplicate detection
+const INVOICE_FIELD = { key: 'invoice', label: 'Invoice Number', aliases: ['Invoice Number', 'Invoice No', 'Invoice #', 'Invoice'] };
+const REFERENCE_FIELD = {
+  key: 'reference',
+  label: 'Reference',
+  aliases: ['Reference', 'Reference Number', 'Payment Reference', 'Transaction ID', 'Transaction Reference', 'Ref'],
+};
+
+/**
+ * Field definitions per source kind. `required: true` fields must resolve;
+ * fields sharing a `requiredGroup` need at least one of them to resolve.
+ */
+export const FIELDS = {
+  jpm: [
+    { key: 'team', label: 'Team', required: true, aliases: ['Team'] },
+    { key: 'program', label: 'Program', aliases: ['Program'] },
+    { key: 'paid', label: 'Paid Per Item', requiredGroup: 'amount', aliases: ['Paid Per Item'] },
+    { key: 'net', label: 'Payment Amount', requiredGroup: 'amount', aliases: ['Payment Amount', 'Discount Net Amount'] },
+    { key: 'date', label: 'Payment Date', aliases: ['Payment Date', 'Discount Start Date'] },
+    CURRENCY_FIELD,
+    TYPE_FIELD,
+    INVOICE_FIELD,
+    REFERENCE_FIELD,
+  ],
+  domestic: [
+    { key: 'date', label: 'Payment Date', required: true, aliases: ['Payment Date'] },
+    { key: 'team', label: 'Team', required: true, aliases: ['Team'] },
+    { key: 'paid', label: 'Paid Per Item', required: true, aliases: ['Paid Per Item'] },
+    { key: 'program', label: 'Program', aliases: ['Program'] },
+    CURRENCY_FIELD,
+    TYPE_FIELD,
+    INVOICE_FIELD,
+    REFERENCE_FIELD,
+  ],
+};
+
+export const DEFAULT_PROFILE = { name: 'Default', columns: { jpm: {}, domestic: {} } };
+
+export function findCol(headers, ...names) {
+  const lowerNames = names.map(n => String(n).trim().toLowerCase());
+  for (let i = 0; i < headers.length; i++) {
+    if (headers[i] == null) continue;
+    const h = String(headers[i]).trim().toLowerCase();
+    if (lowerNames.includes(h)) return i;
+  }
+  return null;
+}
+
+/**
+ * Resolve field columns from a header row.
+ * @param {Array} headers - header row values
+ * @param {'jpm'|'domestic'} kind
+ * @param {Object} [overrides] - {fieldKey: headerText} from a mapping profile
+ * @returns {{columns: Object, missing: string[]}} column index per field, and
+ *   the keys of required fields that could not be found
+ */
+export function resolveColumns(headers, kind, overrides = {}) {
+  const columns = {};
+  for (const f of FIELDS[kind]) {
+    const pinned = overrides[f.key] ? findCol(headers, overrides[f.key]) : null;
+    columns[f.key] = pinned != null ? pinned : findCol(headers, ...f.aliases);
+  }
+
+  const missing = [];
+  const groups = {};
+  for (const f of FIELDS[kind]) {
+    if (f.required && columns[f.key] == null) missing.push(f.key);
+    if (f.requiredGroup) (groups[f.requiredGroup] ||= []).push(f.key);
+  }
+  for (const keys of Object.values(groups)) {
+    if (keys.every(k => columns[k] == null)) missing.push(...keys);
+  }
+  return { columns, missing };
+}
+
+export class ColumnMappingError extends Error {
+  constructor(kind, sheet, headers, missing) {
+    const labels = missing.map(k => FIELDS[kind].find(f => f.key === k).label);
+    super(`Could not find ${labels.join(' / ')} column in "${sheet}". Headers: ${headers.filter(h => h != null).join(', ')}`);
+    this.name = 'ColumnMappingError';
+    this.kind = kind;
+    this.sheet = sheet;
+    this.headers = headers;
+    this.missing = missing;
+  }
+}
+
+/**
+ * Read the header row of a sheet.
+ */
+export function sheetHeaders(ws) {
+  const data = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null, sheetRows: 1 });
+  return data[0] || [];
+}
+
+// Headers only a TOTAL DI export has
+const JPM_ONLY_HEADERS = ['Payment Amount', 'Discount Net Amount', 'Discount Start Date'];
+
+/**
+ * Classify a CSV by its header row: TOTAL DI-shaped ('jpm'),
+ * Payment Details-shaped ('domestic') or neither (null).
+ *
+ * A TOTAL DI export with Payment Date and Paid Per Item columns fits both
+ * shapes; it's taken as TOTAL DI when the filename says so (JPM / TOTAL DI),
+ * else as Payment Details.
+ * @param {Object} [mapping] - {jpm, domestic} column overrides from the
+ *   active mapping profile, so renamed headers are recognised
+ */
+export function sniffSourceKind(headers, filename = '', mapping = {}) {
+  const fits = (kind) => resolveColumns(headers, kind, mapping[kind]).missing.length === 0;
+  if (findCol(headers, ...JPM_ONLY_HEADERS) != null && fits('jpm')) return 'jpm';
+  if (fits('domestic')) return fits('jpm') && /jpm|total[ _-]?di/i.test(filename) ? 'jpm' : 'domestic';
+  return fits('jpm') ? 'jpm' : null;
+}
+
+/**
+ * Sheets that hold the rows for a given source kind: TOTAL DI for JPM
+ * workbooks, and every `*_Payment Details` sheet (one per year) for Domestic
+ * Payments, in workbook order.
+ */
+export function sourceSheetNames(workbook, kind) {
+  if (kind === 'jpm') return workbook.Sheets['TOTAL DI'] ? ['TOTAL DI'] : [];
+  return workbook.SheetNames.filter(n => n.includes('Payment Details'));
+}
+
+/**
+ * Check whether a workbook's columns resolve under a mapping profile.
+ * Returns {sheet, headers, columns, missing} for the mapper UI, describing the
+ * first sheet whose columns don't resolve (else the first sheet), plus
+ * `sheets`: [{name, missing}] for every source sheet.
+ */
+export function inspectColumns(workbook, kind, overrides = {}) {
+  const names = sourceSheetNames(workbook, kind);
+  if (names.length === 0) return { sheet: null, sheets: [], headers: [], columns: {}, missing: [] };
+  const inspected = names.map(sheet => {
+    const headers = sheetHeaders(workbook.Sheets[sheet]);
+    return { sheet, headers, ...resolveColumns(headers, kind, overrides) };
+  });
+  const shown = inspected.find(s => s.missing.length > 0) || inspected[0];
+  return { ...shown, sheets: inspected.map(s => ({ name: s.sheet, missing: s.missing })) };
+}
+
+/**
+ * Keep only header-text overrides for known fields: {jpm, domestic}.
+ */
+export function sanitizeMapping(mapping) {
+  const clean = {};
+  for (const kind of Object.keys(FIELDS)) {
+    const overrides = mapping?.[kind];
+    clean[kind] = {};
+    for (const f of FIELDS[kind]) {
+      if (typeof overrides?.[f.key] === 'string' && overrides[f.key].trim()) clean[kind][f.key] = overrides[f.key];
+    }
+  }
+  return clean;
+}
+
+/**
+ * Drop malformed profiles from storage, always keeping a Default profile.
+ */
+export function sanitizeProfiles(profiles) {
+  const clean = Array.isArray(profiles)
+    ? profiles.filter(p => p && p.name && p.columns).map(p => ({ name: p.name, columns: sanitizeMapping(p.columns) }))
+    : [];
+  return clean.some(p => p.name === DEFAULT_PROFILE.name) ? clean : [DEFAULT_PROFILE, ...clean];
+}
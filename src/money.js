@@ -0,0 +1,99 @@
+/**
+ * Exact-cent money arithmetic.
+ *
+ * Amounts are rounded to the cent once, when read from a workbook or
+ * converted into the reporting currency; every sum after that is done in
+ * integer cents, so totals, subtotals and breakdowns agree to the cent.
+ * Where a total has to be split (FX conversion of a file's rows, percentage
+ * shares) the residual cents go to
+ * the largest remainders, ties to the earliest part, so the parts always add
+ * up to the total and the split is the same on every run.
+ */
+
+// Half away from zero, on the decimal value as written: 1.005 is 100.5 cents
+// even though the float is 1.00499…
+function roundHalfAway(x) {
+  const r = Math.round(Number(Math.abs(x).toFixed(6)));
+  return x < 0 && r !== 0 ? -r : r;
+}
+
+/**
+ * Amount in whole cents.
+ */
+export function toCents(amount) {
+  const n = Number(amount);
+  return Number.isFinite(n) ? roundHalfAway(n * 100) : 0;
+}
+
+export function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * Amount rounded to the cent.
+ */
+export function roundMoney(amount) {
+  return fromCents(toCents(amount));
+}
+
+export function addMoney(a, b) {
+  return fromCents(toCents(a) + toCents(b));
+}
+
+/**
+ * Sum of amounts, added in cents.
+ */
+export function sumMoney(amounts) {
+  let cents = 0;
+  for (const a of amounts) cents += toCents(a);
+  return fromCents(cents);
+}
+
+/**
+ * Round fractional quotas to integers that add up to `total` (by default the
+ * quotas' own sum, rounded): each quota is floored, then the cents still
+ * missing go one each to the largest remainders (ties to the lower index), or
+ * are taken from the smallest when the floors overshoot.
+ * @param {number[]} quotas
+ * @param {number} [total] - integer
+ * @returns {number[]} integers, one per quota
+ */
+export function largestRemainder(quotas, total = roundHalfAway(quotas.reduce((s, q) => s + q, 0))) {
+  const out = quotas.map(q => Math.floor(q));
+  let left = total - out.reduce((s, v) => s + v, 0);
+  if (quotas.length === 0 || left === 0) return out;
+  const order = quotas.map((q, i) => ({ i, frac: q - Math.floor(q) }))
+    .sort((a, b) => b.frac - a.frac || a.i - b.i);
+  if (left < 0) order.reverse();
+  const step = left > 0 ? 1 : -1;
+  for (let k = 0; left !== 0; k = (k + 1) % order.length) {
+    out[order[k].i] += step;
+    left -= step;
+  }
+  return out;
+}
+
+/**
+ * Split `totalCents` in proportion to `weights`. Without any weight the whole
+ * total goes to the last part.
+ * @returns {number[]} integer cents adding up to `totalCents`
+ */
+export function allocateCents(totalCents, weights) {
+  if (weights.length === 0) return [];
+  const sum = weights.reduce((s, w) => s + w, 0);
+  if (sum === 0) return weights.map((_, i) => i === weights.length - 1 ? totalCents : 0);
+  return largestRemainder(weights.map(w => totalCents * w / sum), totalCents);
+}
+
+/**
+ * Percentage shares of a total with `decimals` places that add up to exactly
+ * 100. Shares of a zero total are 0; with negative values, where shares can't
+ * add up sensibly, each is rounded on its own.
+ */
+export function percentShares(values, decimals = 1) {
+  const scale = 10 ** decimals;
+  const total = values.reduce((s, v) => s + v, 0);
+  if (total === 0) return values.map(() => 0);
+  if (values.some(v => v < 0)) return values.map(v => Math.round(v / total * 100 * scale) / scale);
+  return allocateCents(100 * scale, values).map(v => v / scale);
+}
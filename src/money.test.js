@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { addMoney, allocateCents, fromCents, largestRemainder, percentShares, roundMoney, sumMoney, toCents } from './money.js';
+
+const total = (values) => values.reduce((s, v) => s + v, 0);
+
+describe('toCents', () => {
+  it('rounds half away from zero on the written decimal value', () => {
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents(2.675)).toBe(268);
+    expect(toCents(-1.005)).toBe(-101);
+    expect(toCents(-2.675)).toBe(-268);
+    expect(toCents(0.125)).toBe(13);
+  });
+
+  it('reads numeric strings and treats anything else as 0', () => {
+    expect(toCents('12.345')).toBe(1235);
+    expect(toCents(null)).toBe(0);
+    expect(toCents('abc')).toBe(0);
+    expect(toCents(Infinity)).toBe(0);
+  });
+
+  it('never returns negative zero', () => {
+    expect(Object.is(toCents(-0.001), 0)).toBe(true);
+  });
+});
+
+describe('money sums', () => {
+  it('adds without float drift', () => {
+    expect(addMoney(0.1, 0.2)).toBe(0.3);
+    expect(sumMoney(Array(1000).fill(0.1))).toBe(100);
+    expect(sumMoney([0.1, 0.2, 0.3, -0.6])).toBe(0);
+    expect(roundMoney(1.005)).toBe(1.01);
+    expect(fromCents(toCents(1 / 3) * 3)).toBe(0.99);
+  });
+});
+
+describe('largestRemainder', () => {
+  it('gives the leftover to the largest remainders, ties to the lower index', () => {
+    expect(largestRemainder([33.4, 33.3, 33.3])).toEqual([34, 33, 33]);
+    expect(largestRemainder([1 / 3, 1 / 3, 1 / 3], 1)).toEqual([1, 0, 0]);
+    expect(largestRemainder([0.5, 0.5], 1)).toEqual([1, 0]);
+  });
+
+  it('adds up to the requested total', () => {
+    const quotas = Array.from({ length: 300 }, () => 100 / 3);
+    const out = largestRemainder(quotas, 10000);
+    expect(total(out)).toBe(10000);
+    expect(out.every(v => v === 33 || v === 34)).toBe(true);
+  });
+
+  it('takes cents back from the smallest remainders when floors overshoot', () => {
+    expect(largestRemainder([1.9, 1.1, 1.5], 3)).toEqual([1, 1, 1]);
+    expect(total(largestRemainder([-1.2, -2.7, 5.6], 1))).toBe(1);
+  });
+
+  it('handles negative quotas', () => {
+    const out = largestRemainder([-33.3, -33.3, -33.4], -100);
+    expect(total(out)).toBe(-100);
+    expect(out).toEqual([-33, -33, -34]);
+  });
+
+  it('returns nothing for no quotas', () => {
+    expect(largestRemainder([])).toEqual([]);
+  });
+});
+
+describe('allocateCents', () => {
+  it('splits in proportion and keeps the total', () => {
+    expect(allocateCents(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(allocateCents(-100, [1, 1, 1])).toEqual([-33, -33, -34]);
+    expect(total(allocateCents(1, Array(10).fill(0.1)))).toBe(1);
+  });
+
+  it('gives everything to the last part when the weights sum to 0', () => {
+    expect(allocateCents(500, [0, 0, 0])).toEqual([0, 0, 500]);
+    expect(allocateCents(0, [5, -5])).toEqual([0, 0]);
+  });
+
+  it('is the same on every call', () => {
+    const weights = Array.from({ length: 50 }, (_, i) => (i % 7) + 0.1);
+    expect(allocateCents(12345, weights)).toEqual(allocateCents(12345, weights));
+    expect(total(allocateCents(12345, weights))).toBe(12345);
+  });
+
+  it('returns nothing for no weights', () => {
+    expect(allocateCents(100, [])).toEqual([]);
+  });
+});
+
+describe('percentShares', () => {
+  it('adds up to exactly 100', () => {
+    expect(percentShares([1, 1, 1])).toEqual([33.4, 33.3, 33.3]);
+    expect(percentShares([1, 1, 1], 2)).toEqual([33.34, 33.33, 33.33]);
+    expect(Math.round(total(percentShares([0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1])) * 10)).toBe(1000);
+  });
+
+  it('is 0 for every share of a zero total', () => {
+    expect(percentShares([0, 0])).toEqual([0, 0]);
+    expect(percentShares([5, -5])).toEqual([0, 0]);
+  });
+
+  it('rounds each share on its own when a value is negative', () => {
+    expect(percentShares([150, -50])).toEqual([150, -50]);
+  });
+});
@@ -0,0 +1,111 @@
+import { CATEGORIES } from './pipeline.js';
+import { fromCents, roundMoney, toCents } from './money.js';
+
+/**
+ * Period close: months whose split has been approved and sent are closed,
+ * keeping a snapshot of their figures. A later run (re-uploaded files, alias
+ * or ledger changes) that would change a closed month's figures is blocked
+ * until the month is reopened, which records a reason.
+ *
+ * State is {closed: {monthKey: closure}, log: [event]}, where a closure is
+ * {month, monthKey, closedAt, closedBy, snapshot} and an event is
+ * {action: 'closed'|'reopened', month, monthKey, at, by, reason}. A snapshot
+ * is {teams: [{id, label}], actual, programs: {'<cat>_<teamId>': {program: amount}}}.
+ */
+
+export const EMPTY_CLOSE_STATE = { closed: {}, log: [] };
+
+/**
+ * Drop malformed data from a stored close state.
+ */
+export function sanitizeCloseState(state) {
+  const closed = {};
+  for (const [key, c] of Object.entries(state?.closed || {})) {
+    if (c && c.snapshot?.actual && c.snapshot?.programs && Array.isArray(c.snapshot.teams)) closed[key] = c;
+  }
+  const log = Array.isArray(state?.log) ? state.log.filter(e => e && (e.action === 'closed' || e.action === 'reopened')) : [];
+  return { closed, log };
+}
+
+/**
+ * Figures of a monthly result that closing it freezes.
+ */
+export function snapshotResult(result) {
+  const actual = {};
+  for (const [key, value] of Object.entries(result.actual)) actual[key] = roundMoney(value);
+  const programs = {};
+  for (const cat of CATEGORIES) {
+    for (const t of result.teams) programs[`${cat.id}_${t.id}`] = { ...(result[`${cat.id}_${t.id}_programs`] || {}) };
+  }
+  return { teams: result.teams.map(t => ({ id: t.id, label: t.label })), actual, programs };
+}
+
+/**
+ * Close a month. `by` names who approved it.
+ */
+export function closePeriod(state, result, by) {
+  const at = new Date().toISOString();
+  return {
+    closed: { ...state.closed, [result.monthKey]: { month: result.month, monthKey: result.monthKey, closedAt: at, closedBy: by, snapshot: snapshotResult(result) } },
+    log: [...state.log, { action: 'closed', month: result.month, monthKey: result.monthKey, at, by, reason: '' }],
+  };
+}
+
+/**
+ * Reopen a closed month, recording why and the snapshot it had.
+ */
+export function reopenPeriod(state, monthKey, by, reason) {
+  const closure = state.closed[monthKey];
+  if (!closure) return state;
+  if (!String(reason ?? '').trim()) throw new Error('A reason is required to reopen a closed month');
+  const closed = { ...state.closed };
+  delete closed[monthKey];
+  return {
+    closed,
+    log: [...state.log, {
+      action: 'reopened', month: closure.month, monthKey, at: new Date().toISOString(), by, reason: reason.trim(),
+      snapshot: closure.snapshot,
+    }],
+  };
+}
+
+/**
+ * Differences between closed months' snapshots and the same months in
+ * `results` (monthly, not rolled up): team totals per category and program
+ * amounts, plus the grand total. Months not in `results` are left alone.
+ * @returns {Array} [{month, monthKey, category, teamId, team, program, before, after, delta}],
+ *   with `category`, `teamId` and `team` null on the grand total line and
+ *   `program` null on total lines
+ */
+export function closedPeriodChanges(results, state) {
+  const lines = [];
+  for (const r of results) {
+    const closure = state.closed[r.monthKey];
+    if (!closure) continue;
+    const current = snapshotResult(r);
+    const before = closure.snapshot;
+    const push = (category, team, program, was, now) => {
+      const delta = toCents(now) - toCents(was);
+      if (delta === 0) return;
+      lines.push({
+        month: r.month, monthKey: r.monthKey, category, teamId: team?.id ?? null, team: team?.label ?? null, program,
+        before: roundMoney(was), after: roundMoney(now), delta: fromCents(delta),
+      });
+    };
+
+    push(null, null, null, before.actual.grand_total, current.actual.grand_total);
+    const teams = [...before.teams, ...current.teams.filter(t => !before.teams.some(b => b.id === t.id))];
+    for (const cat of CATEGORIES) {
+      for (const t of teams) {
+        const key = `${cat.id}_${t.id}`;
+        push(cat.code, t, null, before.actual[key], current.actual[key]);
+        const was = before.programs[key] || {};
+        const now = current.programs[key] || {};
+        for (const program of [...new Set([...Object.keys(was), ...Object.keys(now)])].sort()) {
+          push(cat.code, t, program, was[program], now[program]);
+        }
+      }
+    }
+  }
+  return lines;
+}
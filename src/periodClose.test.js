@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { processFiles } from './pipeline.js';
+import { applyLedger } from './ledger.js';
+import { closePeriod, closedPeriodChanges, reopenPeriod, sanitizeCloseState, snapshotResult, EMPTY_CLOSE_STATE } from './periodClose.js';
+
+function run() {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ['Team', 'Program', 'Paid Per Item', 'Payment Date', 'Invoice Number'],
+    ['Blackfin', 'Alpha', 100.1, new Date(2025, 9, 3), 'X1'],
+    ['Mizar', 'Beta', 0.2, new Date(2025, 9, 4), 'X2'],
+    ['Mizar', 'Beta', 5, new Date(2025, 10, 4), 'X3'],
+  ]), 'TOTAL DI');
+  return processFiles([{ filename: 'JPM_TXN_2025_Oct.xlsx', workbook: wb }], null, { diAttribution: 'transaction' });
+}
+
+const entry = { id: 'e1', month: '2025-10', teamId: 'mizar', category: 'DI', program: 'Gamma', amount: 0.1, reason: 'Late payment', author: 'ana', createdAt: '2025-11-02T09:00:00Z' };
+
+describe('period close', () => {
+  const { results } = run();
+  const [october] = results;
+  const state = closePeriod(EMPTY_CLOSE_STATE, october, 'ana');
+
+  it('snapshots the month and logs the close', () => {
+    expect(state.closed[202510].snapshot).toEqual(snapshotResult(october));
+    expect(state.closed[202510].snapshot.programs.di_mizar).toEqual({ Beta: 0.2 });
+    expect(state.log.map(e => [e.action, e.monthKey, e.by])).toEqual([['closed', 202510, 'ana']]);
+  });
+
+  it('finds no changes in the same figures, including after a storage round-trip', () => {
+    expect(closedPeriodChanges(results, state)).toEqual([]);
+    expect(closedPeriodChanges(results, sanitizeCloseState(JSON.parse(JSON.stringify(state))))).toEqual([]);
+  });
+
+  it('lists total, team and program changes to a closed month only', () => {
+    const { results: changed } = applyLedger(results, [entry, { ...entry, id: 'e2', month: '2025-11' }]);
+    expect(closedPeriodChanges(changed, state).map(l => [l.category, l.team, l.program, l.before, l.after, l.delta])).toEqual([
+      [null, null, null, 100.3, 100.4, 0.1],
+      ['DI', 'Mizar', null, 0.2, 0.3, 0.1],
+      ['DI', 'Mizar', 'Gamma', 0, 0.1, 0.1],
+    ]);
+  });
+
+  it('reopens only with a reason, keeping the snapshot in the log', () => {
+    expect(() => reopenPeriod(state, 202510, 'ben', '  ')).toThrow(/reason is required/);
+    const reopened = reopenPeriod(state, 202510, 'ben', ' Late invoice ');
+    expect(reopened.closed).toEqual({});
+    expect(reopened.log[1]).toMatchObject({ action: 'reopened', monthKey: 202510, by: 'ben', reason: 'Late invoice' });
+    expect(reopened.log[1].snapshot).toEqual(state.closed[202510].snapshot);
+    expect(reopenPeriod(state, 202511, 'ben', 'x')).toBe(state);
+  });
+
+  it('drops malformed stored closures and log events', () => {
+    const clean = sanitizeCloseState({ closed: { 202510: state.closed[202510], 202511: { month: 'x' } }, log: [...state.log, { action: 'deleted' }] });
+    expect(Object.keys(clean.closed)).toEqual(['202510']);
+    expect(clean.log).toEqual(state.log);
+  });
+});
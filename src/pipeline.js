@@ -1,16 +1,32 @@
 import * as XLSX from 'xlsx';
+import { DEFAULT_TEAMS, isTotalLabel, reportTeams, teamMatcher, UNASSIGNED_TEAM } from './teams.js';
+import { resolveColumns, sheetHeaders, sniffSourceKind, sourceSheetNames, ColumnMappingError } from './mapping.js';
+import { makeIssue } from './quality.js';
+import { readSummary, reconcile, DEFAULT_TOLERANCE } from './reconcile.js';
+import { findDuplicates, resolveDuplicates } from './duplicates.js';
+import { programMatcher, UNKNOWN_PROGRAM } from './programs.js';
+import { convertRows, fxConverter, normalizeCurrency, DEFAULT_CURRENCY, SOURCE_CURRENCY } from './currency.js';
+import { adjustmentMatcher, classifyAmount } from './refunds.js';
+import { toTransaction } from './transactions.js';
+import { toCSV } from './csv.js';
+import { addMoney, fromCents, roundMoney, sumMoney, toCents } from './money.js';
+import { fiscalMonthOf, periodOf, sanitizeFiscal } from './fiscal.js';
+import { buildSheet, colRange, formula, moneyFormat, PERCENT_FORMAT, rowRange, sheetName, writeWorkbook } from './workbook.js';
 
 /**
  * MinnARK Revenue Split Pipeline - JavaScript Port
  * Mirrors pipeline.py logic exactly.
  */
 
+// Like CFB in workbook.js: a named export in the browser build, only on the default export under Node
+const SSF = XLSX.SSF ?? XLSX.default?.SSF;
+
 function parseDate(val) {
   if (val == null) return null;
   if (val instanceof Date) return val;
   if (typeof val === 'number') {
     // Excel serial date
-    const d = XLSX.SSF.parse_date_code(val);
+    const d = SSF.parse_date_code(val);
     if (d) return new Date(d.y, d.m - 1, d.d);
   }
   if (typeof val === 'string') {
@@ -22,14 +38,20 @@ function parseDate(val) {
   return null;
 }
 
-function findCol(headers, ...names) {
-  const lowerNames = names.map(n => n.toLowerCase());
-  for (let i = 0; i < headers.length; i++) {
-    if (headers[i] == null) continue;
-    const h = String(headers[i]).trim().toLowerCase();
-    if (lowerNames.includes(h)) return i;
-  }
-  return null;
+/**
+ * Read a sheet as rows of cells. `offset` is the 0-based sheet row of
+ * data[0], so data[i] sits on sheet row `offset + i + 1` as Excel numbers it.
+ */
+function sheetData(ws) {
+  const offset = ws['!ref'] ? XLSX.utils.decode_range(ws['!ref']).s.r : 0;
+  const data = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null, raw: true, blankrows: true });
+  return { data, offset };
+}
+
+// Text cell (invoice, reference, transaction type) as a trimmed string, or null
+function identifier(rv, col) {
+  if (col == null || rv[col] == null) return null;
+  return String(rv[col]).trim() || null;
 }
 
 function getMonth(date) {
@@ -43,7 +65,8 @@ function getMonthName(ym) {
 }
 
 /**
- * Detect file type from sheet names.
+ * Detect file type from sheet names (a CSV's single sheet is named after its
+ * header shape when parsed).
  * Returns 'jpm' | 'domestic' | null
  */
 export function detectFileType(workbook) {
@@ -55,24 +78,35 @@ export function detectFileType(workbook) {
 
 /**
  * Read TOTAL DI tab from a JPM workbook.
- * Returns { rows: [{team, program, amount}], month: string }
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - {fieldKey: headerText} column overrides
+ * @param {string[]} [options.teamLabels] - team names that mark per-team subtotal rows
+ * @param {Array} [options.programAliases] - program alias dictionary (see programs.js)
+ * @param {string[]} [options.adjustmentTypes] - Transaction Type words marking adjustments (see refunds.js)
+ * Returns { rows: [{date, team, program, rawProgram, amount, adjustment, type, currency, invoice, reference, source}], filename: string, issues: Array }
+ * where `program` is the canonical name, `rawProgram` the value as written,
+ * `adjustment` flags refunds and reversals (see refunds.js), `type` is the
+ * Transaction Type value, `currency` the ISO code from a Currency column
+ * (null without one), and `source` is {file, sheet, row} with the 1-based
+ * sheet row
  */
-export function readTotalDI(workbook, filename) {
+export function readTotalDI(workbook, filename, options = {}) {
   const ws = workbook.Sheets['TOTAL DI'];
   if (!ws) throw new Error(`No "TOTAL DI" sheet found in ${filename}`);
 
-  const data = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
+  const { data, offset } = sheetData(ws);
   if (data.length < 2) throw new Error('TOTAL DI sheet is empty');
 
   const headers = data[0];
-  const teamCol = findCol(headers, 'Team');
-  const progCol = findCol(headers, 'Program');
-  const paidCol = findCol(headers, 'Paid Per Item', ' Paid Per Item ');
-  const netCol = findCol(headers, 'Payment Amount', 'Discount Net Amount');
-
-  if (teamCol == null) throw new Error(`No 'Team' column in TOTAL DI headers: ${headers.join(', ')}`);
+  const { columns, missing } = resolveColumns(headers, 'jpm', options.mapping);
+  if (missing.length > 0) throw new ColumnMappingError('jpm', 'TOTAL DI', headers, missing);
+  const { team: teamCol, program: progCol, paid: paidCol, net: netCol, date: dateCol, currency: curCol, type: typeCol, invoice: invCol, reference: refCol } = columns;
+  const labels = ['TOTAL', 'SUBTOTAL', ...(options.teamLabels || []).map(l => l.toUpperCase())];
+  const programOf = programMatcher(options.programAliases);
+  const isAdjustment = adjustmentMatcher(options.adjustmentTypes);
 
   const rows = [];
+  const issues = [];
   for (let i = 1; i < data.length; i++) {
     const rv = data[i];
     if (!rv || rv.slice(0, 5).every(v => v == null)) continue;
@@ -83,333 +117,865 @@ export function readTotalDI(workbook, filename) {
     let amount = null;
     if (paidCol != null) amount = rv[paidCol];
     if (amount == null && netCol != null) amount = rv[netCol];
-    if (amount == null) continue;
 
-    amount = Number(amount);
-    if (isNaN(amount)) continue;
+    const currency = curCol != null ? normalizeCurrency(rv[curCol]) : null;
+    const skip = (reason) => issues.push(makeIssue(filename, 'TOTAL DI', offset + i, reason,
+      { team: rv[teamCol], program: progCol != null ? rv[progCol] : null, amount, currency: currency || SOURCE_CURRENCY }));
+
+    // "TOTAL", "Subtotal", "Grand Total" or "Blackfin Total" in the Team column
+    if (team && isTotalLabel(team, options.teamLabels)) { skip('total_row'); continue; }
+    if (amount == null) { skip('no_amount'); continue; }
+    if (isNaN(Number(amount))) { skip('non_numeric_amount'); continue; }
+    amount = roundMoney(amount);
 
     if (!team) {
-      // Skip total/subtotal rows
-      const hasLabel = rv.slice(0, 8).some(v =>
-        v != null && ['TOTAL', 'SUBTOTAL', 'BLACKFIN', 'MIZAR'].includes(String(v).trim().toUpperCase())
-      );
-      if (hasLabel) continue;
-      continue; // skip no-team rows
+      // Total/subtotal rows are expected; anything else is a row with no team
+      const hasLabel = rv.slice(0, 8).some(v => v != null && labels.includes(String(v).trim().toUpperCase()));
+      skip(hasLabel ? 'total_row' : 'no_team');
+      continue;
     }
 
-    rows.push({ team, program: program || 'UNKNOWN', amount });
+    const date = dateCol != null ? parseDate(rv[dateCol]) : null;
+    const type = identifier(rv, typeCol);
+    rows.push({
+      date, team, ...classifyAmount(amount, type, isAdjustment), type,
+      program: program ? programOf(program) : UNKNOWN_PROGRAM,
+      rawProgram: program || UNKNOWN_PROGRAM,
+      currency,
+      invoice: identifier(rv, invCol),
+      reference: identifier(rv, refCol),
+      source: { file: filename, sheet: 'TOTAL DI', row: offset + i + 1 },
+    });
   }
 
-  // Detect month from SUMMARY or filename
-  let month = filename;
-  return { rows, filename };
+  return { rows, filename, issues };
 }
 
 /**
- * Read Domestic Payments workbook.
- * Returns [{date, team, program, amount}]
+ * Read Domestic Payments workbook: every `*_Payment Details` sheet, merged.
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - {fieldKey: headerText} column overrides
+ * @param {string} [options.filename] - used to label data-quality issues
+ * @param {Array} [options.programAliases] - program alias dictionary (see programs.js)
+ * @param {string[]} [options.excludedSheets] - Payment Details sheets to skip
+ * @param {string[]} [options.adjustmentTypes] - Transaction Type words marking adjustments (see refunds.js)
+ * Returns { rows: [{date, team, program, rawProgram, amount, adjustment, type, currency, invoice, reference, source}], sheets: string[], issues: Array }
+ * where `sheets` lists the sheets that were read
  */
-export function readDomesticPayments(workbook) {
-  // Find the payment details sheet
-  // Prefer 2025 sheet over 2024
-  const sheetName = workbook.SheetNames.find(n => n.includes('2025_Payment Details'))
-    || workbook.SheetNames.find(n => n.includes('Payment Details'));
-  if (!sheetName) throw new Error('No Payment Details sheet found');
-
-  const ws = workbook.Sheets[sheetName];
-  // Limit read to columns A-AH (0-33) to avoid processing 16K+ empty columns
-  const range = XLSX.utils.decode_range(ws['!ref'] || 'A1');
-  range.e.c = Math.min(range.e.c, 33); // cap at column AH
-  ws['!ref'] = XLSX.utils.encode_range(range);
-  const data = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null, raw: true });
-  if (data.length < 2) throw new Error('Domestic Payments sheet is empty');
-
-  console.log('[DO] Sheet:', sheetName, '| Rows:', data.length, '| Row1 cols:', data[1]?.length);
-  console.log('[DO] Row1 sample — col2:', data[1]?.[2], '| col27:', data[1]?.[27], '| col32:', data[1]?.[32]);
+export function readDomesticPayments(workbook, options = {}) {
+  const available = sourceSheetNames(workbook, 'domestic');
+  if (available.length === 0) throw new Error('No Payment Details sheet found');
+  const excluded = options.excludedSheets || [];
+  const sheets = available.filter(n => !excluded.includes(n));
+  if (sheets.length === 0) throw new Error('Every Payment Details sheet is excluded');
+
+  const programOf = programMatcher(options.programAliases);
+  const isAdjustment = adjustmentMatcher(options.adjustmentTypes);
+  const rows = [];
+  const issues = [];
+  for (const sheetName of sheets) {
+    const read = readPaymentSheet(workbook.Sheets[sheetName], sheetName, options, programOf, isAdjustment);
+    rows.push(...read.rows);
+    issues.push(...read.issues);
+  }
+  if (rows.length === 0 && issues.length === 0) throw new Error('Domestic Payments sheets are empty');
+
+  return { rows, sheets, issues };
+}
+
+function readPaymentSheet(ws, sheetName, options, programOf, isAdjustment) {
+  // Oversized sheets (16K+ empty columns) are already capped by readFile
+  const { data, offset } = sheetData(ws);
+  // A header-only sheet (e.g. a new year's tab) contributes nothing
+  if (data.length < 2) return { rows: [], issues: [] };
+
+  const headers = data[0];
+  const { columns, missing } = resolveColumns(headers, 'domestic', options.mapping);
+  if (missing.length > 0) throw new ColumnMappingError('domestic', sheetName, headers, missing);
+  const { date: dateCol, team: teamCol, paid: paidCol, program: progCol, currency: curCol, type: typeCol, invoice: invCol, reference: refCol } = columns;
 
   const rows = [];
+  const issues = [];
   let lastDate = null;
-  let debugNoDate = 0, debugNoTeam = 0, debugNoPaid = 0;
 
   for (let i = 1; i < data.length; i++) {
     const rv = data[i];
-    if (!rv) continue;
+    if (!rv || rv.every(v => v == null)) continue;
 
-    // Payment Date = col C (index 2)
-    const pd = parseDate(rv[2]);
+    // Payment Date carries down to the following undated rows
+    const pd = parseDate(rv[dateCol]);
     if (pd) lastDate = pd;
 
-    // Team = col AB (index 27)
-    const teamRaw = rv[27];
+    const teamRaw = rv[teamCol];
     const team = teamRaw ? String(teamRaw).trim() : null;
 
-    // Program = col AH (index 33)
-    const progRaw = rv[33];
+    const progRaw = progCol != null ? rv[progCol] : null;
     const program = progRaw ? String(progRaw).trim() : null;
 
-    // Paid Per Item = col AG (index 32)
-    const paid = rv[32];
-
-    if (!lastDate) { debugNoDate++; continue; }
-    if (!team) { debugNoTeam++; continue; }
-    if (paid == null) { debugNoPaid++; continue; }
-
-    const amount = Number(paid);
-    if (!isNaN(amount)) {
-      rows.push({
-        date: lastDate,
-        team,
-        program: program || 'UNKNOWN',
-        amount,
-      });
-    }
+    const paid = rv[paidCol];
+    const currency = curCol != null ? normalizeCurrency(rv[curCol]) : null;
+
+    const skip = (reason) => issues.push(makeIssue(options.filename, sheetName, offset + i, reason,
+      { date: rv[dateCol], team: teamRaw, program: progRaw, amount: paid, currency: currency || SOURCE_CURRENCY }));
+
+    if (!lastDate) { skip('no_date'); continue; }
+    if (!team) { skip('no_team'); continue; }
+    if (paid == null) { skip('no_amount'); continue; }
+
+    if (isNaN(Number(paid))) { skip('non_numeric_amount'); continue; }
+    const amount = roundMoney(paid);
+    const type = identifier(rv, typeCol);
+
+    rows.push({
+      date: lastDate,
+      team,
+      program: program ? programOf(program) : UNKNOWN_PROGRAM,
+      rawProgram: program || UNKNOWN_PROGRAM,
+      ...classifyAmount(amount, type, isAdjustment),
+      type,
+      currency,
+      invoice: identifier(rv, invCol),
+      reference: identifier(rv, refCol),
+      source: { file: options.filename, sheet: sheetName, row: offset + i + 1 },
+    });
   }
 
-  console.log('[DO] Result:', rows.length, 'valid rows | noDate:', debugNoDate, '| noTeam:', debugNoTeam, '| noPaid:', debugNoPaid);
-  if (rows.length > 0) {
-    const byMonth = {};
-    for (const r of rows) {
-      const ym = r.date.getFullYear() * 100 + (r.date.getMonth() + 1);
-      byMonth[ym] = (byMonth[ym] || 0) + 1;
-    }
-    console.log('[DO] By month:', byMonth);
-  }
+  return { rows, issues };
+}
 
-  return rows;
+/**
+ * Result categories. Direct Import and Domestic hold gross revenue; refunds
+ * and reversals from either source go to Adjustments/Refunds, so a team's
+ * net revenue is the sum over all three.
+ */
+export const CATEGORIES = [
+  { id: 'di', code: 'DI', label: 'Direct Import', gross: true },
+  { id: 'do', code: 'DO', label: 'Domestic', gross: true },
+  { id: 'adj', code: 'ADJ', label: 'Adjustments/Refunds', gross: false },
+];
+
+/**
+ * Aggregate rows by team id and program, adding in cents.
+ * `teamOf` maps a raw Team value to a registry id (or the Unassigned bucket).
+ */
+function aggregate(rows, teamOf) {
+  const cents = {};
+  for (const r of rows) {
+    const id = teamOf(r.team);
+    if (!cents[id]) cents[id] = {};
+    cents[id][r.program] = (cents[id][r.program] || 0) + toCents(r.amount);
+  }
+  const result = {};
+  for (const [id, programs] of Object.entries(cents)) {
+    result[id] = {};
+    for (const [program, c] of Object.entries(programs)) result[id][program] = fromCents(c);
+  }
+  return result;
 }
 
 /**
- * Aggregate rows by team and program.
+ * Original and converted amounts per team, program and source currency.
+ * @returns {Object} {teamId: {program: {currency: {original, amount}}}}
  */
-function aggregate(rows) {
+function aggregateCurrencies(rows, teamOf) {
   const result = {};
   for (const r of rows) {
-    if (!result[r.team]) result[r.team] = {};
-    result[r.team][r.program] = (result[r.team][r.program] || 0) + r.amount;
+    const byCurrency = ((result[teamOf(r.team)] ||= {})[r.program] ||= {});
+    const entry = (byCurrency[r.currency] ||= { original: 0, amount: 0 });
+    entry.original += toCents(r.originalAmount);
+    entry.amount += toCents(r.amount);
+  }
+  for (const programs of Object.values(result)) {
+    for (const byCurrency of Object.values(programs)) {
+      for (const entry of Object.values(byCurrency)) {
+        entry.original = fromCents(entry.original);
+        entry.amount = fromCents(entry.amount);
+      }
+    }
   }
   return result;
 }
 
+/**
+ * Raw program names behind each canonical program that an alias renamed.
+ * @returns {Object} {canonical: [raw, ...]}
+ */
+function rawPrograms(rows) {
+  const byProgram = {};
+  for (const r of rows) (byProgram[r.program] ||= new Set()).add(r.rawProgram);
+  const merged = {};
+  for (const [program, raws] of Object.entries(byProgram)) {
+    if ([...raws].some(raw => raw !== program)) merged[program] = [...raws].sort();
+  }
+  return merged;
+}
+
+/** DI month attribution modes (see processFiles) */
+export const DI_ATTRIBUTIONS = ['primary', 'transaction'];
+
 /**
  * Process all uploaded files.
  * @param {Array} jpmFiles - [{workbook, filename}]
  * @param {Object|null} domesticFile - {workbook, filename} or null
- * @returns {Array} monthly results
+ * @param {Object} [options]
+ * @param {Array} [options.teams] - team registry (see teams.js)
+ * @param {Object} [options.mapping] - {jpm, domestic} column overrides from a mapping profile
+ * @param {Array} [options.programAliases] - program alias dictionary (see programs.js)
+ * @param {string[]} [options.excludedSheets] - Payment Details sheets to leave out
+ * @param {string[]} [options.adjustmentTypes] - Transaction Type words and
+ *   phrases marking refunds and reversals (default DEFAULT_ADJUSTMENT_TYPES, see refunds.js)
+ * @param {string} [options.reportingCurrency] - ISO code amounts are converted to (default USD)
+ * @param {Array} [options.fxRates] - FX table, see currency.js; rows in
+ *   other currencies without a rate are skipped as 'no_fx_rate' issues
+ * @param {Object} [options.fiscal] - fiscal calendar (see fiscal.js); rows are
+ *   bucketed into its fiscal months
+ * @param {number} [options.tolerance] - SUMMARY reconciliation tolerance, in dollars
+ * @param {'primary'|'transaction'} [options.diAttribution] - credit each JPM
+ *   file's DI rows to its primary month (legacy), or each row to the month of
+ *   its own Payment Date / Discount Start Date
+ * @param {Object} [options.duplicates] - {groupId: 'keep-first'|'keep-all'|'exclude'}
+ *   resolutions for duplicate groups (see duplicates.js)
+ * @param {Function} [options.onProgress] - called as each stage starts with
+ *   {stage, filename, done, total}; stages are 'domestic', 'jpm' (once per
+ *   file), 'duplicates' and 'aggregate'
+ * @returns {{results: Array, sources: Array, duplicates: Array}} monthly
+ *   results, each keeping the rows it counted as `transactions` (see
+ *   transactions.js); one entry per input file with its row count, data-quality issues
+ *   and (for JPM files) SUMMARY reconciliation; and the duplicate row groups
+ *   found within and across files, with how each was resolved
  */
-export function processFiles(jpmFiles, domesticFile) {
+export function processFiles(jpmFiles, domesticFile, options = {}) {
+  const registry = options.teams || DEFAULT_TEAMS;
+  const teams = reportTeams(registry);
+  const teamOf = teamMatcher(registry);
+  const mapping = options.mapping || {};
+  const attribution = options.diAttribution || 'primary';
+  const programAliases = options.programAliases || [];
+  const reporting = options.reportingCurrency || DEFAULT_CURRENCY;
+  const convert = fxConverter(reporting, options.fxRates);
+  const fiscal = sanitizeFiscal(options.fiscal);
+  const monthOf = (date) => fiscalMonthOf(date, fiscal);
+
+  const teamLabels = registry.map(t => t.label);
+  const sources = [];
+
+  const total = processSteps(jpmFiles, domesticFile);
+  let done = 0;
+  const progress = (stage, filename = null) => options.onProgress?.({ stage, filename, done: done++, total });
+
   // Load all DO data
   let allDoRows = [];
   if (domesticFile) {
-    allDoRows = readDomesticPayments(domesticFile.workbook);
+    progress('domestic', domesticFile.filename);
+    const read = readDomesticPayments(domesticFile.workbook,
+      { mapping: mapping.domestic, filename: domesticFile.filename, programAliases, excludedSheets: options.excludedSheets, adjustmentTypes: options.adjustmentTypes });
+    const { rows, issues } = convertRows(read.rows, convert);
+    allDoRows = rows;
+    sources.push({
+      filename: domesticFile.filename, kind: 'domestic', sheet: read.sheets.join(', '), sheets: read.sheets,
+      rowCount: rows.length, issues: [...read.issues, ...issues],
+    });
+  }
+
+  let allDiRows = [];
+  const primaryMonths = {};
+  for (const { workbook, filename } of jpmFiles) {
+    progress('jpm', filename);
+    const read = readTotalDI(workbook, filename, { mapping: mapping.jpm, teamLabels, programAliases, adjustmentTypes: options.adjustmentTypes });
+    const { rows: diRows, issues: fxIssues } = convertRows(read.rows, convert);
+    const issues = [...read.issues, ...fxIssues];
+    // Reconcile each file as uploaded, before cross-file duplicates are dropped
+    // and FX conversion: the SUMMARY sheet has the amounts as written
+    const diAgg = aggregate(read.rows, teamOf);
+    const reconciliation = reconcile(readSummary(workbook, teamOf, programMatcher(programAliases)), diAgg, teams, options.tolerance ?? DEFAULT_TOLERANCE);
+    sources.push({ filename, kind: 'jpm', sheet: 'TOTAL DI', rowCount: diRows.length, issues, reconciliation });
+    primaryMonths[filename] = detectPrimaryMonth(diRows, filename, monthOf);
+    allDiRows = allDiRows.concat(diRows);
   }
 
+  progress('duplicates');
+  const diDupes = resolveDuplicates(allDiRows, findDuplicates('jpm', allDiRows), options.duplicates);
+  const doDupes = resolveDuplicates(allDoRows, findDuplicates('domestic', allDoRows), options.duplicates);
+
+  progress('aggregate');
+
   // Group DO rows by month
   const doByMonth = {};
-  for (const r of allDoRows) {
-    const ym = getMonth(r.date);
+  for (const r of doDupes.rows) {
+    const ym = monthOf(r.date);
     if (!doByMonth[ym]) doByMonth[ym] = [];
     doByMonth[ym].push(r);
   }
 
+  // Bucket DI rows by the month they are credited to
+  const diByMonth = new Map();
+  const bucketFor = (monthKey, month) => {
+    const key = monthKey || month;
+    if (!diByMonth.has(key)) diByMonth.set(key, { month, monthKey, rows: [], filenames: new Set() });
+    return diByMonth.get(key);
+  };
+
+  for (const row of diDupes.rows) {
+    // Undated rows always fall back to the file's primary month
+    const primary = primaryMonths[row.source.file];
+    const bucket = attribution === 'transaction' && row.date
+      ? bucketFor(monthOf(row.date), getMonthName(monthOf(row.date)))
+      : bucketFor(primary.monthKey, primary.month);
+    bucket.rows.push(row);
+    bucket.filenames.add(row.source.file);
+  }
+
   const results = [];
 
-  for (const { workbook, filename } of jpmFiles) {
-    const { rows: diRows } = readTotalDI(workbook, filename);
-    const diAgg = aggregate(diRows);
-
-    // Determine which months of DO data to include
-    // We need to figure out the month from the file. Try reading SUMMARY or use DO data months.
-    // For each JPM file, find unique months in DO data and create a result per month.
-
-    // Try to detect months from filename or SUMMARY tab
-    const monthsInFile = detectMonthsFromJPM(workbook, filename);
-
-    for (const { month, monthKey } of monthsInFile) {
-      const doRows = doByMonth[monthKey] || [];
-      const doAgg = aggregate(doRows);
-
-      const actual = {
-        di_blackfin: sum(diAgg['Blackfin']),
-        di_mizar: sum(diAgg['Mizar']),
-        do_blackfin: sum(doAgg['Blackfin']),
-        do_mizar: sum(doAgg['Mizar']),
-      };
-      actual.di_total = actual.di_blackfin + actual.di_mizar;
-      actual.do_total = actual.do_blackfin + actual.do_mizar;
-      actual.grand_total = actual.di_total + actual.do_total;
-
-      results.push({
-        month,
-        monthKey,
-        filename,
-        actual,
-        di_blackfin_programs: roundObj(diAgg['Blackfin'] || {}),
-        di_mizar_programs: roundObj(diAgg['Mizar'] || {}),
-        do_blackfin_programs: roundObj(doAgg['Blackfin'] || {}),
-        do_mizar_programs: roundObj(doAgg['Mizar'] || {}),
-        di_row_count: diRows.length,
-        do_row_count: doRows.length,
-      });
+  for (const { month, monthKey, rows: diRows, filenames } of diByMonth.values()) {
+    const doRows = doByMonth[monthKey] || [];
+    const byCategory = {
+      di: diRows.filter(r => !r.adjustment),
+      do: doRows.filter(r => !r.adjustment),
+      adj: [...diRows, ...doRows].filter(r => r.adjustment),
+    };
+
+    const result = { month, monthKey, filename: [...filenames].join(', '), filenames: [...filenames], teams, currency: reporting, actual: {} };
+    result.actual.grand_total = 0;
+    result.transactions = [];
+    let grandCents = 0;
+    for (const cat of CATEGORIES) {
+      for (const row of byCategory[cat.id]) result.transactions.push(toTransaction(row, cat.code, teamOf(row.team)));
+      const agg = aggregate(byCategory[cat.id], teamOf);
+      const currencies = aggregateCurrencies(byCategory[cat.id], teamOf);
+      let catCents = 0;
+      for (const t of teams) {
+        result.actual[`${cat.id}_${t.id}`] = sum(agg[t.id]);
+        result[`${cat.id}_${t.id}_programs`] = roundObj(agg[t.id] || {});
+        result[`${cat.id}_${t.id}_currencies`] = currencies[t.id] || {};
+        catCents += toCents(result.actual[`${cat.id}_${t.id}`]);
+      }
+      result.actual[`${cat.id}_total`] = fromCents(catCents);
+      grandCents += catCents;
     }
+    result.actual.grand_total = fromCents(grandCents);
+    result.unassigned_teams = [...new Set(
+      [...diRows, ...doRows].filter(r => teamOf(r.team) === UNASSIGNED_TEAM.id).map(r => r.team)
+    )].sort();
+    result.raw_programs = rawPrograms([...diRows, ...doRows]);
+    result.do_sheets = [...new Set(doRows.map(r => r.source.sheet))].sort();
+    result.di_row_count = diRows.length;
+    result.do_row_count = doRows.length;
+    results.push(result);
   }
 
   // Sort by monthKey
   results.sort((a, b) => a.monthKey - b.monthKey);
-  return results;
+  return { results, sources, duplicates: [...diDupes.groups, ...doDupes.groups] };
 }
 
-function detectMonthsFromJPM(workbook, filename) {
-  // Try to detect month(s) from the TOTAL DI data dates, or fallback to filename parsing
-  // Each JPM file represents ONE month of DI data
-  // Try reading dates from TOTAL DI
-  const ws = workbook.Sheets['TOTAL DI'];
-  if (!ws) return [{ month: filename, monthKey: 0 }];
-
-  const data = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null, raw: true });
-  const headers = data[0] || [];
-  const dateCol = findCol(headers, 'Payment Date', 'Discount Start Date');
+/**
+ * Number of progress steps processFiles reports for a set of inputs.
+ */
+export function processSteps(jpmFiles, domesticFile) {
+  return jpmFiles.length + (domesticFile ? 1 : 0) + 2;
+}
 
-  const months = new Set();
-  if (dateCol != null) {
-    for (let i = 1; i < data.length; i++) {
-      const d = parseDate(data[i]?.[dateCol]);
-      if (d) months.add(getMonth(d));
+/**
+ * The single month a JPM file is credited to under 'primary' attribution:
+ * the most frequent month among its TOTAL DI dates, else the month in the
+ * filename. `monthOf` maps a date to its (fiscal) month.
+ */
+function detectPrimaryMonth(rows, filename, monthOf = getMonth) {
+  const counts = {};
+  for (const r of rows) {
+    if (r.date) {
+      const ym = monthOf(r.date);
+      counts[ym] = (counts[ym] || 0) + 1;
     }
   }
 
-  if (months.size === 0) {
-    // Fallback: parse from filename
-    const monthNames = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
-    const match = filename.match(/(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i);
-    const yearMatch = filename.match(/(\d{4})/);
-    if (match && yearMatch) {
-      const m = monthNames[match[1].toLowerCase()];
-      const y = parseInt(yearMatch[1]);
-      // For files like "Oct-Nov", the TOTAL DI tab is for the FIRST month mentioned
-      return [{ month: getMonthName(y * 100 + m), monthKey: y * 100 + m }];
-    }
-    return [{ month: filename, monthKey: 0 }];
+  const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (sorted.length > 0) {
+    const primaryMonth = parseInt(sorted[0][0]);
+    return { month: getMonthName(primaryMonth), monthKey: primaryMonth };
   }
 
-  // If multiple months detected, use the most common one (the primary month)
-  // Actually, TOTAL DI contains data for one logical month per file
-  // Just use the most frequent month
-  const counts = {};
-  if (dateCol != null) {
-    for (let i = 1; i < data.length; i++) {
-      const d = parseDate(data[i]?.[dateCol]);
-      if (d) {
-        const ym = getMonth(d);
-        counts[ym] = (counts[ym] || 0) + 1;
-      }
-    }
+  // Fallback: parse from filename
+  const monthNames = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+  const match = filename.match(/(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i);
+  const yearMatch = filename.match(/(\d{4})/);
+  if (match && yearMatch) {
+    const m = monthNames[match[1].toLowerCase()];
+    const y = parseInt(yearMatch[1]);
+    // For files like "Oct-Nov", the TOTAL DI tab is for the FIRST month mentioned
+    return { month: getMonthName(y * 100 + m), monthKey: y * 100 + m };
   }
-
-  const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
-  const primaryMonth = parseInt(sorted[0][0]);
-  return [{ month: getMonthName(primaryMonth), monthKey: primaryMonth }];
+  return { month: filename, monthKey: 0 };
 }
 
 function sum(obj) {
   if (!obj) return 0;
-  return Object.values(obj).reduce((a, b) => a + b, 0);
+  return sumMoney(Object.values(obj));
 }
 
 function roundObj(obj) {
   const r = {};
   for (const [k, v] of Object.entries(obj)) {
-    r[k] = Math.round(v * 100) / 100;
+    r[k] = roundMoney(v);
   }
   return r;
 }
 
 /**
- * Export results to CSV string
+ * Teams appearing in any result, in registry order.
  */
-export function exportCSV(results) {
-  const lines = ['Month,Category,Team,Program,Amount'];
+export function resultTeams(results) {
+  const seen = new Map();
   for (const r of results) {
-    for (const [prog, amt] of Object.entries(r.di_blackfin_programs)) {
-      lines.push(`${r.month},DI,Blackfin,${prog},${amt.toFixed(2)}`);
+    for (const t of r.teams || []) if (!seen.has(t.id)) seen.set(t.id, t);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Team net total (DI + DO + adjustments) for one result.
+ */
+export function teamTotal(result, teamId) {
+  return sumMoney(CATEGORIES.map(c => result.actual[`${c.id}_${teamId}`] || 0));
+}
+
+/**
+ * Team gross revenue (DI + DO, before adjustments) for one result.
+ */
+export function teamGross(result, teamId) {
+  return sumMoney(CATEGORIES.filter(c => c.gross).map(c => result.actual[`${c.id}_${teamId}`] || 0));
+}
+
+/**
+ * Gross, adjustments and net per month, team and program:
+ * [{month, monthKey, team, teamId, program, gross, adjustments, net}].
+ */
+export function netRows(results) {
+  const rows = [];
+  for (const r of results) {
+    for (const t of r.teams) {
+      const byProgram = new Map();
+      for (const cat of CATEGORIES) {
+        for (const [program, amount] of Object.entries(r[`${cat.id}_${t.id}_programs`] || {})) {
+          if (!byProgram.has(program)) byProgram.set(program, { gross: 0, adjustments: 0 });
+          const entry = byProgram.get(program);
+          const part = cat.gross ? 'gross' : 'adjustments';
+          entry[part] = addMoney(entry[part], amount);
+        }
+      }
+      for (const [program, { gross, adjustments }] of [...byProgram].sort((a, b) => a[0].localeCompare(b[0]))) {
+        rows.push({
+          month: r.month, monthKey: r.monthKey, team: t.label, teamId: t.id, program,
+          gross, adjustments, net: addMoney(gross, adjustments),
+        });
+      }
     }
-    for (const [prog, amt] of Object.entries(r.di_mizar_programs)) {
-      lines.push(`${r.month},DI,Mizar,${prog},${amt.toFixed(2)}`);
+  }
+  return rows;
+}
+
+/**
+ * Merge several months' results into one, under a new label. Program and
+ * currency breakdowns are summed; file, sheet and team lists, transactions
+ * and manual ledger entries are combined.
+ * `months` lists the months merged.
+ */
+export function combineResults(group, month) {
+  const teams = resultTeams(group);
+  const last = group[group.length - 1];
+  const merged = {
+    month, monthKey: last.monthKey, months: group.map(r => r.month),
+    filenames: [...new Set(group.flatMap(r => r.filenames))], teams, currency: last.currency, actual: {},
+  };
+  merged.filename = merged.filenames.join(', ');
+  for (const r of group) {
+    for (const [key, value] of Object.entries(r.actual)) merged.actual[key] = addMoney(merged.actual[key] || 0, value);
+  }
+  for (const cat of CATEGORIES) {
+    for (const t of teams) {
+      const programs = {};
+      const currencies = {};
+      for (const r of group) {
+        for (const [prog, amt] of Object.entries(r[`${cat.id}_${t.id}_programs`] || {})) programs[prog] = addMoney(programs[prog] || 0, amt);
+        for (const [prog, byCurrency] of Object.entries(r[`${cat.id}_${t.id}_currencies`] || {})) {
+          for (const [cur, p] of Object.entries(byCurrency)) {
+            const entry = ((currencies[prog] ||= {})[cur] ||= { original: 0, amount: 0 });
+            entry.original = addMoney(entry.original, p.original);
+            entry.amount = addMoney(entry.amount, p.amount);
+          }
+        }
+      }
+      merged[`${cat.id}_${t.id}_programs`] = roundObj(programs);
+      merged[`${cat.id}_${t.id}_currencies`] = currencies;
     }
-    for (const [prog, amt] of Object.entries(r.do_blackfin_programs)) {
-      lines.push(`${r.month},DO,Blackfin,${prog},${amt.toFixed(2)}`);
+  }
+  const union = (key) => [...new Set(group.flatMap(r => r[key] || []))].sort();
+  merged.unassigned_teams = union('unassigned_teams');
+  merged.do_sheets = union('do_sheets');
+  merged.raw_programs = {};
+  for (const r of group) {
+    for (const [program, raws] of Object.entries(r.raw_programs || {})) {
+      merged.raw_programs[program] = [...new Set([...(merged.raw_programs[program] || []), ...raws])].sort();
     }
-    for (const [prog, amt] of Object.entries(r.do_mizar_programs)) {
-      lines.push(`${r.month},DO,Mizar,${prog},${amt.toFixed(2)}`);
+  }
+  merged.transactions = group.flatMap(r => r.transactions || []);
+  merged.manual = group.flatMap(r => r.manual || []);
+  merged.di_row_count = group.reduce((s, r) => s + (r.di_row_count || 0), 0);
+  merged.do_row_count = group.reduce((s, r) => s + (r.do_row_count || 0), 0);
+  return merged;
+}
+
+/**
+ * Roll monthly results up into fiscal quarters or years to date (see
+ * fiscal.js). The 'month' view returns the results as they are; months
+ * without a known date stay on their own.
+ * @param {'month'|'quarter'|'ytd'} view
+ */
+export function rollupResults(results, fiscal, view) {
+  if (view === 'month') return results;
+  const groups = new Map();
+  for (const r of results) {
+    const period = periodOf(r.monthKey, sanitizeFiscal(fiscal), view) || { key: `month-${r.month}`, label: r.month };
+    if (!groups.has(period.key)) groups.set(period.key, { label: period.label, rows: [] });
+    groups.get(period.key).rows.push(r);
+  }
+  return [...groups.values()].map(({ label, rows }) => combineResults(rows, label));
+}
+
+/**
+ * Narrow results to one team, category (CATEGORIES code) and/or program:
+ * totals, program and currency breakdowns and transactions outside the
+ * focus are dropped. An empty focus returns the results as they are.
+ * @param {{teamId?: string, category?: string, program?: string}} focus
+ */
+export function focusResults(results, focus = {}) {
+  const { teamId, category, program } = focus;
+  if (!teamId && !category && !program) return results;
+  const onlyProgram = (byProgram) => program
+    ? (program in byProgram ? { [program]: byProgram[program] } : {})
+    : byProgram;
+
+  return results.map(r => {
+    const focused = { ...r, actual: { grand_total: 0 } };
+    for (const cat of CATEGORIES) {
+      const catTotals = [];
+      for (const t of r.teams) {
+        const included = (!category || category === cat.code) && (!teamId || teamId === t.id);
+        const programs = included ? onlyProgram(r[`${cat.id}_${t.id}_programs`] || {}) : {};
+        focused[`${cat.id}_${t.id}_programs`] = programs;
+        focused[`${cat.id}_${t.id}_currencies`] = included ? onlyProgram(r[`${cat.id}_${t.id}_currencies`] || {}) : {};
+        const total = !included ? 0 : program ? (programs[program] || 0) : (r.actual[`${cat.id}_${t.id}`] || 0);
+        focused.actual[`${cat.id}_${t.id}`] = total;
+        catTotals.push(total);
+      }
+      focused.actual[`${cat.id}_total`] = sumMoney(catTotals);
+      focused.actual.grand_total = addMoney(focused.actual.grand_total, focused.actual[`${cat.id}_total`]);
+    }
+    focused.transactions = (r.transactions || []).filter(t =>
+      (!category || t.category === category) && (!teamId || t.teamId === teamId) && (!program || t.program === program));
+    focused.manual = (r.manual || []).filter(e =>
+      (!category || e.category === category) && (!teamId || e.teamId === teamId) && (!program || e.program === program));
+    return focused;
+  });
+}
+
+/**
+ * Flatten results into one row per month/category/team/program. Each row's
+ * `currencies` splits its amount by source currency: [{currency, original, amount}].
+ */
+export function programRows(results) {
+  const rows = [];
+  for (const r of results) {
+    for (const cat of CATEGORIES) {
+      for (const t of r.teams) {
+        const currencies = r[`${cat.id}_${t.id}_currencies`] || {};
+        for (const [prog, amt] of Object.entries(r[`${cat.id}_${t.id}_programs`] || {})) {
+          // Runs saved before currency support carry no breakdown
+          const parts = currencies[prog]
+            ? Object.entries(currencies[prog]).map(([currency, p]) => ({ currency, original: p.original, amount: p.amount }))
+            : [{ currency: r.currency || DEFAULT_CURRENCY, original: amt, amount: amt }];
+          // Parts add up to the program amount in cents; runs saved before
+          // that can be a cent off, which the last part absorbs
+          const drift = toCents(amt) - toCents(sumMoney(parts.map(p => p.amount)));
+          if (drift !== 0) parts[parts.length - 1].amount = fromCents(toCents(parts[parts.length - 1].amount) + drift);
+          rows.push({ month: r.month, monthKey: r.monthKey, category: cat.code, team: t.label, teamId: t.id, program: prog, amount: amt, currencies: parts });
+        }
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Export results to CSV (RFC 4180), one line per program and source currency.
+ */
+export function exportCSV(results) {
+  const reporting = results[0]?.currency || DEFAULT_CURRENCY;
+  const rows = [['Month', 'Category', 'Team', 'Program', `Amount (${reporting})`, 'Currency', 'Original Amount']];
+  for (const row of programRows(results)) {
+    // One line per source currency; Amount is in the reporting currency
+    for (const p of row.currencies) {
+      rows.push([row.month, row.category, row.team, row.program, p.amount.toFixed(2), p.currency, p.original.toFixed(2)]);
     }
   }
-  return lines.join('\n');
+  return toCSV(rows);
 }
 
 /**
- * Export results to Excel workbook (as ArrayBuffer)
+ * Export a processFiles run to a formatted Excel workbook (as xlsx bytes):
+ * Summary, Detail, one sheet per month, Gross vs Net (when there are
+ * adjustments), one sheet per team, Manual Adjustments (ledger entries the
+ * results carry), Reconciliation, Audit Trail, Variance and Metadata. Totals are live SUM formulas.
+ * @param {{results: Array, sources: Array, duplicates: Array}} run
+ * @param {Object} [options]
+ * @param {Object} [options.variance] - monthOverMonth()/compareRuns() output,
+ *   with an optional `baseLabel` naming the base run
+ * @returns {Uint8Array}
  */
-export function exportExcel(results) {
+export function exportExcel({ results, sources = [], duplicates = [] }, { variance } = {}) {
   const wb = XLSX.utils.book_new();
+  const teams = resultTeams(results).filter(t => t.id !== UNASSIGNED_TEAM.id || results.some(r => teamTotal(r, t.id) !== 0));
+  const reporting = results[0]?.currency || DEFAULT_CURRENCY;
+  const money = moneyFormat(reporting);
+  const taken = new Set();
+  const append = (ws, label) => XLSX.utils.book_append_sheet(wb, ws, sheetName(label, taken));
+  const moneyCols = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+  // Summary: one row per month, one column per team and category
+  const keys = [];
+  const header = [results.some(r => r.months) ? 'Period' : 'Month'];
+  for (const cat of CATEGORIES) {
+    for (const t of teams) {
+      keys.push(`${cat.id}_${t.id}`);
+      header.push(`${t.label} ${cat.code}`);
+    }
+  }
+  header.push('Grand Total');
+  const summaryData = [header];
+  results.forEach((r, i) => {
+    const values = keys.map(k => r.actual[k] || 0);
+    summaryData.push([r.month, ...values, formula(`SUM(${rowRange(i + 1, 1, keys.length)})`, r.actual.grand_total)]);
+  });
+  if (results.length > 1) {
+    const last = results.length;
+    summaryData.push(['TOTAL', ...moneyCols(1, keys.length + 1).map(c =>
+      formula(`SUM(${colRange(c, 1, last)})`, sumMoney(summaryData.slice(1).map(row => row[c].v ?? row[c]))))]);
+  }
+  append(buildSheet(summaryData, { money: moneyCols(1, keys.length + 1), format: money, freeze: { rows: 1, cols: 1 } }), 'Summary');
 
-  // Summary sheet
-  const summaryData = [['Month', '', 'Blackfin DI', 'Mizar DI', 'Blackfin DO', 'Mizar DO', 'Grand Total']];
+  // Detail: flat rows for filtering, split by source currency
+  const detailData = [['Month', 'Category', 'Team', 'Program', `Amount (${reporting})`, 'Currency', 'Original Amount']];
+  for (const row of programRows(results)) {
+    for (const p of row.currencies) {
+      detailData.push([row.month, row.category, row.team, row.program, p.amount, p.currency, p.original]);
+    }
+  }
+  const detail = buildSheet(detailData, { money: [4], format: money, filter: true });
+  for (let r = 1; r < detailData.length; r++) {
+    const cell = detail[XLSX.utils.encode_cell({ r, c: 6 })];
+    if (cell) cell.z = '#,##0.00';
+  }
+  append(detail, 'Detail');
+
+  // One sheet per month, laid out like the dashboard card: gross revenue by
+  // category, then adjustments and net
+  const grossCats = CATEGORIES.filter(c => c.gross);
+  const adjustmentCats = CATEGORIES.filter(c => !c.gross);
+  const grossCol = grossCats.length + 1;
+  const netCol = grossCol + adjustmentCats.length + 1;
+  const cell = (row, col) => XLSX.utils.encode_cell({ r: row, c: col });
   for (const r of results) {
-    summaryData.push([
-      r.month, '',
-      r.actual.di_blackfin, r.actual.di_mizar,
-      r.actual.do_blackfin, r.actual.do_mizar,
-      r.actual.grand_total,
-    ]);
-  }
-  // Totals row
-  if (results.length > 1) {
-    const totals = ['TOTAL', ''];
-    for (const key of ['di_blackfin', 'di_mizar', 'do_blackfin', 'do_mizar', 'grand_total']) {
-      totals.push(results.reduce((s, r) => s + r.actual[key], 0));
+    const data = [['Team', ...grossCats.map(c => c.label), 'Gross', ...adjustmentCats.map(c => c.label), 'Net']];
+    teams.forEach((t, i) => {
+      const gross = teamGross(r, t.id);
+      data.push([t.label, ...grossCats.map(c => r.actual[`${c.id}_${t.id}`] || 0),
+        formula(`SUM(${rowRange(i + 1, 1, grossCats.length)})`, gross),
+        ...adjustmentCats.map(c => r.actual[`${c.id}_${t.id}`] || 0),
+        formula(`${cell(i + 1, grossCol)}+SUM(${rowRange(i + 1, grossCol + 1, netCol - 1)})`, teamTotal(r, t.id))]);
+    });
+    data.push(['Total', ...moneyCols(1, netCol).map(c =>
+      formula(`SUM(${colRange(c, 1, teams.length)})`, sumMoney(data.slice(1).map(row => row[c]?.v ?? row[c]))))]);
+    data.push([]);
+    const recon = sources.filter(s => s.reconciliation && r.filenames.includes(s.filename));
+    for (const s of recon) data.push([`SUMMARY reconciliation (${s.filename})`, s.reconciliation.status.toUpperCase()]);
+    data.push(['JPM files', r.filenames.join(', ')]);
+    if (r.do_sheets?.length > 0) data.push(['Domestic sheets', r.do_sheets.join(', ')]);
+    if (r.unassigned_teams?.length > 0) data.push(['Unassigned Team values', r.unassigned_teams.join(', ')]);
+    append(buildSheet(data, { money: moneyCols(1, netCol), format: money, freeze: { rows: 1, cols: 1 } }), r.month);
+  }
+
+  // Gross, adjustments and net per program
+  const net = netRows(results);
+  if (net.some(row => row.adjustments !== 0)) {
+    const netData = [['Month', 'Team', 'Program', 'Gross', 'Adjustments/Refunds', 'Net']];
+    net.forEach((row, i) => {
+      netData.push([row.month, row.team, row.program, row.gross, row.adjustments,
+        formula(`${cell(i + 1, 3)}+${cell(i + 1, 4)}`, row.net)]);
+    });
+    append(buildSheet(netData, { money: [3, 4, 5], format: money, filter: true }), 'Gross vs Net');
+  }
+
+  // One sheet per team: program × month pivot
+  for (const t of teams) {
+    const programs = [];
+    for (const cat of CATEGORIES) {
+      const names = new Set(results.flatMap(r => Object.keys(r[`${cat.id}_${t.id}_programs`] || {})));
+      for (const program of [...names].sort()) programs.push({ cat, program });
     }
-    summaryData.push(totals);
+    const data = [['Category', 'Program', ...results.map(r => r.month), 'Total']];
+    programs.forEach(({ cat, program }, i) => {
+      const values = results.map(r => r[`${cat.id}_${t.id}_programs`]?.[program] || 0);
+      data.push([cat.code, program, ...values,
+        formula(`SUM(${rowRange(i + 1, 2, results.length + 1)})`, sumMoney(values))]);
+    });
+    const totalCols = moneyCols(2, results.length + 2);
+    // A team without programs gets 0s; a SUM over no rows would include its own cell
+    data.push(['Total', '', ...totalCols.map(c => programs.length === 0 ? 0 : formula(`SUM(${colRange(c, 1, programs.length)})`,
+      sumMoney(data.slice(1).map(row => row[c]?.v ?? row[c] ?? 0))))]);
+    append(buildSheet(data, { money: totalCols, format: money, freeze: { rows: 1, cols: 2 } }), t.label);
   }
-  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(summaryData), 'Summary');
 
-  // Detail sheet
-  const detailData = [['Month', 'Category', 'Team', 'Program', 'Amount']];
-  for (const r of results) {
-    const addRows = (cat, team, progs) => {
-      for (const [prog, amt] of Object.entries(progs)) {
-        detailData.push([r.month, cat, team, prog, amt]);
+  // Manual ledger entries applied on top of the source workbooks (see ledger.js)
+  const manual = results.flatMap(r => (r.manual || []).map(e => ({ ...e, period: r.month })));
+  if (manual.length > 0) {
+    const rolledUp = results.some(r => r.months);
+    const manualData = [[...(rolledUp ? ['Period'] : []), 'Month', 'Team', 'Category', 'Program', 'Amount', 'Reason', 'Author', 'Entered', 'Entry ID']];
+    for (const e of manual) {
+      const team = teams.find(t => t.id === e.teamId)?.label ?? e.teamId;
+      manualData.push([...(rolledUp ? [e.period] : []), e.month, team, e.category, e.program, e.amount, e.reason, e.author, e.createdAt, e.id]);
+    }
+    const amountCol = rolledUp ? 5 : 4;
+    const last = manual.length;
+    manualData.push(['Total', ...Array(amountCol - 1).fill(''), formula(`SUM(${colRange(amountCol, 1, last)})`, sumMoney(manual.map(e => e.amount)))]);
+    append(buildSheet(manualData, { money: [amountCol], format: money, filter: true }), 'Manual Adjustments');
+  }
+
+  // Reconciliation sheet
+  const reconciled = sources.filter(s => s.reconciliation);
+  if (reconciled.length > 0) {
+    const reconData = [['File', 'Status', 'Level', 'Team', 'Program', `Expected (SUMMARY, ${SOURCE_CURRENCY})`, `Computed (TOTAL DI, ${SOURCE_CURRENCY})`, 'Delta', 'Line Status']];
+    for (const s of reconciled) {
+      const { status, note, lines } = s.reconciliation;
+      if (lines.length === 0) reconData.push([s.filename, status, note]);
+      for (const l of lines) {
+        reconData.push([s.filename, status, l.level, l.team, l.program || '', l.expected, l.computed, l.delta, l.status]);
       }
-    };
-    addRows('DI', 'Blackfin', r.di_blackfin_programs);
-    addRows('DI', 'Mizar', r.di_mizar_programs);
-    addRows('DO', 'Blackfin', r.do_blackfin_programs);
-    addRows('DO', 'Mizar', r.do_mizar_programs);
+    }
+    append(buildSheet(reconData, { money: [5, 6, 7], format: moneyFormat(SOURCE_CURRENCY), filter: true }), 'Reconciliation');
   }
-  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(detailData), 'Detail');
 
-  return XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+  // Audit trail of duplicate rows and how each group was resolved
+  if (duplicates.length > 0) {
+    const auditData = [['Group', 'Source', 'Scope', 'Resolution', 'File', 'Sheet', 'Row', 'Date', 'Team', 'Program', 'Amount', 'Kept']];
+    duplicates.forEach((g, n) => {
+      for (const r of g.rows) {
+        auditData.push([n + 1, g.kind === 'jpm' ? 'DI' : 'DO', g.scope, g.resolution, r.file, r.sheet, r.row,
+          r.date, r.team, r.program, r.amount, r.kept ? 'Yes' : 'No']);
+      }
+    });
+    append(buildSheet(auditData, { money: [10], format: money, filter: true }), 'Audit Trail');
+  }
+
+  if (variance && variance.lines.length > 0) {
+    const varianceData = [['Month', 'Compared With', 'Category', 'Team', 'Program', 'Base', 'Current', 'Delta', 'Delta %', 'Status', 'Significant']];
+    for (const l of variance.lines) {
+      const against = variance.mode === 'runs' ? `${variance.baseLabel || 'Base run'} · ${l.baseMonth}` : l.baseMonth;
+      varianceData.push([l.month, against, l.category, l.team, l.program, l.base, l.current, l.delta,
+        l.pct == null ? '' : Math.round(l.pct * 10) / 10, l.status, l.significant ? 'Yes' : 'No']);
+    }
+    const ws = buildSheet(varianceData, { money: [5, 6, 7], format: money, filter: true });
+    for (let r = 1; r < varianceData.length; r++) {
+      const cell = ws[XLSX.utils.encode_cell({ r, c: 8 })];
+      if (cell && cell.t === 'n') cell.z = PERCENT_FORMAT;
+    }
+    append(ws, 'Variance');
+  }
+
+  // Metadata: what went into this workbook
+  const meta = [
+    ['Generated', new Date()],
+    ['Reporting currency', reporting],
+    [results.some(r => r.months) ? 'Periods' : 'Months', results.map(r => r.month).join(', ')],
+    [],
+    ['File', 'Kind', 'Sheets', 'Rows Read', 'Rows Skipped'],
+    ...sources.map(s => [s.filename, s.kind === 'jpm' ? 'JPM (DI)' : 'Domestic (DO)', s.sheets ? s.sheets.join(', ') : s.sheet,
+      s.rowCount, s.issues.filter(i => i.severity === 'warning').length]),
+    [],
+    [results.some(r => r.months) ? 'Period' : 'Month', 'JPM Files', 'DI Rows', 'DO Rows', 'Domestic Sheets'],
+    ...results.map(r => [r.month, r.filenames.join(', '), r.di_row_count, r.do_row_count, (r.do_sheets || []).join(', ')]),
+  ];
+  const metaSheet = buildSheet(meta, { freeze: { rows: 0, cols: 0 } });
+  metaSheet.B1.z = 'yyyy-mm-dd hh:mm';
+  append(metaSheet, 'Metadata');
+
+  return writeWorkbook(wb);
 }
 
+/** Source file extensions the app and CLI accept */
+export const SOURCE_EXTENSIONS = ['.xlsx', '.xls', '.ods', '.csv'];
+
+// Sheet a CSV's rows are filed under, so the usual readers pick them up
+const CSV_SHEETS = { jpm: 'TOTAL DI', domestic: 'Payment Details' };
+const CSV_UNKNOWN_SHEET = 'Sheet1';
+
+const isCSV = (filename) => filename.toLowerCase().endsWith('.csv');
+
 /**
- * Read an uploaded file as XLSX workbook
+ * A CSV has no sheet names to classify it by, so its single sheet is renamed
+ * after the shape its header row has (see sniffSourceKind). Classifying a
+ * parsed CSV again under another mapping renames it again; other workbooks
+ * are left alone.
+ * @param {Object} [mapping] - {jpm, domestic} column overrides
+ */
+export function classifyCSV(workbook, filename, mapping = {}) {
+  if (!isCSV(filename)) return workbook;
+  const [name] = workbook.SheetNames;
+  const kind = sniffSourceKind(sheetHeaders(workbook.Sheets[name]), filename, mapping);
+  const sheet = kind ? CSV_SHEETS[kind] : CSV_UNKNOWN_SHEET;
+  workbook.Sheets = { [sheet]: workbook.Sheets[name] };
+  workbook.SheetNames = [sheet];
+  return workbook;
+}
+
+function parseCSV(data, filename, mapping) {
+  const text = new TextDecoder().decode(data).replace(/^\uFEFF/, '');
+  return classifyCSV(XLSX.read(text, { type: 'string', cellDates: true }), filename, mapping);
+}
+
+/**
+ * Parse workbook bytes (ArrayBuffer or Uint8Array/Buffer): XLSX, XLS, ODS or
+ * CSV, the latter recognised by its filename and classified under `mapping`
+ * (see classifyCSV).
+ * Shared by the browser upload path and the CLI's filesystem reader.
+ */
+export function parseWorkbook(data, filename = '', mapping = {}) {
+  const workbook = isCSV(filename)
+    ? parseCSV(data, filename, mapping)
+    : XLSX.read(data, { type: 'array', cellDates: true });
+  // Cap oversized sheets (e.g. Domestic_Payments has 16K+ empty columns)
+  for (const name of workbook.SheetNames) {
+    const ws = workbook.Sheets[name];
+    if (ws['!ref']) {
+      const range = XLSX.utils.decode_range(ws['!ref']);
+      if (range.e.c > 50) {
+        range.e.c = 50; // no sheet needs more than ~34 columns
+        ws['!ref'] = XLSX.utils.encode_range(range);
+      }
+    }
+  }
+  return workbook;
+}
+
+/**
+ * Read an uploaded file as a workbook
  */
 export function readFile(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const workbook = XLSX.read(e.target.result, { type: 'array', cellDates: true });
-        // Cap oversized sheets (e.g. Domestic_Payments has 16K+ empty columns)
-        for (const name of workbook.SheetNames) {
-          const ws = workbook.Sheets[name];
-          if (ws['!ref']) {
-            const range = XLSX.utils.decode_range(ws['!ref']);
-            if (range.e.c > 50) {
-              range.e.c = 50; // no sheet needs more than ~34 columns
-              ws['!ref'] = XLSX.utils.encode_range(range);
-            }
-          }
-        }
-        resolve(workbook);
+        resolve(parseWorkbook(e.target.result, file.name));
       } catch (err) {
         reject(new Error(`Failed to parse ${file.name}: ${err.message}`));
       }
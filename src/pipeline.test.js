@@ -0,0 +1,248 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { CATEGORIES, classifyCSV, detectFileType, exportCSV, exportExcel, parseWorkbook, processFiles, programRows, rollupResults } from './pipeline.js';
+import { applyLedger } from './ledger.js';
+import { toCents } from './money.js';
+
+const JPM_HEADER = ['Team', 'Program', 'Paid Per Item', 'Payment Date', 'Currency', 'Transaction Type', 'Invoice Number'];
+const DOMESTIC_HEADER = ['Payment Date', 'Team', 'Program', 'Paid Per Item', 'Currency', 'Invoice Number'];
+
+function workbook(sheets) {
+  const wb = XLSX.utils.book_new();
+  for (const [name, rows] of Object.entries(sheets)) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), name);
+  return wb;
+}
+
+const jpmFile = (filename, rows) => ({ filename, workbook: workbook({ 'TOTAL DI': [JPM_HEADER, ...rows] }) });
+const domesticFile = (rows) => ({ filename: 'Domestic_Payments.xlsx', workbook: workbook({ 'US_Payment Details': [DOMESTIC_HEADER, ...rows] }) });
+
+const oct = (day) => new Date(2025, 9, day);
+const nov = (day) => new Date(2025, 10, day);
+
+// Amounts chosen to drift as floats: many 0.1s, thirds, half-cents and EUR rows at an awkward rate
+function adversarialRun() {
+  const octRows = [
+    ...Array.from({ length: 30 }, (_, i) => ['Blackfin', 'Alpha', 0.1, oct(1 + (i % 28)), null, null, `A${i}`]),
+    ...Array.from({ length: 9 }, (_, i) => ['Mizar', 'Beta', 1 / 3, oct(2), null, null, `B${i}`]),
+    ['Mizar', 'Beta', 1.005, oct(3), null, null, 'C1'],
+    ['Mizar', 'Gamma', 2.675, oct(3), null, null, 'C2'],
+    ...Array.from({ length: 7 }, (_, i) => ['Blackfin', 'Delta', 10.01 + i / 100, oct(4), 'EUR', null, `E${i}`]),
+    ['Blackfin', 'Delta', 3.33, oct(5), 'EUR', 'Refund', 'R1'],
+    ['Newco', 'Alpha', 0.07, oct(6), null, null, 'N1'],
+  ];
+  const novRows = [
+    ...Array.from({ length: 11 }, (_, i) => ['Mizar', 'Beta', 1 / 3, nov(2), null, null, `NB${i}`]),
+    ['Blackfin', 'Alpha', -0.3, nov(3), null, null, 'NR1'],
+    ['Blackfin', 'Delta', 99.99, nov(4), 'EUR', null, 'NE1'],
+  ];
+  const domesticRows = [
+    ...Array.from({ length: 13 }, (_, i) => [oct(7), 'Mizar', 'Beta', 0.1, null, `D${i}`]),
+    [nov(8), 'Blackfin', 'Alpha', 7.77, 'EUR', 'DE1'],
+    [nov(9), 'Blackfin', 'Alpha', -1.005, null, 'DR1'],
+  ];
+  return processFiles(
+    [jpmFile('JPM_TXN_2025_Oct.xlsx', octRows), jpmFile('JPM_TXN_2025_Nov.xlsx', novRows)],
+    domesticFile(domesticRows),
+    {
+      diAttribution: 'transaction',
+      fxRates: [{ currency: 'EUR', period: '2025-10', rate: 1.0837 }, { currency: 'EUR', period: '2025-11', rate: 1.0791 }],
+    },
+  );
+}
+
+const cents = (values) => values.reduce((s, v) => s + toCents(v), 0);
+
+// Sum of [month, category, team, amount] detail rows per `month|category|team`
+function detailTotals(rows) {
+  const totals = new Map();
+  for (const [month, category, team, amount] of rows) {
+    const key = `${month}|${category}|${team}`;
+    totals.set(key, (totals.get(key) || 0) + toCents(amount));
+  }
+  return totals;
+}
+
+function cardTotals(results) {
+  const totals = new Map();
+  for (const r of results) {
+    for (const cat of CATEGORIES) {
+      for (const t of r.teams) {
+        const amount = toCents(r.actual[`${cat.id}_${t.id}`]);
+        if (amount !== 0) totals.set(`${r.month}|${cat.code}|${t.label}`, amount);
+      }
+    }
+  }
+  return totals;
+}
+
+describe('processFiles totals', () => {
+  const run = adversarialRun();
+
+  it('keeps every amount to whole cents', () => {
+    expect(run.results.map(r => r.month)).toEqual(['October 2025', 'November 2025']);
+    for (const r of run.results) {
+      for (const value of Object.values(r.actual)) expect(toCents(value) / 100).toBe(value);
+    }
+  });
+
+  it('adds programs up to team totals, teams to categories and categories to the grand total', () => {
+    for (const results of [run.results, rollupResults(run.results, undefined, 'quarter')]) {
+      for (const r of results) {
+        let grand = 0;
+        for (const cat of CATEGORIES) {
+          let category = 0;
+          for (const t of r.teams) {
+            const key = `${cat.id}_${t.id}`;
+            const team = toCents(r.actual[key] || 0);
+            expect(cents(Object.values(r[`${key}_programs`] || {})), key).toBe(team);
+            const parts = Object.values(r[`${key}_currencies`] || {}).flatMap(p => Object.values(p));
+            expect(cents(parts.map(p => p.amount)), `${key} currencies`).toBe(team);
+            category += team;
+          }
+          expect(toCents(r.actual[`${cat.id}_total`] || 0)).toBe(category);
+          grand += category;
+        }
+        expect(toCents(r.actual.grand_total)).toBe(grand);
+      }
+    }
+  });
+
+  it('matches the card totals in the CSV export', () => {
+    const [, ...lines] = exportCSV(run.results).split('\r\n');
+    const rows = lines.map(l => l.split(',')).map(([month, category, team, , amount]) => [month, category, team, Number(amount)]);
+    expect(cardTotals(run.results).size).toBeGreaterThan(5);
+    expect(detailTotals(rows)).toEqual(cardTotals(run.results));
+  });
+
+  it('matches the card totals in the Excel Detail sheet', () => {
+    const wb = XLSX.read(exportExcel(run), { type: 'array' });
+    const [, ...rows] = XLSX.utils.sheet_to_json(wb.Sheets.Detail, { header: 1 });
+    expect(detailTotals(rows.map(([month, category, team, , amount]) => [month, category, team, amount])))
+      .toEqual(cardTotals(run.results));
+  });
+
+  it('is the same on every run', () => {
+    expect(adversarialRun().results).toEqual(run.results);
+  });
+});
+
+describe('exportExcel team sheets', () => {
+  it('writes 0 rather than a self-referencing SUM for a team without programs', () => {
+    const run = processFiles([jpmFile('a.xlsx', [['Blackfin', 'Alpha', 10, oct(3), null, null, 'X1']])], null);
+    const wb = XLSX.read(exportExcel(run), { type: 'array' });
+    expect(wb.Sheets.Blackfin.C3.f).toBe('SUM(C2:C2)');
+    expect(wb.Sheets.Mizar.C2.f).toBeUndefined();
+    expect(wb.Sheets.Mizar.C2.v).toBe(0);
+    expect(wb.Sheets.Mizar.D2.v).toBe(0);
+  });
+});
+
+describe('processFiles duplicates', () => {
+  it('matches a foreign-currency row across files whatever its converted cents', () => {
+    const row = (invoice) => ['Blackfin', 'Alpha', 1, oct(3), 'EUR', null, invoice];
+    const run = processFiles(
+      [jpmFile('a.xlsx', [row('X1'), row('Y1')]), jpmFile('b.xlsx', [row('Y1')])],
+      null,
+      { fxRates: [{ currency: 'EUR', period: '2025-10', rate: 1.115 }] },
+    );
+    expect(run.duplicates).toHaveLength(1);
+    expect(run.results[0].actual.di_total).toBe(2.23);
+  });
+});
+
+describe('programRows', () => {
+  it('keeps currency parts that cancel out', () => {
+    const run = processFiles([jpmFile('a.xlsx', [['Blackfin', 'Alpha', 50, oct(3), 'EUR', null, 'X1']])], null,
+      { fxRates: [{ currency: 'EUR', period: '2025-10', rate: 1 }] });
+    const { results } = applyLedger(run.results, [
+      { id: 'e1', month: '2025-10', teamId: 'blackfin', category: 'DI', program: 'Alpha', amount: -50, reason: 'Reversed', author: 'test', createdAt: '2025-11-01T00:00:00Z' },
+    ]);
+    const [row] = programRows(results).filter(r => r.program === 'Alpha');
+    expect(row.amount).toBe(0);
+    expect(row.currencies).toEqual([
+      { currency: 'EUR', original: 50, amount: 50 },
+      { currency: 'USD', original: -50, amount: -50 },
+    ]);
+  });
+});
+
+describe('processFiles adjustment types', () => {
+  const rows = [['Mizar', 'Beta', 0.1, oct(3), null, 'Credit Card', 'C1'], ['Mizar', 'Beta', 0.25, oct(3), null, 'Return', 'C2']];
+
+  it('keeps revenue types that merely contain an adjustment word', () => {
+    const [r] = processFiles([jpmFile('a.xlsx', rows)], null).results;
+    expect(r.actual.di_mizar).toBe(0.35);
+    expect(r.actual.adj_total).toBe(0);
+  });
+
+  it('takes the word list from the options', () => {
+    const [r] = processFiles([jpmFile('a.xlsx', rows)], null, { adjustmentTypes: ['return'] }).results;
+    expect(r.actual.di_mizar).toBe(0.1);
+    expect(r.actual.adj_mizar).toBe(-0.25);
+  });
+});
+
+describe('readTotalDI total rows', () => {
+  it('skips rows whose Team cell is a total label', () => {
+    const rows = [
+      ['Blackfin', 'Alpha', 100, oct(3), null, null, 'T1'],
+      ['Newco', 'Alpha', 33.54, oct(3), null, null, 'T2'],
+      ['TOTAL', null, 133.54, null, null, null, null],
+      ['Blackfin Subtotal', null, 100, null, null, null, null],
+      ['Grand Total', null, 133.54, null, null, null, null],
+    ];
+    const run = processFiles([jpmFile('a.xlsx', rows)], null);
+    const [r] = run.results;
+    expect(r.actual.di_total).toBe(133.54);
+    expect(r.unassigned_teams).toEqual(['Newco']);
+    expect(run.sources[0].issues.filter(i => i.reason === 'total_row')).toHaveLength(3);
+  });
+
+  it('keeps a registered team whose name contains "Total"', () => {
+    const teams = [{ id: 'total_logistics', label: 'Total Logistics', match: ['Total Logistics'] }];
+    const rows = [
+      ['Total Logistics', 'Alpha', 40, oct(3), null, null, 'T1'],
+      ['Total Logistics', 'Beta', 2.5, oct(3), null, null, 'T2'],
+      ['Total Logistics Total', null, 42.5, null, null, null, null],
+      ['Totals:', null, 42.5, null, null, null, null],
+    ];
+    const run = processFiles([jpmFile('a.xlsx', rows)], null, { teams });
+    expect(run.results[0].actual.di_total_logistics).toBe(42.5);
+    expect(run.results[0].actual.di_total).toBe(42.5);
+    expect(run.sources[0].issues.filter(i => i.reason === 'total_row')).toHaveLength(2);
+  });
+});
+
+describe('processFiles reconciliation', () => {
+  it('compares the SUMMARY sheet with the amounts before FX conversion', () => {
+    const wb = workbook({
+      'TOTAL DI': [JPM_HEADER, ['Blackfin', 'Alpha', 50, oct(3), 'EUR', null, 'X1'], ['Mizar', 'Beta', 20, oct(3), null, null, 'X2']],
+      SUMMARY: [['Team', 'Total'], ['Blackfin', 50], ['Mizar', 20]],
+    });
+    const run = processFiles([{ filename: 'a.xlsx', workbook: wb }], null,
+      { fxRates: [{ currency: 'EUR', period: '2025-10', rate: 1.1 }] });
+    expect(run.results[0].actual.di_total).toBe(75);
+    expect(run.sources[0].reconciliation.status).toBe('pass');
+  });
+});
+
+describe('parseWorkbook CSV classification', () => {
+  const csv = new TextEncoder().encode('Payment Date,Partner,Program,Amount Paid\r\n2025-10-03,Blackfin,Alpha,12.5\r\n2025-10-04,Mizar,Beta,7.25\r\n');
+  const mapping = { jpm: {}, domestic: { team: 'Partner', paid: 'Amount Paid' } };
+
+  it('recognises renamed headers through the mapping profile', () => {
+    expect(detectFileType(parseWorkbook(csv, 'payments.csv'))).toBeNull();
+    const workbook = parseWorkbook(csv, 'payments.csv', mapping);
+    expect(detectFileType(workbook)).toBe('domestic');
+    const jpm = jpmFile('a.xlsx', [['Blackfin', 'Alpha', 1, oct(3), null, null, 'X1']]);
+    const [r] = processFiles([jpm], { filename: 'payments.csv', workbook }, { mapping }).results;
+    expect(r.actual.do_blackfin).toBe(12.5);
+    expect(r.actual.do_mizar).toBe(7.25);
+  });
+
+  it('classifies a parsed CSV again under another mapping', () => {
+    const workbook = parseWorkbook(csv, 'payments.csv');
+    expect(detectFileType(classifyCSV(workbook, 'payments.csv', mapping))).toBe('domestic');
+    expect(detectFileType(classifyCSV(workbook, 'payments.csv'))).toBeNull();
+  });
+});
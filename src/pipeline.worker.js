@@ -0,0 +1,91 @@
+/**
+ * Runs workbook parsing, type detection and processFiles off the main
+ * thread. See workerProtocol.js for the message shapes.
+ *
+ * Parsed workbooks are cached by file id so a run doesn't re-parse uploads;
+ * requests also carry the File itself, so a fresh worker (after a cancel)
+ * can rebuild its cache.
+ */
+import { classifyCSV, parseWorkbook, detectFileType, processFiles, processSteps } from './pipeline.js';
+import { inspectColumns } from './mapping.js';
+import { MSG, serializeError } from './workerProtocol.js';
+
+const workbooks = new Map();
+const hashes = new Map();
+
+// A cached CSV is classified again, as `mapping` can differ from the one it
+// was parsed under
+async function loadWorkbook(fileId, file, mapping) {
+  if (!workbooks.has(fileId)) {
+    const buf = await file.arrayBuffer();
+    try {
+      workbooks.set(fileId, parseWorkbook(buf, file.name, mapping));
+    } catch (err) {
+      throw new Error(`Failed to parse ${file.name}: ${err.message}`);
+    }
+    hashes.set(fileId, await sha256(buf));
+  }
+  return classifyCSV(workbooks.get(fileId), file.name, mapping);
+}
+
+// Best-effort: crypto.subtle only exists in secure contexts (https, localhost)
+async function sha256(buf) {
+  try {
+    const digest = await crypto.subtle.digest('SHA-256', buf);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  } catch {
+    return null;
+  }
+}
+
+function fileInfo(fileId, workbook, mapping) {
+  const type = detectFileType(workbook);
+  const columns = type ? inspectColumns(workbook, type, mapping[type]) : null;
+  return { fileId, type, columns, hash: hashes.get(fileId) };
+}
+
+async function handle(msg) {
+  const { requestId } = msg;
+  const progress = (stage, filename, done, total) =>
+    self.postMessage({ type: MSG.PROGRESS, requestId, stage, filename, done, total });
+
+  if (msg.type === MSG.PARSE) {
+    const workbook = await loadWorkbook(msg.fileId, msg.file, msg.mapping);
+    self.postMessage({ type: MSG.PARSED, requestId, info: fileInfo(msg.fileId, workbook, msg.mapping) });
+  } else if (msg.type === MSG.INSPECT) {
+    const infos = [];
+    for (const { fileId, file } of msg.files) {
+      infos.push(fileInfo(fileId, await loadWorkbook(fileId, file, msg.mapping), msg.mapping));
+    }
+    self.postMessage({ type: MSG.INSPECTED, requestId, infos });
+  } else if (msg.type === MSG.PROCESS) {
+    const jpm = msg.files.filter(f => f.type === 'jpm');
+    const domestic = msg.files.find(f => f.type === 'domestic');
+    const parseSteps = jpm.length + (domestic ? 1 : 0);
+    const total = parseSteps + processSteps(jpm, domestic);
+
+    let parsed = 0;
+    const load = async (f) => {
+      progress('parse', f.name, parsed++, total);
+      return { workbook: await loadWorkbook(f.fileId, f.file, msg.options.mapping), filename: f.name };
+    };
+    const jpmFiles = [];
+    for (const f of jpm) jpmFiles.push(await load(f));
+    const domesticFile = domestic ? await load(domestic) : null;
+
+    const run = processFiles(jpmFiles, domesticFile, {
+      ...msg.options,
+      onProgress: ({ stage, filename, done }) => progress(stage, filename, parseSteps + done, total),
+    });
+    self.postMessage({ type: MSG.RESULT, requestId, run });
+  } else if (msg.type === MSG.RELEASE) {
+    workbooks.delete(msg.fileId);
+    hashes.delete(msg.fileId);
+  }
+}
+
+self.onmessage = (e) => {
+  handle(e.data).catch(err => {
+    self.postMessage({ type: MSG.ERROR, requestId: e.data.requestId, error: serializeError(err) });
+  });
+};
@@ -0,0 +1,115 @@
+import * as XLSX from 'xlsx';
+import { toCSV } from './csv.js';
+import { CATEGORIES } from './pipeline.js';
+import { buildSheet, moneyFormat, writeWorkbook } from './workbook.js';
+import { addMoney, roundMoney, sumMoney } from './money.js';
+
+/**
+ * Pivot of programRows() output for the Program Detail table: one or more
+ * row dimensions nested into collapsible groups with subtotals, and an
+ * optional column dimension.
+ */
+
+export const PIVOT_DIMENSIONS = [
+  { key: 'month', label: 'Month' },
+  { key: 'category', label: 'Category' },
+  { key: 'team', label: 'Team' },
+  { key: 'program', label: 'Program' },
+];
+
+// Months sort by date, categories in CATEGORIES order, the rest alphabetically
+function sortValues(key, values, rows) {
+  if (key === 'month') {
+    const monthKey = new Map(rows.map(r => [r.month, r.monthKey]));
+    return values.sort((a, b) => monthKey.get(a) - monthKey.get(b));
+  }
+  if (key === 'category') {
+    const order = CATEGORIES.map(c => c.code);
+    return values.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+  }
+  return values.sort((a, b) => a.localeCompare(b));
+}
+
+function addTo(values, column, amount) {
+  values[column] = addMoney(values[column] || 0, amount);
+}
+
+/**
+ * Group rows by `rowDims` (outermost first) and spread amounts over the
+ * values of `columnDim` (null for a single Total column).
+ * @returns {{columns: string[], groups: Array, values: Object, total: number}}
+ *   where each group is {id, dim, label, depth, path, values, total, children},
+ *   `path` maps each row dimension down to the group to its value, and
+ *   `values` maps column value to amount
+ */
+export function buildPivot(rows, rowDims, columnDim = null) {
+  const columns = columnDim ? sortValues(columnDim, [...new Set(rows.map(r => r[columnDim]))], rows) : [];
+
+  const build = (subset, depth, parentId, parentPath) => {
+    const dim = rowDims[depth];
+    const labels = sortValues(dim, [...new Set(subset.map(r => r[dim]))], rows);
+    return labels.map(label => {
+      const members = subset.filter(r => r[dim] === label);
+      const id = `${parentId}\u0000${label}`;
+      const path = { ...parentPath, [dim]: label };
+      const values = {};
+      for (const r of members) if (columnDim) addTo(values, r[columnDim], r.amount);
+      const total = sumMoney(members.map(r => r.amount));
+      const children = depth + 1 < rowDims.length ? build(members, depth + 1, id, path) : [];
+      return { id, dim, label, depth, path, values, total, children };
+    });
+  };
+
+  const values = {};
+  for (const r of rows) if (columnDim) addTo(values, r[columnDim], r.amount);
+  return { columns, groups: build(rows, 0, '', {}), values, total: sumMoney(rows.map(r => r.amount)) };
+}
+
+/**
+ * The lines a pivot shows with the groups in `collapsed` (a Set of group ids)
+ * folded: each group, then its children unless collapsed.
+ */
+export function visibleLines(pivot, collapsed) {
+  const lines = [];
+  const walk = (groups) => {
+    for (const g of groups) {
+      lines.push(g);
+      if (g.children.length > 0 && !collapsed.has(g.id)) walk(g.children);
+    }
+  };
+  walk(pivot.groups);
+  return lines;
+}
+
+/**
+ * The pivot as displayed, as rows of cells: one column per row dimension
+ * (each line fills the column of its own level), the column dimension's
+ * values, then the total. Group rows carry their subtotals.
+ */
+export function pivotTable(pivot, lines, rowDims) {
+  const label = (key) => PIVOT_DIMENSIONS.find(d => d.key === key).label;
+  const round = (n) => roundMoney(n || 0);
+  const header = [...rowDims.map(label), ...pivot.columns, 'Total'];
+  const body = lines.map(g => [
+    ...rowDims.map((_, i) => i === g.depth ? g.label : ''),
+    ...pivot.columns.map(c => round(g.values[c])),
+    round(g.total),
+  ]);
+  const footer = ['Grand Total', ...rowDims.slice(1).map(() => ''), ...pivot.columns.map(c => round(pivot.values[c])), round(pivot.total)];
+  return [header, ...body, footer];
+}
+
+export function exportPivotCSV(table) {
+  return toCSV(table);
+}
+
+/**
+ * Single-sheet workbook of a pivotTable(), amounts in the reporting currency.
+ * @returns {Uint8Array}
+ */
+export function exportPivotExcel(table, rowDimCount, currency) {
+  const wb = XLSX.utils.book_new();
+  const money = table[0].map((_, i) => i).slice(rowDimCount);
+  XLSX.utils.book_append_sheet(wb, buildSheet(table, { money, format: moneyFormat(currency), freeze: { rows: 1, cols: rowDimCount } }), 'Pivot');
+  return writeWorkbook(wb);
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { buildPivot, pivotTable, visibleLines } from './pivot.js';
+
+const row = (month, monthKey, category, team, program, amount) => ({ month, monthKey, category, team, program, amount });
+const rows = [
+  row('November 2025', 202511, 'DI', 'Mizar', 'Beta', 0.2),
+  row('October 2025', 202510, 'DO', 'Blackfin', 'Alpha', 0.1),
+  row('October 2025', 202510, 'DI', 'Blackfin', 'Alpha', 0.1),
+  row('October 2025', 202510, 'DI', 'Blackfin', 'Gamma', 0.2),
+  row('November 2025', 202511, 'ADJ', 'Blackfin', 'Alpha', -0.05),
+];
+
+describe('buildPivot', () => {
+  const pivot = buildPivot(rows, ['month', 'team'], 'category');
+
+  it('nests groups in date, category and name order with subtotals in cents', () => {
+    expect(pivot.columns).toEqual(['DI', 'DO', 'ADJ']);
+    expect(pivot.groups.map(g => [g.label, g.total, g.values])).toEqual([
+      ['October 2025', 0.4, { DI: 0.3, DO: 0.1 }],
+      ['November 2025', 0.15, { DI: 0.2, ADJ: -0.05 }],
+    ]);
+    expect(pivot.groups[0].children.map(g => [g.label, g.path, g.total])).toEqual([
+      ['Blackfin', { month: 'October 2025', team: 'Blackfin' }, 0.4],
+    ]);
+    expect(pivot.total).toBe(0.55);
+    expect(pivot.values).toEqual({ DI: 0.5, DO: 0.1, ADJ: -0.05 });
+  });
+
+  it('shows children unless their group is collapsed', () => {
+    expect(visibleLines(pivot, new Set()).map(g => g.label)).toEqual(['October 2025', 'Blackfin', 'November 2025', 'Blackfin', 'Mizar']);
+    const collapsed = new Set([pivot.groups[1].id]);
+    expect(visibleLines(pivot, collapsed).map(g => g.label)).toEqual(['October 2025', 'Blackfin', 'November 2025']);
+  });
+
+  it('lays the pivot out as shown, with a grand total', () => {
+    const table = pivotTable(pivot, visibleLines(pivot, new Set([pivot.groups[1].id])), ['month', 'team']);
+    expect(table).toEqual([
+      ['Month', 'Team', 'DI', 'DO', 'ADJ', 'Total'],
+      ['October 2025', '', 0.3, 0.1, 0, 0.4],
+      ['', 'Blackfin', 0.3, 0.1, 0, 0.4],
+      ['November 2025', '', 0.2, 0, -0.05, 0.15],
+      ['Grand Total', '', 0.5, 0.1, -0.05, 0.55],
+    ]);
+  });
+
+  it('has a single total column without a column dimension', () => {
+    const flat = buildPivot(rows, ['program']);
+    expect(flat.columns).toEqual([]);
+    expect(pivotTable(flat, visibleLines(flat, new Set()), ['program'])).toEqual([
+      ['Program', 'Total'], ['Alpha', 0.15], ['Beta', 0.2], ['Gamma', 0.2], ['Grand Total', 0.55],
+    ]);
+  });
+});
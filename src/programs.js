@@ -0,0 +1,136 @@
+import { addMoney, sumMoney } from './money.js';
+
+/**
+ * Program alias dictionary.
+ *
+ * Each alias maps raw Program values to a canonical name: `{match, canonical}`
+ * matches one raw value (case-insensitive), and `{match, canonical, regex: true}`
+ * treats `match` as a case-insensitive regular expression. Exact aliases win
+ * over regex rules; regex rules are tried in order.
+ */
+
+export const UNKNOWN_PROGRAM = 'UNKNOWN';
+
+// Programs at least this similar are suggested as merge candidates
+export const DEFAULT_SIMILARITY = 0.8;
+
+function compileRule(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a lookup from raw Program values to canonical names. Values that no
+ * alias matches are returned trimmed but otherwise unchanged.
+ */
+export function programMatcher(aliases = []) {
+  const exact = new Map();
+  const rules = [];
+  for (const a of aliases) {
+    if (a.regex) {
+      const re = compileRule(a.match);
+      if (re) rules.push({ re, canonical: a.canonical });
+    } else {
+      exact.set(a.match.trim().toLowerCase(), a.canonical);
+    }
+  }
+  return (raw) => {
+    const value = String(raw).trim();
+    const hit = exact.get(value.toLowerCase());
+    if (hit) return hit;
+    const rule = rules.find(r => r.re.test(value));
+    return rule ? rule.canonical : value;
+  };
+}
+
+/**
+ * Drop malformed entries (and regex rules that don't compile) from a stored
+ * dictionary.
+ */
+export function sanitizeAliases(aliases) {
+  if (!Array.isArray(aliases)) return [];
+  return aliases
+    .filter(a => a && typeof a.match === 'string' && a.match.trim() && typeof a.canonical === 'string' && a.canonical.trim())
+    .filter(a => !a.regex || compileRule(a.match))
+    .map(a => ({ match: a.match.trim(), canonical: a.canonical.trim(), regex: !!a.regex }));
+}
+
+function normalize(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Edit distance counting an adjacent transposition as one edit ("Alpah")
+function editDistance(a, b) {
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      }
+    }
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Similarity of two program names in [0, 1], ignoring case and punctuation.
+ */
+export function similarity(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (x === y) return 1;
+  const len = Math.max(x.length, y.length);
+  return len === 0 ? 1 : 1 - editDistance(x, y) / len;
+}
+
+/**
+ * Group program names that look like variants of each other.
+ * @param {Array<{program: string, amount: number}>} rows - e.g. programRows() output
+ * @param {number} [threshold]
+ * @returns {Array<{canonical: string, variants: string[], amount: number}>}
+ *   the suggested canonical is the variant carrying the most money
+ */
+export function suggestMerges(rows, threshold = DEFAULT_SIMILARITY) {
+  const amounts = new Map();
+  for (const r of rows) {
+    if (r.program === UNKNOWN_PROGRAM) continue;
+    amounts.set(r.program, addMoney(amounts.get(r.program) || 0, Math.abs(r.amount)));
+  }
+  const names = [...amounts.keys()];
+
+  // Union-find over similar pairs
+  const parent = names.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      if (similarity(names[i], names[j]) >= threshold) parent[find(j)] = find(i);
+    }
+  }
+
+  const groups = new Map();
+  names.forEach((name, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(name);
+  });
+
+  return [...groups.values()]
+    .filter(g => g.length > 1)
+    .map(g => {
+      const sorted = [...g].sort((a, b) => amounts.get(b) - amounts.get(a));
+      return {
+        canonical: sorted[0],
+        variants: sorted.slice(1),
+        amount: sumMoney(sorted.map(n => amounts.get(n))),
+      };
+    })
+    .sort((a, b) => b.amount - a.amount);
+}
@@ -0,0 +1,68 @@
+import { toCSV } from './csv.js';
+import { addMoney } from './money.js';
+
+/**
+ * Data-quality issues raised by the readers for rows they skip.
+ *
+ * Issue shape: {file, sheet, row, reason, severity, values, amount}
+ * - row: 1-based sheet row number, as shown in Excel
+ * - values: the raw cell values of the mapped fields
+ * - amount: the row's numeric amount when there is one, else null
+ */
+
+export const ISSUE_REASONS = {
+  no_team: { label: 'Missing team', severity: 'warning' },
+  no_date: { label: 'Missing payment date', severity: 'warning' },
+  no_amount: { label: 'Missing amount', severity: 'warning' },
+  non_numeric_amount: { label: 'Non-numeric amount', severity: 'warning' },
+  no_fx_rate: { label: 'No FX rate for currency', severity: 'warning' },
+  total_row: { label: 'Total / subtotal row', severity: 'info' },
+};
+
+export function makeIssue(file, sheet, rowIndex, reason, values) {
+  const amount = Number(values.amount);
+  return {
+    file,
+    sheet,
+    row: rowIndex + 1,
+    reason,
+    severity: ISSUE_REASONS[reason].severity,
+    values,
+    amount: values.amount == null || values.amount === '' || isNaN(amount) ? null : amount,
+  };
+}
+
+/**
+ * Counts per reason plus the total of skipped warning rows per currency.
+ * Skipped rows are never converted, so their amounts stay in the currency
+ * they were written in (`values.currency`; `sourceCurrency`, see currency.js,
+ * for issues saved without one). Info rows (totals/subtotals) are excluded from the totals
+ * since their amounts are already counted by the rows they summarise.
+ * @returns {{counts: Object, skipped: Object, warnings: number}} `skipped` is
+ *   {currency: amount}
+ */
+export function summarizeIssues(issues, sourceCurrency) {
+  const counts = {};
+  const skipped = {};
+  for (const issue of issues) {
+    counts[issue.reason] = (counts[issue.reason] || 0) + 1;
+    if (issue.severity !== 'warning' || issue.amount == null) continue;
+    const currency = issue.values?.currency || sourceCurrency;
+    skipped[currency] = addMoney(skipped[currency] || 0, issue.amount);
+  }
+  return { counts, skipped, warnings: issues.filter(i => i.severity === 'warning').length };
+}
+
+/**
+ * Flatten the per-source issue lists into one CSV report.
+ */
+export function exportIssuesCSV(issues) {
+  const rows = [['File', 'Sheet', 'Row', 'Reason', 'Severity', 'Amount', 'Raw values']];
+  for (const i of issues) {
+    const raw = Object.entries(i.values)
+      .map(([k, v]) => `${k}=${v instanceof Date ? v.toISOString().slice(0, 10) : v ?? ''}`)
+      .join('; ');
+    rows.push([i.file, i.sheet, i.row, ISSUE_REASONS[i.reason].label, i.severity, i.amount, raw]);
+  }
+  return toCSV(rows);
+}
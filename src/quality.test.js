@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest';
+import { makeIssue, summarizeIssues } from './quality.js';
+
+describe('summarizeIssues', () => {
+  it('totals skipped warning rows per currency', () => {
+    const issues = [
+      makeIssue('a.xlsx', 'TOTAL DI', 1, 'no_team', { amount: 0.1, currency: 'USD' }),
+      makeIssue('a.xlsx', 'TOTAL DI', 2, 'no_fx_rate', { amount: 50, currency: 'EUR' }),
+      makeIssue('a.xlsx', 'TOTAL DI', 3, 'no_date', { amount: 0.2 }),
+      makeIssue('a.xlsx', 'TOTAL DI', 4, 'total_row', { amount: 999, currency: 'USD' }),
+      makeIssue('a.xlsx', 'TOTAL DI', 5, 'non_numeric_amount', { amount: 'n/a', currency: 'USD' }),
+    ];
+    const { counts, skipped, warnings } = summarizeIssues(issues, 'USD');
+    expect(skipped).toEqual({ USD: 0.3, EUR: 50 });
+    expect(warnings).toBe(4);
+    expect(counts.total_row).toBe(1);
+  });
+});
@@ -0,0 +1,120 @@
+import * as XLSX from 'xlsx';
+import { findCol } from './mapping.js';
+import { isTotalLabel, UNASSIGNED_TEAM } from './teams.js';
+import { addMoney, fromCents, roundMoney, sumMoney, toCents } from './money.js';
+
+/**
+ * Reconciliation of computed TOTAL DI totals against a JPM workbook's
+ * SUMMARY tab.
+ *
+ * The SUMMARY layout varies between exports, so it is read loosely: a header
+ * row with a Team column and an amount column gives team (and, when there is
+ * a Program column, program) totals; without one, any row whose first label
+ * is a known team contributes its last numeric cell as that team's total.
+ * Either way, labels that are not registered teams (Grand Total, subtotals,
+ * notes) are ignored, and a Program cell reading "Total" marks a team line.
+ */
+
+export const DEFAULT_TOLERANCE = 1;
+
+const AMOUNT_HEADERS = ['Total', 'Amount', 'Grand Total', 'Paid Per Item', 'Sum of Paid Per Item', 'Payment Amount'];
+
+/**
+ * Parse team and program totals from the SUMMARY sheet.
+ * @param {Object} workbook
+ * @param {Function} teamOf - maps a raw team name to a registry id
+ * @param {Function} [programOf] - maps a raw program name to its canonical name
+ * @returns {{teams: Object, programs: Object}|null} null when there is no
+ *   SUMMARY sheet or no totals could be found in it
+ */
+export function readSummary(workbook, teamOf, programOf = (p) => p) {
+  const ws = workbook.Sheets['SUMMARY'];
+  if (!ws) return null;
+  const data = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null, raw: true });
+
+  const teams = {};
+  const programs = {};
+  const add = (obj, key, amt) => { obj[key] = addMoney(obj[key] || 0, amt); };
+
+  const headerIdx = data.slice(0, 10).findIndex(row =>
+    row && findCol(row, 'Team') != null && findCol(row, ...AMOUNT_HEADERS) != null
+  );
+
+  if (headerIdx >= 0) {
+    const headers = data[headerIdx];
+    const teamCol = findCol(headers, 'Team');
+    const progCol = findCol(headers, 'Program');
+    const amtCol = findCol(headers, ...AMOUNT_HEADERS);
+    for (const rv of data.slice(headerIdx + 1)) {
+      if (!rv || rv[teamCol] == null || typeof rv[amtCol] !== 'number') continue;
+      const id = teamOf(rv[teamCol]);
+      if (id === UNASSIGNED_TEAM.id) continue;
+      const program = progCol != null && rv[progCol] != null ? String(rv[progCol]).trim() : null;
+      if (program && !isTotalLabel(program)) {
+        programs[id] ||= {};
+        add(programs[id], programOf(program), rv[amtCol]);
+      } else {
+        add(teams, id, rv[amtCol]);
+      }
+    }
+  } else {
+    for (const rv of data) {
+      const label = rv?.find(v => typeof v === 'string' && v.trim());
+      const id = label ? teamOf(label) : UNASSIGNED_TEAM.id;
+      const amount = rv?.filter(v => typeof v === 'number').pop();
+      if (id !== UNASSIGNED_TEAM.id && amount != null) add(teams, id, amount);
+    }
+  }
+
+  // Teams listed only by program get their total from the program lines
+  for (const [id, progs] of Object.entries(programs)) {
+    if (teams[id] == null) teams[id] = sumMoney(Object.values(progs));
+  }
+
+  return Object.keys(teams).length > 0 ? { teams, programs } : null;
+}
+
+/**
+ * Compare SUMMARY totals with the aggregated TOTAL DI rows.
+ * @param {Object|null} summary - from readSummary
+ * @param {Object} diAgg - {teamId: {program: amount}}
+ * @param {Array} teams - report teams ({id, label})
+ * @param {number} tolerance - largest absolute delta still considered a match
+ * @returns {{status: 'pass'|'warn'|'fail', tolerance: number, note: string|null, lines: Array}}
+ *   Team-level mismatches fail; program-level mismatches only warn.
+ */
+export function reconcile(summary, diAgg, teams, tolerance = DEFAULT_TOLERANCE) {
+  if (!summary) {
+    return { status: 'warn', tolerance, note: 'No totals found on the SUMMARY sheet', lines: [] };
+  }
+
+  const lines = [];
+  const check = (level, team, program, expected, computed) => {
+    const delta = fromCents(toCents(computed) - toCents(expected));
+    const ok = Math.abs(delta) <= tolerance;
+    lines.push({
+      level, team: team.label, teamId: team.id, program,
+      expected: roundMoney(expected), computed: roundMoney(computed), delta,
+      status: ok ? 'pass' : level === 'team' ? 'fail' : 'warn',
+    });
+  };
+
+  // The SUMMARY has no figure for rows of unregistered teams; those are
+  // reported as unassigned instead
+  for (const t of teams.filter(team => team.id !== UNASSIGNED_TEAM.id)) {
+    const computedProgs = diAgg[t.id] || {};
+    const computed = sumMoney(Object.values(computedProgs));
+    if (summary.teams[t.id] == null && computed === 0) continue;
+    check('team', t, null, summary.teams[t.id] || 0, computed);
+
+    const expectedProgs = summary.programs[t.id];
+    if (!expectedProgs) continue;
+    for (const p of new Set([...Object.keys(expectedProgs), ...Object.keys(computedProgs)])) {
+      check('program', t, p, expectedProgs[p] || 0, computedProgs[p] || 0);
+    }
+  }
+
+  const status = lines.some(l => l.status === 'fail') ? 'fail'
+    : lines.some(l => l.status === 'warn') ? 'warn' : 'pass';
+  return { status, tolerance, note: null, lines };
+}
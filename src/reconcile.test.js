@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { readSummary, reconcile } from './reconcile.js';
+import { reportTeams, teamMatcher, DEFAULT_TEAMS } from './teams.js';
+
+function summaryBook(rows) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'SUMMARY');
+  return wb;
+}
+
+const teamOf = teamMatcher(DEFAULT_TEAMS);
+const diAgg = { blackfin: { Alpha: 100, Beta: 50 }, mizar: { Gamma: 150 } };
+
+describe('readSummary', () => {
+  it('adds program lines in cents', () => {
+    const summary = readSummary(summaryBook([
+      ['Team', 'Program', 'Paid Per Item'],
+      ['Blackfin', 'Alpha', 0.1],
+      ['Blackfin', 'Alpha', 0.2],
+      ['Blackfin', 'Beta', 0.1],
+    ]), teamOf);
+    expect(summary.programs.blackfin).toEqual({ Alpha: 0.3, Beta: 0.1 });
+    expect(summary.teams.blackfin).toBe(0.4);
+  });
+
+  it('ignores a Grand Total row', () => {
+    const summary = readSummary(summaryBook([
+      ['Team', 'Total'],
+      ['Blackfin', 150],
+      ['Mizar', 150],
+      ['Grand Total', 300],
+    ]), teamOf);
+    expect(summary.teams).toEqual({ blackfin: 150, mizar: 150 });
+    const result = reconcile(summary, diAgg, reportTeams(DEFAULT_TEAMS));
+    expect(result.status).toBe('pass');
+    expect(result.lines.map(l => l.team)).toEqual(['Blackfin', 'Mizar']);
+  });
+
+  it('ignores team subtotal rows and reads Total program cells as team lines', () => {
+    const summary = readSummary(summaryBook([
+      ['Team', 'Program', 'Amount'],
+      ['Blackfin', 'Alpha', 100],
+      ['Blackfin', 'Beta', 50],
+      ['Blackfin Total', null, 150],
+      ['Mizar', 'Gamma', 150],
+      ['Mizar', 'Total', 150],
+      ['Unknown Partner', 'Delta', 20],
+    ]), teamOf);
+    expect(summary.teams).toEqual({ blackfin: 150, mizar: 150 });
+    expect(summary.programs).toEqual({ blackfin: { Alpha: 100, Beta: 50 }, mizar: { Gamma: 150 } });
+    expect(reconcile(summary, diAgg, reportTeams(DEFAULT_TEAMS)).status).toBe('pass');
+  });
+});
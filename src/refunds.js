@@ -0,0 +1,57 @@
+/**
+ * Refunds, reversals and other negative rows.
+ *
+ * A row is an adjustment when its amount is negative or its Transaction Type
+ * names a refund, reversal, chargeback, credit memo or void. Adjustments are
+ * kept out of gross revenue and reported in their own Adjustments/Refunds
+ * category. Typed adjustments always count against revenue, so a refund
+ * exported as a positive amount is negated.
+ *
+ * Types are matched as whole words or phrases, case-insensitively, so
+ * "Refund - partial" is an adjustment but "Credit Card Payment" and
+ * "Cancellation Fee" are not.
+ */
+
+export const DEFAULT_ADJUSTMENT_TYPES = [
+  'refund', 'refunded', 'reversal', 'reversed', 'chargeback', 'charge back', 'void', 'voided',
+  'credit memo', 'credit note', 'cancelled', 'canceled',
+];
+
+/**
+ * Trimmed, lower-cased, de-duplicated type words; a non-array gets the
+ * defaults.
+ */
+export function sanitizeAdjustmentTypes(types) {
+  if (!Array.isArray(types)) return DEFAULT_ADJUSTMENT_TYPES;
+  return [...new Set(types.map(t => String(t ?? '').trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))];
+}
+
+/**
+ * Predicate telling whether a Transaction Type value marks an adjustment.
+ * @param {string[]} [types] - words or phrases; spaces in a phrase also match
+ *   hyphens ("charge back" matches "Charge-Back")
+ */
+export function adjustmentMatcher(types = DEFAULT_ADJUSTMENT_TYPES) {
+  const terms = sanitizeAdjustmentTypes(types);
+  if (terms.length === 0) return () => false;
+  const pattern = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '[\\s-]+')).join('|');
+  const re = new RegExp(`\\b(?:${pattern})\\b`, 'i');
+  return (type) => type != null && re.test(String(type));
+}
+
+/**
+ * Whether a Transaction Type value marks a refund or reversal, by the
+ * default types.
+ */
+export const isAdjustmentType = adjustmentMatcher();
+
+/**
+ * Classify a reader row's amount.
+ * @param {Function} [isAdjustment] - adjustmentMatcher() predicate
+ * @returns {{amount: number, adjustment: boolean}} the signed amount and
+ *   whether the row is an adjustment
+ */
+export function classifyAmount(amount, type, isAdjustment = isAdjustmentType) {
+  if (isAdjustment(type)) return { amount: -Math.abs(amount), adjustment: true };
+  return { amount, adjustment: amount < 0 };
+}
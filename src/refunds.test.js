@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { adjustmentMatcher, classifyAmount, isAdjustmentType, sanitizeAdjustmentTypes } from './refunds.js';
+
+describe('isAdjustmentType', () => {
+  it('matches refund and reversal types as whole words', () => {
+    for (const type of ['Refund', 'Partial refund', 'REVERSAL', 'Chargeback', 'Charge-Back', 'Void', 'Credit Memo #12', 'credit note', 'Cancelled']) {
+      expect(isAdjustmentType(type), type).toBe(true);
+    }
+  });
+
+  it('leaves revenue types that only contain those letters alone', () => {
+    for (const type of ['Credit Card', 'Credit Card Payment', 'Cancellation Fee', 'Avoidance', 'Payment', '', null]) {
+      expect(isAdjustmentType(type), String(type)).toBe(false);
+    }
+  });
+});
+
+describe('adjustmentMatcher', () => {
+  it('uses a configured word list', () => {
+    const matches = adjustmentMatcher(['Write-off', ' RETURN ']);
+    expect(matches('Partial return')).toBe(true);
+    expect(matches('write-off')).toBe(true);
+    expect(matches('Refund')).toBe(false);
+    expect(adjustmentMatcher([])('Refund')).toBe(false);
+  });
+
+  it('treats regex characters literally', () => {
+    expect(adjustmentMatcher(['c.o'])('cxo')).toBe(false);
+  });
+});
+
+describe('sanitizeAdjustmentTypes', () => {
+  it('trims, lower-cases and de-duplicates', () => {
+    expect(sanitizeAdjustmentTypes([' Refund', 'refund', '', 'Credit   Memo', null])).toEqual(['refund', 'credit memo']);
+    expect(sanitizeAdjustmentTypes('refund')).toContain('chargeback');
+  });
+});
+
+describe('classifyAmount', () => {
+  it('negates typed adjustments and flags negative amounts', () => {
+    expect(classifyAmount(5, 'Refund')).toEqual({ amount: -5, adjustment: true });
+    expect(classifyAmount(0.1, 'Credit Card')).toEqual({ amount: 0.1, adjustment: false });
+    expect(classifyAmount(-2, null)).toEqual({ amount: -2, adjustment: true });
+    expect(classifyAmount(5, 'Return', adjustmentMatcher(['return']))).toEqual({ amount: -5, adjustment: true });
+  });
+});
@@ -0,0 +1,112 @@
+import { CATEGORIES } from './pipeline.js';
+import { sanitizeLedger } from './ledger.js';
+
+/**
+ * Versioned JSON export of a processFiles run, written by the app and by the
+ * command line's `--format json` and read back by the app to restore a
+ * dashboard without the source workbooks. The format is documented in the
+ * README and described by docs/minnark-run.v1.schema.json.
+ *
+ * A file is {kind, version, meta, ledger, results, sources, duplicates}:
+ * `results`, `sources` and `duplicates` are the processFiles output (monthly,
+ * before manual adjustments), `ledger` the adjustments entries applied to it
+ * and `meta` is {name, createdAt, exportedAt, generator, files, settings}.
+ * Figures with manual adjustments are applyLedger(results, ledger).
+ *
+ * Bump RUN_FILE_VERSION when a field changes meaning or is removed; adding
+ * optional fields keeps the version.
+ */
+
+export const RUN_FILE_KIND = 'minnark-run';
+export const RUN_FILE_VERSION = 1;
+
+const isAmount = (v) => typeof v === 'number' && Number.isFinite(v);
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * The run as a JSON document for export.
+ * @param {{results: Array, sources?: Array, duplicates?: Array}} run - processFiles output
+ * @param {Object} [meta] - {name, createdAt (ms or ISO), generator, files, settings}
+ * @param {Array} [ledger] - adjustments entries applied to the run
+ */
+export function exportRunJSON({ results, sources = [], duplicates = [] }, meta = {}, ledger = []) {
+  const doc = {
+    kind: RUN_FILE_KIND,
+    version: RUN_FILE_VERSION,
+    meta: {
+      name: meta.name ?? null,
+      createdAt: meta.createdAt != null ? new Date(meta.createdAt).toISOString() : null,
+      exportedAt: new Date().toISOString(),
+      generator: meta.generator ?? null,
+      files: meta.files ?? [],
+      settings: meta.settings ?? {},
+    },
+    ledger,
+    results,
+    sources,
+    duplicates,
+  };
+  return JSON.stringify(doc, null, 2);
+}
+
+function checkResult(r, i) {
+  const where = `Result ${i + 1}`;
+  if (!isObject(r)) throw new Error(`${where} is not an object`);
+  if (typeof r.month !== 'string') throw new Error(`${where} has no month`);
+  if (!Number.isInteger(r.monthKey)) throw new Error(`${where} (${r.month}) has no monthKey`);
+  if (!Array.isArray(r.teams) || r.teams.some(t => typeof t?.id !== 'string' || typeof t?.label !== 'string')) {
+    throw new Error(`${where} (${r.month}) has no valid teams`);
+  }
+  if (!isObject(r.actual) || !Object.values(r.actual).every(isAmount) || !isAmount(r.actual.grand_total)) {
+    throw new Error(`${where} (${r.month}) has invalid totals`);
+  }
+  for (const cat of CATEGORIES) {
+    for (const t of r.teams) {
+      const programs = r[`${cat.id}_${t.id}_programs`];
+      if (programs != null && (!isObject(programs) || !Object.values(programs).every(isAmount))) {
+        throw new Error(`${where} (${r.month}) has invalid ${cat.code} programs for ${t.label}`);
+      }
+    }
+  }
+}
+
+/**
+ * Parse an exported run, checking the figures the dashboard needs and
+ * filling in optional fields.
+ * @returns {{run: {results, sources, duplicates}, meta: Object, ledger: Array}}
+ */
+export function parseRunJSON(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a JSON file: ${err.message}`);
+  }
+  if (doc?.kind !== RUN_FILE_KIND) throw new Error('Not a MinnARK run export');
+  if (!(doc.version >= 1)) throw new Error('Run file has no version');
+  if (doc.version > RUN_FILE_VERSION) throw new Error(`Run file version ${doc.version} is newer than this app supports`);
+  if (!Array.isArray(doc.results) || doc.results.length === 0) throw new Error('Run file has no results');
+  doc.results.forEach(checkResult);
+
+  const results = doc.results.map(r => ({
+    filename: r.filenames?.join(', ') ?? '',
+    filenames: [],
+    currency: doc.results[0].currency,
+    unassigned_teams: [],
+    raw_programs: {},
+    do_sheets: [],
+    di_row_count: 0,
+    do_row_count: 0,
+    transactions: [],
+    ...r,
+  }));
+  const sources = (Array.isArray(doc.sources) ? doc.sources : [])
+    .filter(isObject)
+    .map(s => ({ ...s, issues: Array.isArray(s.issues) ? s.issues : [] }));
+  const duplicates = (Array.isArray(doc.duplicates) ? doc.duplicates : []).filter(g => isObject(g) && Array.isArray(g.rows));
+  return {
+    run: { results, sources, duplicates },
+    meta: isObject(doc.meta) ? doc.meta : {},
+    ledger: sanitizeLedger(Array.isArray(doc.ledger) ? doc.ledger : []),
+  };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { processFiles } from './pipeline.js';
+import { applyLedger } from './ledger.js';
+import { exportRunJSON, parseRunJSON, RUN_FILE_KIND, RUN_FILE_VERSION } from './runFile.js';
+
+function run() {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ['Team', 'Program', 'Paid Per Item', 'Payment Date', 'Invoice Number'],
+    ['Blackfin', 'Alpha', 100.1, new Date(2025, 9, 3), 'X1'],
+    ['Blackfin', 'Alpha', 100.1, new Date(2025, 9, 3), 'X1'],
+    ['Mizar', 'Beta', 0.2, new Date(2025, 10, 4), 'X2'],
+    [null, 'Beta', 3, new Date(2025, 10, 4), 'X3'],
+  ]), 'TOTAL DI');
+  return processFiles([{ filename: 'JPM_TXN_2025_Oct.xlsx', workbook: wb }], null, { diAttribution: 'transaction' });
+}
+
+const entry = { id: 'e1', month: '2025-11', teamId: 'mizar', category: 'DI', program: 'Beta', amount: -0.1, reason: 'Fee', author: 'ana', createdAt: '2025-12-01T09:00:00.000Z' };
+
+describe('run files', () => {
+  const processed = run();
+  const text = exportRunJSON(processed, { name: 'Oct-Nov 2025', createdAt: Date.UTC(2025, 11, 1), generator: 'test' }, [entry]);
+
+  it('writes the kind, version and metadata', () => {
+    const doc = JSON.parse(text);
+    expect(doc.kind).toBe(RUN_FILE_KIND);
+    expect(doc.version).toBe(RUN_FILE_VERSION);
+    expect(doc.meta).toMatchObject({ name: 'Oct-Nov 2025', createdAt: '2025-12-01T00:00:00.000Z', generator: 'test', files: [], settings: {} });
+  });
+
+  it('reads back the figures, sources, duplicates and ledger', () => {
+    const { run: imported, meta, ledger } = parseRunJSON(text);
+    expect(meta.name).toBe('Oct-Nov 2025');
+    expect(ledger).toEqual([entry]);
+    expect(imported.results.map(r => [r.monthKey, r.actual, r.di_blackfin_programs, r.di_mizar_programs]))
+      .toEqual(processed.results.map(r => [r.monthKey, r.actual, r.di_blackfin_programs, r.di_mizar_programs]));
+    expect(imported.sources.map(s => [s.filename, s.issues.length])).toEqual([['JPM_TXN_2025_Oct.xlsx', 1]]);
+    expect(imported.duplicates).toHaveLength(1);
+    expect(applyLedger(imported.results, ledger).results.map(r => r.actual))
+      .toEqual(applyLedger(processed.results, [entry]).results.map(r => r.actual));
+  });
+
+  it('fills in optional result fields', () => {
+    const doc = JSON.parse(text);
+    doc.results = doc.results.map(({ month, monthKey, teams, actual }) => ({ month, monthKey, teams, actual }));
+    delete doc.sources;
+    const { run: imported } = parseRunJSON(JSON.stringify(doc));
+    expect(imported.results[0]).toMatchObject({ transactions: [], unassigned_teams: [], di_row_count: 0 });
+    expect(imported.sources).toEqual([]);
+  });
+
+  it('rejects files it cannot restore', () => {
+    const withDoc = (change) => {
+      const doc = JSON.parse(text);
+      change(doc);
+      return () => parseRunJSON(JSON.stringify(doc));
+    };
+    expect(() => parseRunJSON('not json')).toThrow(/Not a JSON file/);
+    expect(withDoc(d => { d.kind = 'minnark-ledger'; })).toThrow(/Not a MinnARK run export/);
+    expect(withDoc(d => { delete d.version; })).toThrow(/no version/);
+    expect(withDoc(d => { d.version = RUN_FILE_VERSION + 1; })).toThrow(/newer than this app supports/);
+    expect(withDoc(d => { d.results = []; })).toThrow(/no results/);
+    expect(withDoc(d => { d.results[0].monthKey = '202510'; })).toThrow(/Result 1 \(October 2025\) has no monthKey/);
+    expect(withDoc(d => { d.results[1].actual.grand_total = 'x'; })).toThrow(/Result 2 \(November 2025\) has invalid totals/);
+    expect(withDoc(d => { d.results[0].di_blackfin_programs = { Alpha: null }; })).toThrow(/invalid DI programs for Blackfin/);
+  });
+});
@@ -0,0 +1,182 @@
+import { jsPDF } from 'jspdf';
+import JSZip from 'jszip';
+import { CATEGORIES, resultTeams, teamTotal } from './pipeline.js';
+import { UNASSIGNED_TEAM } from './teams.js';
+import { fromCents, toCents } from './money.js';
+
+/**
+ * Monthly partner statements: one PDF per team per month, bundled into a zip.
+ * Everything is rendered in the browser.
+ */
+
+function previousMonthKey(monthKey) {
+  const y = Math.floor(monthKey / 100);
+  const m = monthKey % 100;
+  return m === 1 ? (y - 1) * 100 + 12 : monthKey - 1;
+}
+
+function period(monthKey, locale) {
+  const y = Math.floor(monthKey / 100);
+  const m = monthKey % 100;
+  const opts = { day: 'numeric', month: 'short', year: 'numeric' };
+  return `${new Date(y, m - 1, 1).toLocaleDateString(locale, opts)} – ${new Date(y, m, 0).toLocaleDateString(locale, opts)}`;
+}
+
+function categoryTotals(result, teamId) {
+  return Object.fromEntries(CATEGORIES.map(c => [c.id, result.actual[`${c.id}_${teamId}`] || 0]));
+}
+
+/**
+ * Everything one statement shows, for a team and a month of a run.
+ * @returns {{team, month, monthKey, period, totals, total, prior, programs, reconciliation}}
+ *   where `prior` is the previous calendar month's totals (null when that
+ *   month isn't in the run) and `reconciliation` lists the SUMMARY checks of
+ *   the month's JPM files
+ */
+export function statementData(run, result, team, locale) {
+  const priorResult = run.results.find(r => r.monthKey === previousMonthKey(result.monthKey));
+  const programs = [];
+  for (const cat of CATEGORIES) {
+    const byProgram = result[`${cat.id}_${team.id}_programs`] || {};
+    for (const [program, amount] of Object.entries(byProgram).sort((a, b) => b[1] - a[1])) {
+      programs.push({ category: cat.label, program, amount });
+    }
+  }
+  return {
+    team,
+    month: result.month,
+    monthKey: result.monthKey,
+    period: result.monthKey ? period(result.monthKey, locale) : result.month,
+    totals: categoryTotals(result, team.id),
+    total: teamTotal(result, team.id),
+    prior: priorResult
+      ? { month: priorResult.month, totals: categoryTotals(priorResult, team.id), total: teamTotal(priorResult, team.id) }
+      : null,
+    programs,
+    reconciliation: run.sources
+      .filter(s => s.reconciliation && result.filenames.includes(s.filename))
+      .map(s => ({ filename: s.filename, status: s.reconciliation.status, note: s.reconciliation.note })),
+  };
+}
+
+const PAGE = { margin: 48, width: 595.28, height: 841.89 };
+
+/**
+ * Render one statement to PDF bytes.
+ * @param {Object} data - statementData() output
+ * @param {Function} fmt - money formatter in the run's reporting currency
+ */
+export function renderStatement(data, fmt) {
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const right = PAGE.width - PAGE.margin;
+  let y = PAGE.margin;
+
+  // The built-in PDF fonts have no narrow no-break space, which some locales' number formats use
+  const line = (text, x, opts = {}) => doc.text(String(text).replace(/[\u00a0\u202f]/g, ' '), x, y, opts);
+  const ensureRoom = (height) => {
+    if (y + height > PAGE.height - PAGE.margin) {
+      doc.addPage();
+      y = PAGE.margin;
+    }
+  };
+
+  doc.setFont('helvetica', 'bold').setFontSize(18);
+  line('Partner Revenue Statement', PAGE.margin);
+  y += 24;
+  doc.setFontSize(13);
+  line(`${data.team.label} · ${data.month}`, PAGE.margin);
+  y += 16;
+  doc.setFont('helvetica', 'normal').setFontSize(10).setTextColor(90);
+  line(`Period: ${data.period}`, PAGE.margin);
+  line(`Generated ${new Date().toISOString().slice(0, 10)}`, right, { align: 'right' });
+  y += 28;
+
+  // Totals with prior-month comparison
+  const cols = [PAGE.margin, 300, 400, right];
+  doc.setTextColor(0).setFont('helvetica', 'bold');
+  line(data.month, cols[1], { align: 'right' });
+  line(data.prior ? data.prior.month : 'Prior month', cols[2], { align: 'right' });
+  line('Change', cols[3], { align: 'right' });
+  y += 6;
+  doc.setDrawColor(180).line(PAGE.margin, y, right, y);
+  y += 14;
+  doc.setFont('helvetica', 'normal');
+  const totalsRow = (label, current, prior) => {
+    line(label, cols[0]);
+    line(fmt(current), cols[1], { align: 'right' });
+    line(prior == null ? '—' : fmt(prior), cols[2], { align: 'right' });
+    line(prior == null ? '—' : fmt(fromCents(toCents(current) - toCents(prior))), cols[3], { align: 'right' });
+    y += 16;
+  };
+  for (const cat of CATEGORIES) totalsRow(cat.label, data.totals[cat.id], data.prior?.totals[cat.id]);
+  doc.setFont('helvetica', 'bold');
+  totalsRow('Total', data.total, data.prior?.total);
+  if (!data.prior) {
+    doc.setFont('helvetica', 'italic').setFontSize(8).setTextColor(110);
+    line('The prior month is not part of this run.', PAGE.margin);
+    doc.setFontSize(10).setTextColor(0);
+    y += 12;
+  }
+  y += 16;
+
+  // Program breakdown
+  doc.setFont('helvetica', 'bold').setFontSize(12);
+  line('Program breakdown', PAGE.margin);
+  y += 18;
+  doc.setFontSize(10);
+  line('Category', PAGE.margin);
+  line('Program', 160);
+  line('Amount', right, { align: 'right' });
+  y += 6;
+  doc.line(PAGE.margin, y, right, y);
+  y += 14;
+  doc.setFont('helvetica', 'normal');
+  if (data.programs.length === 0) {
+    line('No revenue this month.', PAGE.margin);
+    y += 16;
+  }
+  for (const p of data.programs) {
+    ensureRoom(16);
+    line(p.category, PAGE.margin);
+    line(doc.splitTextToSize(p.program, 260)[0], 160);
+    line(fmt(p.amount), right, { align: 'right' });
+    y += 16;
+  }
+  y += 16;
+
+  // Reconciliation footnote
+  ensureRoom(24 + data.reconciliation.length * 12);
+  doc.setFontSize(8).setTextColor(90);
+  const notes = data.reconciliation.length === 0
+    ? ['Direct Import totals were not reconciled: no SUMMARY sheet was available for this month.']
+    : data.reconciliation.map(r =>
+      `SUMMARY reconciliation for ${r.filename}: ${r.status.toUpperCase()}${r.note ? ` (${r.note})` : ''}.`);
+  for (const note of notes) {
+    for (const wrapped of doc.splitTextToSize(note, right - PAGE.margin)) {
+      line(wrapped, PAGE.margin);
+      y += 11;
+    }
+  }
+
+  return doc.output('arraybuffer');
+}
+
+/**
+ * Render every team's statement for every month of a run into one zip.
+ * The Unassigned bucket only gets a statement in months where it holds money.
+ * @param {Object} run - processFiles output
+ * @param {{fmt: Function, locale: string}} options
+ * @returns {Promise<Blob>}
+ */
+export async function generateStatements(run, { fmt, locale }) {
+  const zip = new JSZip();
+  for (const result of run.results) {
+    const folder = zip.folder(String(result.monthKey || result.month));
+    for (const team of resultTeams(run.results)) {
+      if (team.id === UNASSIGNED_TEAM.id && teamTotal(result, team.id) === 0) continue;
+      const data = statementData(run, result, team, locale);
+      folder.file(`${team.label.replace(/[^\w.-]+/g, '_')}_${result.monthKey || result.month}.pdf`, renderStatement(data, fmt));
+    }
+  }
+  return zip.generateAsync({ type: 'blob' });
+}
@@ -0,0 +1,26 @@
+/**
+ * Small localStorage helpers for user settings.
+ * Everything stays in the browser; outside a browser (or when storage is
+ * blocked) reads fall back to the default and writes are ignored.
+ */
+
+const PREFIX = 'minnark.';
+
+export function loadSetting(key, fallback) {
+  try {
+    if (typeof localStorage === 'undefined') return fallback;
+    const raw = localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveSetting(key, value) {
+  try {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch {
+    // Quota exceeded or storage disabled: settings just won't persist
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Partner/team registry.
+ *
+ * Each team has a stable `id` (used in result field names such as
+ * `di_<id>` and `do_<id>_programs`), a display `label`, a `color` and the
+ * list of raw "Team" column values it `match`es. Team values that match no
+ * registered team are collected under the Unassigned bucket.
+ */
+
+export const DEFAULT_TEAMS = [
+  { id: 'blackfin', label: 'Blackfin', color: '#3b82f6', match: ['Blackfin'] },
+  { id: 'mizar', label: 'Mizar', color: '#14b8a6', match: ['Mizar'] },
+];
+
+export const UNASSIGNED_TEAM = { id: 'unassigned', label: 'Unassigned', color: '#64748b', match: [] };
+
+// Ids that would collide with the derived `di_total` / `grand_total` fields
+const RESERVED_IDS = ['total', 'grand', UNASSIGNED_TEAM.id];
+
+export function slugify(label) {
+  return String(label).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'team';
+}
+
+/**
+ * Build a unique id for a new team from its label.
+ */
+export function makeTeamId(label, teams) {
+  const base = slugify(label);
+  const taken = new Set([...teams.map(t => t.id), ...RESERVED_IDS]);
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}_${n}`;
+  return id;
+}
+
+/**
+ * Teams that appear in results: the registry followed by the Unassigned bucket.
+ * Only display fields are kept so results stay serializable.
+ */
+export function reportTeams(teams) {
+  return [...teams, UNASSIGNED_TEAM].map(({ id, label, color }) => ({ id, label, color }));
+}
+
+/**
+ * Build a lookup from raw Team values to team ids (case-insensitive).
+ */
+export function teamMatcher(teams) {
+  const byValue = new Map();
+  for (const t of teams) {
+    for (const v of [t.label, ...(t.match || [])]) {
+      if (v) byValue.set(String(v).trim().toLowerCase(), t.id);
+    }
+  }
+  return (raw) => byValue.get(String(raw).trim().toLowerCase()) || UNASSIGNED_TEAM.id;
+}
+
+const TOTAL_LABEL = /^(grand |sub-?)?totals?:?$/i;
+const TEAM_TOTAL_LABEL = /^(.+?)\s+(sub-?)?totals?:?$/i;
+
+/**
+ * Whether a Team cell is a total or subtotal label ("TOTAL", "Subtotal:",
+ * "Grand Total", "Blackfin Total") rather than a team. Registered team names
+ * are never total labels, so a team called "Total Logistics" is kept.
+ * @param {string[]} [teamLabels] - registered team names
+ */
+export function isTotalLabel(value, teamLabels = []) {
+  const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+  const labels = new Set(teamLabels.map(l => String(l).trim().toLowerCase()));
+  if (!text || labels.has(text.toLowerCase())) return false;
+  if (TOTAL_LABEL.test(text)) return true;
+  const team = text.match(TEAM_TOTAL_LABEL)?.[1];
+  return team != null && labels.has(team.toLowerCase());
+}
+
+/**
+ * Drop malformed entries from a stored registry, falling back to the defaults.
+ */
+export function sanitizeTeams(teams) {
+  if (!Array.isArray(teams)) return DEFAULT_TEAMS;
+  const clean = teams.filter(t => t && t.id && !RESERVED_IDS.includes(t.id) && t.label);
+  return clean.length > 0 ? clean : DEFAULT_TEAMS;
+}
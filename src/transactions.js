@@ -0,0 +1,79 @@
+import { toCSV } from './csv.js';
+
+/**
+ * Source transactions behind the totals.
+ *
+ * processFiles keeps every row it counted on its month's result as
+ * `transactions`: {date, category, teamId, team, program, rawProgram, amount,
+ * originalAmount, currency, type, invoice, reference, file, sheet, row},
+ * where `date` is YYYY-MM-DD (null when undated), `category` the CATEGORIES
+ * code, `team` the raw Team value and `row` the 1-based sheet row.
+ */
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Compact, serializable record of a reader row in a result category.
+ */
+export function toTransaction(row, category, teamId) {
+  return {
+    date: row.date ? `${row.date.getFullYear()}-${pad(row.date.getMonth() + 1)}-${pad(row.date.getDate())}` : null,
+    category, teamId, team: row.team, program: row.program, rawProgram: row.rawProgram,
+    amount: row.amount, originalAmount: row.originalAmount ?? row.amount, currency: row.currency,
+    type: row.type ?? null, invoice: row.invoice, reference: row.reference,
+    file: row.source.file, sheet: row.source.sheet, row: row.source.row,
+  };
+}
+
+/**
+ * Transactions of the results matching every given field of `filter`
+ * ({month, category, teamId, program}; `category` may list several codes),
+ * with each one's month attached.
+ */
+export function findTransactions(results, filter = {}) {
+  const out = [];
+  for (const r of results) {
+    if (filter.month != null && r.month !== filter.month) continue;
+    for (const t of r.transactions || []) {
+      if (filter.category != null && ![].concat(filter.category).includes(t.category)) continue;
+      if (filter.teamId != null && t.teamId !== filter.teamId) continue;
+      if (filter.program != null && t.program !== filter.program) continue;
+      out.push({ ...t, month: r.month });
+    }
+  }
+  return out;
+}
+
+export const TRANSACTION_COLUMNS = [
+  { key: 'month', label: 'Month' },
+  { key: 'date', label: 'Date' },
+  { key: 'category', label: 'Category' },
+  { key: 'team', label: 'Team' },
+  { key: 'program', label: 'Program' },
+  { key: 'type', label: 'Type' },
+  { key: 'invoice', label: 'Invoice' },
+  { key: 'reference', label: 'Reference' },
+  { key: 'amount', label: 'Amount', numeric: true },
+  { key: 'currency', label: 'Currency' },
+  { key: 'originalAmount', label: 'Original Amount', numeric: true },
+  { key: 'file', label: 'File' },
+  { key: 'sheet', label: 'Sheet' },
+  { key: 'row', label: 'Row', numeric: true },
+];
+
+/**
+ * Case-insensitive match of `query` against a transaction's text fields.
+ */
+export function matchesQuery(t, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  return [t.team, t.program, t.rawProgram, t.type, t.invoice, t.reference, t.file, t.sheet, t.date]
+    .some(v => v != null && String(v).toLowerCase().includes(q));
+}
+
+export function exportTransactionsCSV(transactions, reporting) {
+  const header = TRANSACTION_COLUMNS.map(c => c.key === 'amount' ? `Amount (${reporting})` : c.label);
+  return toCSV([header, ...transactions.map(t => TRANSACTION_COLUMNS.map(c => t[c.key]))]);
+}
@@ -0,0 +1,81 @@
+import { CATEGORIES, teamTotal } from './pipeline.js';
+import { addMoney, percentShares } from './money.js';
+
+/**
+ * Time series for the trend charts, one point per result (month or rolled-up
+ * period) in result order.
+ */
+
+const MONTH_ABBR = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const OTHER_PROGRAMS = 'Other';
+
+/**
+ * Axis label for a result: "Jan '25" for a dated month, so months of
+ * different years stay apart; rolled-up periods and undated months keep their
+ * own label.
+ */
+export function periodAxisLabel(result) {
+  if (result.months || !(result.monthKey > 0)) return result.month;
+  return `${MONTH_ABBR[result.monthKey % 100 - 1]} '${String(Math.floor(result.monthKey / 100)).slice(-2)}`;
+}
+
+function programAmounts(result, { teamId, category } = {}) {
+  const amounts = {};
+  for (const cat of CATEGORIES) {
+    if (category && cat.code !== category) continue;
+    for (const t of result.teams) {
+      if (teamId && t.id !== teamId) continue;
+      for (const [program, amount] of Object.entries(result[`${cat.id}_${t.id}_programs`] || {})) {
+        amounts[program] = addMoney(amounts[program] || 0, amount);
+      }
+    }
+  }
+  return amounts;
+}
+
+/**
+ * The `n` largest programs (by net total over all periods) of a team and/or
+ * category, per period; the remaining programs are summed as OTHER_PROGRAMS.
+ * @param {Object} [filter] - {teamId, category} (CATEGORIES code); either may be omitted
+ * @returns {{programs: string[], data: Array}} programs in descending order
+ *   (OTHER_PROGRAMS last when present), and one {period, month, [program]: amount}
+ *   point per result
+ */
+export function programTrend(results, n, filter = {}) {
+  const perResult = results.map(r => programAmounts(r, filter));
+  const totals = {};
+  for (const amounts of perResult) {
+    for (const [program, amount] of Object.entries(amounts)) totals[program] = addMoney(totals[program] || 0, amount);
+  }
+  const ranked = Object.keys(totals).sort((a, b) => totals[b] - totals[a] || a.localeCompare(b));
+  const top = ranked.slice(0, n);
+  const hasOther = ranked.length > n;
+
+  const data = results.map((r, i) => {
+    const point = { period: periodAxisLabel(r), month: r.month };
+    let other = 0;
+    for (const [program, amount] of Object.entries(perResult[i])) {
+      if (top.includes(program)) point[program] = amount;
+      else other = addMoney(other, amount);
+    }
+    for (const program of top) point[program] ??= 0;
+    if (hasOther) point[OTHER_PROGRAMS] = other;
+    return point;
+  });
+  return { programs: hasOther ? [...top, OTHER_PROGRAMS] : top, data };
+}
+
+/**
+ * Each team's percentage of net revenue per period, to one place and adding
+ * up to 100 (see percentShares): [{period, month, [team label]: percent}].
+ * Periods with no net revenue show 0 for every team.
+ */
+export function teamShareTrend(results, teams) {
+  return results.map(r => {
+    const point = { period: periodAxisLabel(r), month: r.month };
+    const shares = percentShares(teams.map(t => teamTotal(r, t.id)));
+    teams.forEach((t, i) => { point[t.label] = shares[i]; });
+    return point;
+  });
+}
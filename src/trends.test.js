@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { processFiles, rollupResults } from './pipeline.js';
+import { DEFAULT_TEAMS } from './teams.js';
+import { OTHER_PROGRAMS, periodAxisLabel, programTrend, teamShareTrend } from './trends.js';
+
+const dec = (day) => new Date(2024, 11, day);
+const jan = (day) => new Date(2025, 0, day);
+
+function results() {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ['Team', 'Program', 'Paid Per Item', 'Payment Date', 'Invoice Number'],
+    ['Blackfin', 'Alpha', 50, dec(3), 'X1'],
+    ['Blackfin', 'Beta', 30, dec(3), 'X2'],
+    ['Mizar', 'Gamma', 20, dec(3), 'X3'],
+    ['Blackfin', 'Alpha', 10, jan(3), 'X4'],
+    ['Blackfin', 'Delta', 5, jan(3), 'X5'],
+    ['Mizar', 'Beta', 1, jan(3), 'X6'],
+    ['Mizar', 'Beta', 1, jan(3), 'X7'],
+    ['Mizar', 'Gamma', 1, jan(3), 'X8'],
+  ]), 'TOTAL DI');
+  return processFiles([{ filename: 'JPM_TXN.xlsx', workbook: wb }], null, { diAttribution: 'transaction' }).results;
+}
+
+describe('periodAxisLabel', () => {
+  it('keeps months of different years apart and rolled-up labels as they are', () => {
+    const monthly = results();
+    expect(monthly.map(periodAxisLabel)).toEqual(["Dec '24", "Jan '25"]);
+    expect(rollupResults(monthly, undefined, 'quarter').map(periodAxisLabel)).toEqual(['Q4 FY2024', 'Q1 FY2025']);
+  });
+});
+
+describe('programTrend', () => {
+  it('keeps the top programs by total and sums the rest as Other', () => {
+    const { programs, data } = programTrend(results(), 2);
+    expect(programs).toEqual(['Alpha', 'Beta', OTHER_PROGRAMS]);
+    expect(data).toEqual([
+      { period: "Dec '24", month: 'December 2024', Alpha: 50, Beta: 30, [OTHER_PROGRAMS]: 20 },
+      { period: "Jan '25", month: 'January 2025', Alpha: 10, Beta: 2, [OTHER_PROGRAMS]: 6 },
+    ]);
+  });
+
+  it('filters by team and category', () => {
+    const { programs, data } = programTrend(results(), 5, { teamId: 'mizar', category: 'DI' });
+    expect(programs).toEqual(['Gamma', 'Beta']);
+    expect(data.map(p => [p.Gamma, p.Beta])).toEqual([[20, 0], [1, 2]]);
+    expect(programTrend(results(), 5, { category: 'DO' }).programs).toEqual([]);
+  });
+});
+
+describe('teamShareTrend', () => {
+  it('gives each team its share of net revenue, adding up to 100', () => {
+    expect(teamShareTrend(results(), DEFAULT_TEAMS)).toEqual([
+      { period: "Dec '24", month: 'December 2024', Blackfin: 80, Mizar: 20 },
+      { period: "Jan '25", month: 'January 2025', Blackfin: 83.3, Mizar: 16.7 },
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+import { programRows } from './pipeline.js';
+import { fromCents, toCents } from './money.js';
+
+/**
+ * Variance between two sets of program totals, at the category × team ×
+ * program level. Either two runs (same month in each), or adjacent months in
+ * one run.
+ */
+
+// A change is significant when it clears both thresholds; new and removed
+// programs only need to clear the amount threshold
+export const DEFAULT_THRESHOLDS = { amount: 100, percent: 10 };
+
+const EPSILON = 0.005;
+
+function keyOf(row) {
+  return `${row.category}\u0000${row.teamId}\u0000${row.program}`;
+}
+
+function byMonth(results) {
+  const months = new Map();
+  for (const row of programRows(results)) {
+    if (!months.has(row.monthKey)) months.set(row.monthKey, { month: row.month, rows: new Map() });
+    months.get(row.monthKey).rows.set(keyOf(row), row);
+  }
+  return months;
+}
+
+function isSignificant(line, thresholds) {
+  if (Math.abs(line.delta) < thresholds.amount) return false;
+  return line.pct == null || Math.abs(line.pct) >= thresholds.percent;
+}
+
+/**
+ * Lines for every program present on either side.
+ * @param {Map} base - keyOf(row) → programRows() row
+ * @param {Map} current - same shape
+ */
+function compareRows(base, current, labels, thresholds) {
+  const lines = [];
+  for (const key of new Set([...base.keys(), ...current.keys()])) {
+    const b = base.get(key);
+    const c = current.get(key);
+    const ref = c || b;
+    const baseAmount = b ? b.amount : 0;
+    const currentAmount = c ? c.amount : 0;
+    const delta = fromCents(toCents(currentAmount) - toCents(baseAmount));
+    const status = !b ? 'new' : !c ? 'removed' : Math.abs(delta) < EPSILON ? 'unchanged' : 'changed';
+    const line = {
+      ...labels,
+      category: ref.category,
+      team: ref.team,
+      teamId: ref.teamId,
+      program: ref.program,
+      base: baseAmount,
+      current: currentAmount,
+      delta,
+      pct: baseAmount !== 0 ? (delta / Math.abs(baseAmount)) * 100 : null,
+      status,
+    };
+    line.significant = status !== 'unchanged' && isSignificant(line, thresholds);
+    lines.push(line);
+  }
+  return lines.sort((a, b) => a.category.localeCompare(b.category)
+    || a.team.localeCompare(b.team) || a.program.localeCompare(b.program));
+}
+
+/**
+ * Each month against the previous month in the same run.
+ * @returns {{mode: 'months', lines: Array}}
+ */
+export function monthOverMonth(results, thresholds = DEFAULT_THRESHOLDS) {
+  const months = [...byMonth(results).entries()].sort(([a], [b]) => a - b);
+  const lines = [];
+  for (let i = 1; i < months.length; i++) {
+    const [, prev] = months[i - 1];
+    const [monthKey, cur] = months[i];
+    lines.push(...compareRows(prev.rows, cur.rows,
+      { monthKey, month: cur.month, baseMonth: prev.month }, thresholds));
+  }
+  return { mode: 'months', lines };
+}
+
+/**
+ * Each month of `current` against the same month of `base` (e.g. a re-run
+ * after corrected source files). Months in only one run compare against zero.
+ * @returns {{mode: 'runs', lines: Array}}
+ */
+export function compareRuns(baseResults, currentResults, thresholds = DEFAULT_THRESHOLDS) {
+  const base = byMonth(baseResults);
+  const current = byMonth(currentResults);
+  const monthKeys = [...new Set([...base.keys(), ...current.keys()])].sort((a, b) => a - b);
+  const lines = [];
+  for (const monthKey of monthKeys) {
+    const month = (current.get(monthKey) || base.get(monthKey)).month;
+    lines.push(...compareRows(base.get(monthKey)?.rows || new Map(), current.get(monthKey)?.rows || new Map(),
+      { monthKey, month, baseMonth: month }, thresholds));
+  }
+  return { mode: 'runs', lines };
+}
+
+export function sanitizeThresholds(value) {
+  const amount = Number(value?.amount);
+  const percent = Number(value?.percent);
+  return {
+    amount: Number.isFinite(amount) && amount >= 0 ? amount : DEFAULT_THRESHOLDS.amount,
+    percent: Number.isFinite(percent) && percent >= 0 ? percent : DEFAULT_THRESHOLDS.percent,
+  };
+}
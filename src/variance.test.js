@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { processFiles } from './pipeline.js';
+import { compareRuns, monthOverMonth, sanitizeThresholds, DEFAULT_THRESHOLDS } from './variance.js';
+
+const oct = (day) => new Date(2025, 9, day);
+const nov = (day) => new Date(2025, 10, day);
+
+function run(rows) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ['Team', 'Program', 'Paid Per Item', 'Payment Date', 'Invoice Number'],
+    ...rows.map((row, i) => [...row, `X${i}`]),
+  ]), 'TOTAL DI');
+  return processFiles([{ filename: 'JPM_TXN_2025.xlsx', workbook: wb }], null, { diAttribution: 'transaction' }).results;
+}
+
+const results = run([
+  ['Blackfin', 'Alpha', 1000, oct(3)], ['Blackfin', 'Beta', 50, oct(3)], ['Mizar', 'Gamma', 500, oct(3)], ['Mizar', 'Omega', 80, oct(3)],
+  ['Blackfin', 'Alpha', 1150, nov(3)], ['Blackfin', 'Beta', 120, nov(3)], ['Mizar', 'Gamma', 540, nov(3)], ['Mizar', 'Delta', 200, nov(3)],
+]);
+
+const summary = (lines) => Object.fromEntries(lines.map(l => [l.program, [l.status, l.delta, l.significant]]));
+
+describe('monthOverMonth', () => {
+  it('flags changes that clear both the amount and percent thresholds', () => {
+    const { mode, lines } = monthOverMonth(results);
+    expect(mode).toBe('months');
+    expect(lines.every(l => l.month === 'November 2025' && l.baseMonth === 'October 2025')).toBe(true);
+    expect(summary(lines)).toEqual({
+      Alpha: ['changed', 150, true],
+      Beta: ['changed', 70, false],
+      Gamma: ['changed', 40, false],
+      Delta: ['new', 200, true],
+      Omega: ['removed', -80, false],
+    });
+    expect(lines.find(l => l.program === 'Alpha').pct).toBe(15);
+    expect(lines.find(l => l.program === 'Delta').pct).toBeNull();
+  });
+
+  it('uses the given thresholds', () => {
+    expect(summary(monthOverMonth(results, { amount: 50, percent: 20 }).lines)).toMatchObject({
+      Alpha: ['changed', 150, false],
+      Beta: ['changed', 70, true],
+      Omega: ['removed', -80, true],
+    });
+  });
+});
+
+describe('compareRuns', () => {
+  it('compares the same month of two runs and marks unchanged programs', () => {
+    const base = run([['Blackfin', 'Alpha', 1000, oct(3)], ['Mizar', 'Gamma', 500, oct(3)]]);
+    const current = run([['Blackfin', 'Alpha', 1000, oct(3)], ['Mizar', 'Gamma', 350.5, oct(3)], ['Mizar', 'Gamma', 0.1, nov(3)]]);
+    const { mode, lines } = compareRuns(base, current);
+    expect(mode).toBe('runs');
+    expect(lines.map(l => [l.month, l.program, l.status, l.delta, l.significant])).toEqual([
+      ['October 2025', 'Alpha', 'unchanged', 0, false],
+      ['October 2025', 'Gamma', 'changed', -149.5, true],
+      ['November 2025', 'Gamma', 'new', 0.1, false],
+    ]);
+  });
+});
+
+describe('sanitizeThresholds', () => {
+  it('keeps non-negative numbers and falls back to the defaults', () => {
+    expect(sanitizeThresholds({ amount: '25', percent: 0 })).toEqual({ amount: 25, percent: 0 });
+    expect(sanitizeThresholds({ amount: -1, percent: 'x' })).toEqual(DEFAULT_THRESHOLDS);
+    expect(sanitizeThresholds()).toEqual(DEFAULT_THRESHOLDS);
+  });
+});
@@ -0,0 +1,132 @@
+import * as XLSX from 'xlsx';
+
+/**
+ * Formatting helpers for the Excel export: number formats, column widths,
+ * SUM formulas and frozen header panes.
+ */
+
+// The ESM build exports CFB by name; Node's CommonJS interop only has it on the default export
+const CFB = XLSX.CFB ?? XLSX.default?.CFB;
+
+/**
+ * Excel number format showing a currency's symbol, e.g. "$"#,##0.00.
+ */
+export function moneyFormat(currency) {
+  let symbol = currency;
+  try {
+    symbol = new Intl.NumberFormat('en-US', { style: 'currency', currency })
+      .formatToParts(0).find(p => p.type === 'currency').value;
+  } catch {
+    // Unknown code: fall back to showing the code itself
+  }
+  const quoted = `"${symbol.replace(/"/g, '')}"`;
+  return `${quoted}#,##0.00;-${quoted}#,##0.00`;
+}
+
+export const PERCENT_FORMAT = '0.0"%"';
+
+/**
+ * Formula cell with its value cached, so readers that don't recalculate
+ * (including SheetJS itself) still see the number.
+ */
+export function formula(f, v, z) {
+  return { t: 'n', f, v, ...(z ? { z } : {}) };
+}
+
+/**
+ * A1 range for a column (0-based) between two 0-based rows, e.g. "C2:C9".
+ */
+export function colRange(col, firstRow, lastRow) {
+  const c = XLSX.utils.encode_col(col);
+  return `${c}${firstRow + 1}:${c}${lastRow + 1}`;
+}
+
+/**
+ * A1 range along a row (0-based) between two 0-based columns, e.g. "B4:E4".
+ */
+export function rowRange(row, firstCol, lastCol) {
+  return `${XLSX.utils.encode_col(firstCol)}${row + 1}:${XLSX.utils.encode_col(lastCol)}${row + 1}`;
+}
+
+/**
+ * Build a worksheet from an array of rows.
+ * @param {Array<Array>} aoa - rows of values or cell objects (see formula())
+ * @param {Object} [options]
+ * @param {number[]} [options.money] - column indexes formatted with `format`
+ * @param {string} [options.format] - number format for the money columns
+ * @param {{rows: number, cols: number}} [options.freeze] - header rows and
+ *   leading columns to keep in view (default: the first row)
+ * @param {boolean} [options.filter] - add an autofilter over the header row
+ */
+export function buildSheet(aoa, { money = [], format, freeze = { rows: 1, cols: 0 }, filter = false } = {}) {
+  const ws = XLSX.utils.aoa_to_sheet(aoa, { cellDates: true });
+  const range = XLSX.utils.decode_range(ws['!ref'] || 'A1');
+
+  if (format) {
+    for (let r = freeze.rows; r <= range.e.r; r++) {
+      for (const c of money) {
+        const cell = ws[XLSX.utils.encode_cell({ r, c })];
+        if (cell && cell.t === 'n' && !cell.z) cell.z = format;
+      }
+    }
+  }
+
+  // Width from the longest value in each column, within sensible bounds
+  const widths = [];
+  aoa.forEach(row => row.forEach((v, c) => {
+    const value = v != null && typeof v === 'object' && !(v instanceof Date) ? v.v : v;
+    const len = value == null ? 0 : value instanceof Date ? 10 : typeof value === 'number' ? 14 : String(value).length;
+    widths[c] = Math.max(widths[c] || 8, Math.min(len + 2, 50));
+  }));
+  ws['!cols'] = widths.map(wch => ({ wch }));
+
+  if (filter && aoa.length > 1) {
+    ws['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: 0, c: range.e.c } }) };
+  }
+  ws['!freeze'] = freeze;
+  return ws;
+}
+
+/**
+ * Excel sheet names are unique, at most 31 characters and can't contain
+ * []:*?/\ — derive one from a label.
+ */
+export function sheetName(label, taken) {
+  const base = String(label).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+  let name = base;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+function paneXml({ rows, cols }) {
+  const topLeft = XLSX.utils.encode_cell({ r: rows, c: cols });
+  const pane = rows && cols ? 'bottomRight' : rows ? 'bottomLeft' : 'topRight';
+  return `<sheetView workbookViewId="0"><pane${cols ? ` xSplit="${cols}"` : ''}${rows ? ` ySplit="${rows}"` : ''}`
+    + ` topLeftCell="${topLeft}" activePane="${pane}" state="frozen"/></sheetView>`;
+}
+
+/**
+ * Write a workbook to xlsx bytes, applying each sheet's `!freeze` panes
+ * (SheetJS doesn't write frozen panes itself, so they're patched into the
+ * sheet XML).
+ * @returns {Uint8Array}
+ */
+export function writeWorkbook(wb) {
+  const bytes = new Uint8Array(XLSX.write(wb, { type: 'array', bookType: 'xlsx', compression: true }));
+  const zip = CFB.read(bytes, { type: 'array' });
+  wb.SheetNames.forEach((name, i) => {
+    const freeze = wb.Sheets[name]['!freeze'];
+    if (!freeze || (!freeze.rows && !freeze.cols)) return;
+    const idx = zip.FullPaths.findIndex(p => p.endsWith(`/xl/worksheets/sheet${i + 1}.xml`));
+    if (idx < 0) return;
+    const entry = zip.FileIndex[idx];
+    const xml = new TextDecoder().decode(entry.content).replace('<sheetView workbookViewId="0"/>', paneXml(freeze));
+    entry.content = new TextEncoder().encode(xml);
+    entry.size = entry.content.length;
+  });
+  return new Uint8Array(CFB.write(zip, { fileType: 'zip', type: 'array', compression: true }));
+}
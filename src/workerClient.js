@@ -0,0 +1,71 @@
+import { MSG } from './workerProtocol.js';
+
+/**
+ * Promise wrapper around pipeline.worker.js.
+ *
+ * `cancel()` terminates the worker outright (processFiles is synchronous, so
+ * it can't be interrupted politely) and rejects everything in flight; the
+ * next request starts a fresh worker.
+ */
+export function createPipelineClient() {
+  let worker = null;
+  let nextRequestId = 1;
+  const pending = new Map();
+
+  const ensureWorker = () => {
+    if (worker) return worker;
+    worker = new Worker(new URL('./pipeline.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      const req = pending.get(msg.requestId);
+      if (!req) return;
+      if (msg.type === MSG.PROGRESS) {
+        req.onProgress?.(msg);
+        return;
+      }
+      pending.delete(msg.requestId);
+      if (msg.type === MSG.ERROR) req.reject(Object.assign(new Error(msg.error.message), msg.error));
+      else req.resolve(msg);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      const err = new Error(e.message || 'Pipeline worker crashed');
+      for (const req of pending.values()) req.reject(err);
+      pending.clear();
+      worker.terminate();
+      worker = null;
+    };
+    return worker;
+  };
+
+  const request = (message, onProgress) => new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    pending.set(requestId, { resolve, reject, onProgress });
+    ensureWorker().postMessage({ ...message, requestId });
+  });
+
+  return {
+    /** Parse an upload and detect its type. Resolves to a FileInfo. */
+    parse: (fileId, file, mapping) =>
+      request({ type: MSG.PARSE, fileId, file, mapping }).then(msg => msg.info),
+
+    /** Re-check files against a mapping. Resolves to FileInfo[]. */
+    inspect: (files, mapping) =>
+      request({ type: MSG.INSPECT, files, mapping }).then(msg => msg.infos),
+
+    /** Run processFiles. Resolves to the run; progress messages go to onProgress. */
+    process: (files, options, onProgress) =>
+      request({ type: MSG.PROCESS, files, options }, onProgress).then(msg => msg.run),
+
+    release: (fileId) => worker?.postMessage({ type: MSG.RELEASE, fileId }),
+
+    cancel: () => {
+      if (!worker) return;
+      worker.terminate();
+      worker = null;
+      const err = Object.assign(new Error('Processing cancelled'), { name: 'AbortError' });
+      for (const req of pending.values()) req.reject(err);
+      pending.clear();
+    },
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Message protocol between the UI and pipeline.worker.js.
+ *
+ * Every request carries a `requestId`; the worker answers with exactly one
+ * terminal message (a result or ERROR) for that id, and may send PROGRESS
+ * messages before it.
+ *
+ * @typedef {Object} ParseRequest
+ * @property {'parse'} type
+ * @property {number} requestId
+ * @property {number} fileId - UI file id; the worker caches the workbook under it
+ * @property {File} file
+ * @property {Object} mapping - {jpm, domestic} column overrides
+ *
+ * @typedef {Object} InspectRequest - re-check cached workbooks against a new mapping
+ * @property {'inspect'} type
+ * @property {number} requestId
+ * @property {Array<{fileId: number, file: File}>} files
+ * @property {Object} mapping
+ *
+ * @typedef {Object} ProcessRequest
+ * @property {'process'} type
+ * @property {number} requestId
+ * @property {Array<{fileId: number, file: File, type: string, name: string}>} files
+ * @property {Object} options - processFiles options (no callbacks)
+ *
+ * @typedef {Object} ReleaseRequest - drop a cached workbook; no reply
+ * @property {'release'} type
+ * @property {number} fileId
+ *
+ * @typedef {Object} FileInfo
+ * @property {number} fileId
+ * @property {'jpm'|'domestic'|null} type
+ * @property {Object|null} columns - inspectColumns() output
+ * @property {string|null} hash - SHA-256 of the file contents, hex; null where
+ *   crypto.subtle is unavailable (insecure contexts)
+ *
+ * @typedef {Object} ParsedMessage
+ * @property {'parsed'} type
+ * @property {number} requestId
+ * @property {FileInfo} info
+ *
+ * @typedef {Object} InspectedMessage
+ * @property {'inspected'} type
+ * @property {number} requestId
+ * @property {FileInfo[]} infos
+ *
+ * @typedef {Object} ProgressMessage
+ * @property {'progress'} type
+ * @property {number} requestId
+ * @property {string} stage - one of STAGES
+ * @property {string|null} filename
+ * @property {number} done - steps completed so far
+ * @property {number} total - total steps for the request
+ *
+ * @typedef {Object} ResultMessage
+ * @property {'result'} type
+ * @property {number} requestId
+ * @property {Object} run - processFiles() output
+ *
+ * @typedef {Object} ErrorMessage
+ * @property {'error'} type
+ * @property {number} requestId
+ * @property {{name: string, message: string, kind?: string, sheet?: string, missing?: string[]}} error
+ */
+
+export const MSG = {
+  PARSE: 'parse',
+  INSPECT: 'inspect',
+  PROCESS: 'process',
+  RELEASE: 'release',
+  PARSED: 'parsed',
+  INSPECTED: 'inspected',
+  PROGRESS: 'progress',
+  RESULT: 'result',
+  ERROR: 'error',
+};
+
+export const STAGES = {
+  parse: 'Reading workbook',
+  domestic: 'Reading Domestic Payments',
+  jpm: 'Reading TOTAL DI',
+  duplicates: 'Checking duplicates',
+  aggregate: 'Aggregating months',
+};
+
+/**
+ * Plain-object copy of an Error that survives postMessage, keeping the
+ * ColumnMappingError fields the UI needs.
+ */
+export function serializeError(err) {
+  const { name, message, kind, sheet, missing } = err;
+  return { name, message, kind, sheet, missing };
+}
@@ -0,0 +1,15 @@
+import { describe, expect, it } from 'vitest';
+import { ColumnMappingError } from './mapping.js';
+import { serializeError } from './workerProtocol.js';
+
+describe('serializeError', () => {
+  it('keeps the column mapping details through a structured clone', () => {
+    const err = new ColumnMappingError('jpm', 'TOTAL DI', ['Partner', 'Amount'], ['team']);
+    const copy = structuredClone(serializeError(err));
+    expect(copy).toEqual({ name: 'ColumnMappingError', message: err.message, kind: 'jpm', sheet: 'TOTAL DI', missing: ['team'] });
+  });
+
+  it('copies plain errors', () => {
+    expect(serializeError(new TypeError('boom'))).toMatchObject({ name: 'TypeError', message: 'boom' });
+  });
+});